@@ -1,8 +1,16 @@
 // Easy Calendar - Main Calendar Application
 
-import { MODULE_ID, SETTINGS } from './constants.js';
+import { MODULE_ID, SETTINGS, FLAGS, PERMISSIONS, MOON_PHASE_ICONS, WEATHER_CONDITIONS, PRECIPITATION_LEVELS } from './constants.js';
 import { CalendarData } from './calendar-data.js';
+import { CalendarPermissions } from './calendar-permissions.js';
+import { CalendarNotes } from './calendar-notes.js';
+import { CalendarNoteApp } from './calendar-note-app.js';
+import { CalendarSocket } from './calendar-socket.js';
+import { CalendarClock } from './calendar-clock.js';
+import { CalendarWeather } from './calendar-weather.js';
+import { CalendarLibrary } from './calendar-library.js';
 import * as CalendarTime from './calendar-time.js';
+import * as CalendarRecurrence from './calendar-recurrence.js';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
@@ -26,6 +34,9 @@ export class CalendarApp extends HandlebarsApplicationMixin(ApplicationV2) {
 
     // Display mode: full or compact (collapse is handled by Foundry's native minimize)
     this._displayMode = game.user.getFlag(MODULE_ID, SETTINGS.PANEL_MODE) || 'full';
+
+    // Date whose notes are listed below the grid (null = current date)
+    this._selectedDate = null;
   }
 
   /* -------------------------------------------- */
@@ -58,7 +69,7 @@ export class CalendarApp extends HandlebarsApplicationMixin(ApplicationV2) {
   /* -------------------------------------------- */
 
   get title() {
-    const config = CalendarData.getConfig();
+    const config = CalendarLibrary.getDisplayCalendar();
     return config?.name || 'Easy Calendar';
   }
 
@@ -67,19 +78,45 @@ export class CalendarApp extends HandlebarsApplicationMixin(ApplicationV2) {
    * @param {number} year - The year
    * @param {number} month - The month (0-indexed)
    * @param {Object} config - Calendar configuration
+   * @param {Object} display - The displayed calendar and date (see CalendarLibrary.getDisplay)
    * @returns {Array} Grid of week rows
    */
-  _buildMonthGrid(year, month, config) {
-    const state = CalendarData.getState();
+  _buildMonthGrid(year, month, config, { state, isActive }) {
+    const selected = this._selectedDate ?? state;
     const daysInMonth = CalendarTime.getDaysInMonth(year, month, config);
     const weekdayCount = config.weekdays.length;
 
+    // Group the month's visible notes by day for the cell markers (notes are dated in the active calendar)
+    const notesByDay = {};
+    const notes = isActive ? CalendarNotes.getNotesInRange({ year, month, day: 1 }, { year, month, day: daysInMonth }) : [];
+    for (const note of notes) {
+      (notesByDay[note.date.day] ??= []).push(note);
+    }
+
+    // Full and new moons, and days on which moons share one of those phases
+    const moonsByDay = {};
+    const conjunctionsByDay = {};
+    if (daysInMonth > 0) {
+      const forecast = CalendarTime.getMoonForecast({ year, month, day: 1 }, { year, month, day: daysInMonth }, config);
+      for (const event of [...forecast.fullMoons, ...forecast.newMoons]) {
+        (moonsByDay[event.date.day] ??= []).push(event);
+      }
+      for (const conjunction of forecast.conjunctions) {
+        if (conjunction.icon === 'full' || conjunction.icon === 'new') {
+          (conjunctionsByDay[conjunction.date.day] ??= []).push(conjunction);
+        }
+      }
+    }
+
     // Get weekday of first day of month
-    const weekdayOffset = game.settings.get(MODULE_ID, SETTINGS.WEEKDAY_OFFSET) || 0;
+    const weekdayOffset = isActive ? (game.settings.get(MODULE_ID, SETTINGS.WEEKDAY_OFFSET) || 0) : 0;
     const firstDayWeekday = CalendarTime.calculateWeekday(year, month, 1, config, weekdayOffset);
 
     // Adjust for first weekday setting
-    let startOffset = (firstDayWeekday - config.firstWeekday + weekdayCount) % weekdayCount;
+    // Intercalary days outside the week are not aligned to weekday columns
+    const skipsWeekdays = CalendarTime.monthSkipsWeekdays(config.months[month]);
+    const isIntercalary = !!config.months[month]?.intercalary;
+    let startOffset = skipsWeekdays ? 0 : (firstDayWeekday - config.firstWeekday + weekdayCount) % weekdayCount;
 
     const grid = [];
     let currentWeek = [];
@@ -92,10 +129,31 @@ export class CalendarApp extends HandlebarsApplicationMixin(ApplicationV2) {
     // Add days of the month
     for (let day = 1; day <= daysInMonth; day++) {
       const isToday = (year === state.year && month === state.month && day === state.day);
+      const isSelected = (year === selected.year && month === selected.month && day === selected.day);
+      const notes = notesByDay[day] ?? [];
+      const moonEvents = moonsByDay[day] ?? [];
+      const conjunctions = conjunctionsByDay[day] ?? [];
+      const moonTitles = [
+        ...moonEvents.map(event => `${event.moonName}: ${event.phaseName}`),
+        ...conjunctions.map(c => `Conjunction: ${c.moons.map(m => m.moonName).join(', ')} (${c.moons[0].phaseName})`)
+      ];
 
       currentWeek.push({
         day,
         isToday,
+        isSelected,
+        hasNotes: notes.length > 0,
+        noteMarkers: notes.slice(0, 3).map(note => ({
+          title: note.title,
+          color: CalendarNotes.getCategory(note).color
+        })),
+        moonMarkers: moonEvents.slice(0, 3).map(event => ({
+          icon: MOON_PHASE_ICONS[event.icon],
+          color: event.moonColor
+        })),
+        isConjunction: conjunctions.length > 0,
+        title: [...notes.map(note => note.title), ...moonTitles].join('\n'),
+        isIntercalary,
         empty: false
       });
 
@@ -107,7 +165,7 @@ export class CalendarApp extends HandlebarsApplicationMixin(ApplicationV2) {
     }
 
     // Fill remaining cells in last week
-    while (currentWeek.length > 0 && currentWeek.length < weekdayCount) {
+    while (!skipsWeekdays && currentWeek.length > 0 && currentWeek.length < weekdayCount) {
       currentWeek.push({ empty: true });
     }
     if (currentWeek.length > 0) {
@@ -142,6 +200,13 @@ export class CalendarApp extends HandlebarsApplicationMixin(ApplicationV2) {
     compact: 'fa-expand'
   };
 
+  static DAY_PERIODS = {
+    dawn: { label: 'Dawn', icon: 'fa-cloud-sun' },
+    day: { label: 'Day', icon: 'fa-sun' },
+    dusk: { label: 'Dusk', icon: 'fa-cloud-moon' },
+    night: { label: 'Night', icon: 'fa-moon' }
+  };
+
   _onRender(context, options) {
     // Apply display mode CSS class
     this.element.classList.remove('mode-full', 'mode-compact');
@@ -238,12 +303,43 @@ export class CalendarApp extends HandlebarsApplicationMixin(ApplicationV2) {
     // Custom time input
     el.querySelector('[data-action="advance-custom"]')?.addEventListener('click', () => this._onAdvanceCustom());
 
-    // Quick set date (GM only)
+    // Quick set date
     el.querySelector('[data-action="quick-set"]')?.addEventListener('click', () => this._onQuickSetDate());
 
-    // Sync toggle (GM only)
+    // Sync toggle
     el.querySelector('[data-action="toggle-sync"]')?.addEventListener('click', () => this._onToggleSync());
 
+    // Real-time clock
+    el.querySelector('[data-action="toggle-clock"]')?.addEventListener('click', () => this._onToggleClock());
+
+    // Weather
+    el.querySelector('[data-action="reroll-weather"]')?.addEventListener('click', () => this._onRerollWeather());
+    el.querySelector('[data-action="edit-weather"]')?.addEventListener('click', () => this._onEditWeather());
+
+    // Reminders
+    el.querySelector('[data-action="open-reminders"]')?.addEventListener('click', () => this._onOpenReminders());
+
+    // Calendar library and the calendar shown to this user
+    el.querySelector('[data-action="open-library"]')?.addEventListener('click', () => this._onOpenLibrary());
+    el.querySelector('[name="display-calendar"]')?.addEventListener('change', (e) => this._onChangeDisplayCalendar(e.target.value));
+
+    // Calendar configuration
+    el.querySelector('[data-action="open-config"]')?.addEventListener('click', () => this._onOpenConfig());
+
+    // Day selection (click) and quick note creation (double-click)
+    el.querySelectorAll('.calendar-day[data-day]').forEach(cell => {
+      cell.addEventListener('click', (e) => this._onSelectDay(parseInt(e.currentTarget.dataset.day)));
+      cell.addEventListener('dblclick', (e) => this._onAddNote(parseInt(e.currentTarget.dataset.day)));
+    });
+
+    // Notes
+    el.querySelector('[data-action="add-note"]')?.addEventListener('click', () => this._onAddNote());
+    el.querySelectorAll('[data-action="edit-note"]').forEach(btn => {
+      btn.addEventListener('click', (e) => this._onEditNote(e.currentTarget.closest('[data-note-id]').dataset.noteId));
+    });
+    el.querySelectorAll('[data-action="delete-note"]').forEach(btn => {
+      btn.addEventListener('click', (e) => this._onDeleteNote(e.currentTarget.closest('[data-note-id]').dataset.noteId));
+    });
   }
 
   async _onCycleMode() {
@@ -253,8 +349,7 @@ export class CalendarApp extends HandlebarsApplicationMixin(ApplicationV2) {
   }
 
   _onNavigateMonth(delta) {
-    const state = CalendarData.getState();
-    const config = CalendarData.getConfig();
+    const { config, state } = CalendarLibrary.getDisplay();
 
     // Use current view position, not the actual date
     let currentMonth = this._viewMonth ?? state.month;
@@ -265,11 +360,11 @@ export class CalendarApp extends HandlebarsApplicationMixin(ApplicationV2) {
 
     while (newMonth < 0) {
       newMonth += config.months.length;
-      newYear--;
+      newYear = CalendarTime.addYears(newYear, -1, config);
     }
     while (newMonth >= config.months.length) {
       newMonth -= config.months.length;
-      newYear++;
+      newYear = CalendarTime.addYears(newYear, 1, config);
     }
 
     // Update the view
@@ -279,29 +374,80 @@ export class CalendarApp extends HandlebarsApplicationMixin(ApplicationV2) {
   }
 
   _onNavigateYear(delta) {
-    const state = CalendarData.getState();
+    const { config, state } = CalendarLibrary.getDisplay();
     const currentYear = this._viewYear ?? state.year;
-    this._viewYear = currentYear + delta;
+    this._viewYear = CalendarTime.addYears(currentYear, delta, config);
     this.render();
   }
 
   _onGoToToday() {
-    const state = CalendarData.getState();
+    const { state } = CalendarLibrary.getDisplay();
     this._viewYear = state.year;
     this._viewMonth = state.month;
+    this._selectedDate = null;
+    this.render();
+  }
+
+  _getViewedDate(day) {
+    const { state } = CalendarLibrary.getDisplay();
+    return {
+      year: this._viewYear ?? state.year,
+      month: this._viewMonth ?? state.month,
+      day
+    };
+  }
+
+  _onSelectDay(day) {
+    this._selectedDate = this._getViewedDate(day);
     this.render();
   }
 
+  _onAddNote(day) {
+    // Notes are dated in the active calendar
+    if (!CalendarNotes.canCreate() || !CalendarLibrary.getDisplay().isActive) return;
+
+    const state = CalendarData.getState();
+    const date = day ? this._getViewedDate(day) : (this._selectedDate ?? { year: state.year, month: state.month, day: state.day });
+    new CalendarNoteApp({ date }).render({ force: true });
+  }
+
+  _onEditNote(noteId) {
+    new CalendarNoteApp({ noteId }).render({ force: true });
+  }
+
+  async _onDeleteNote(noteId) {
+    const note = CalendarNotes.getNote(noteId);
+    if (!note) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: 'Delete Note' },
+      content: `<p>Delete the note <strong>${foundry.utils.escapeHTML(note.title)}</strong>?</p>`,
+      rejectClose: false
+    });
+    if (!confirmed) return;
+
+    try {
+      await CalendarSocket.execute('deleteNote', { noteId });
+    } catch (err) {
+      ui.notifications.error(err.message);
+    }
+  }
+
   async _onAdvanceTime(amount, unit) {
-    if (!game.user.isGM && !game.settings.get(MODULE_ID, SETTINGS.PLAYERS_CAN_ADVANCE)) {
+    if (!CalendarPermissions.can(PERMISSIONS.ADVANCE_TIME)) {
       ui.notifications.warn('You do not have permission to advance time.');
       return;
     }
 
-    await CalendarData.advance(amount, unit);
+    try {
+      await CalendarSocket.execute('advance', { amount, unit });
+    } catch (err) {
+      ui.notifications.error(err.message);
+      return;
+    }
 
     // Update view to follow current date
-    const state = CalendarData.getState();
+    const { state } = CalendarLibrary.getDisplay();
     this._viewYear = state.year;
     this._viewMonth = state.month;
 
@@ -309,7 +455,7 @@ export class CalendarApp extends HandlebarsApplicationMixin(ApplicationV2) {
   }
 
   async _onAdvanceCustom() {
-    if (!game.user.isGM && !game.settings.get(MODULE_ID, SETTINGS.PLAYERS_CAN_ADVANCE)) {
+    if (!CalendarPermissions.can(PERMISSIONS.ADVANCE_TIME)) {
       ui.notifications.warn('You do not have permission to advance time.');
       return;
     }
@@ -351,10 +497,10 @@ export class CalendarApp extends HandlebarsApplicationMixin(ApplicationV2) {
   }
 
   async _onQuickSetDate() {
-    if (!game.user.isGM) return;
+    if (!CalendarPermissions.can(PERMISSIONS.SET_DATE)) return;
 
-    const state = CalendarData.getState();
-    const config = CalendarData.getConfig();
+    // The date is entered in the displayed calendar
+    const { config, state, isActive } = CalendarLibrary.getDisplay();
 
     // Build month options
     const monthOptions = config.months.map((m, i) =>
@@ -417,7 +563,13 @@ export class CalendarApp extends HandlebarsApplicationMixin(ApplicationV2) {
     });
 
     if (result && result !== 'cancel') {
-      await CalendarData.setState(result, { updateWorldTime: false });
+      const date = isActive ? result : CalendarLibrary.convert(result, config, CalendarData.getConfig());
+      try {
+        await CalendarSocket.execute('setDate', { date });
+      } catch (err) {
+        ui.notifications.error(err.message);
+        return;
+      }
       this._viewYear = result.year;
       this._viewMonth = result.month;
       this.render();
@@ -425,13 +577,146 @@ export class CalendarApp extends HandlebarsApplicationMixin(ApplicationV2) {
   }
 
   async _onToggleSync() {
-    if (!game.user.isGM) return;
+    if (!CalendarPermissions.can(PERMISSIONS.TOGGLE_SYNC)) return;
 
     const state = CalendarData.getState();
-    await CalendarData.setSyncEnabled(!state.syncEnabled);
+    try {
+      await CalendarSocket.execute('setSync', { enabled: !state.syncEnabled });
+    } catch (err) {
+      ui.notifications.error(err.message);
+      return;
+    }
     this.render();
   }
 
+  async _onToggleClock() {
+    if (!CalendarPermissions.can(PERMISSIONS.CONTROL_CLOCK)) return;
+
+    try {
+      await CalendarSocket.execute(CalendarClock.isRunning() ? 'stopClock' : 'startClock', {});
+    } catch (err) {
+      ui.notifications.error(err.message);
+    }
+  }
+
+  async _onRerollWeather() {
+    if (!CalendarPermissions.can(PERMISSIONS.EDIT_WEATHER)) return;
+
+    try {
+      await CalendarSocket.execute('generateWeather', { date: CalendarData.getState() });
+    } catch (err) {
+      ui.notifications.error(err.message);
+    }
+  }
+
+  async _onEditWeather() {
+    if (!CalendarPermissions.can(PERMISSIONS.EDIT_WEATHER)) return;
+
+    const weather = CalendarWeather.getWeather() ?? { condition: 'clear', temperature: 15, precipitation: 'none', wind: 0 };
+    const display = CalendarWeather.toDisplayUnits(weather);
+    const labels = CalendarWeather.getUnitLabels();
+
+    const conditionOptions = Object.entries(WEATHER_CONDITIONS).map(([id, condition]) =>
+      `<option value="${id}" ${id === weather.condition ? 'selected' : ''}>${condition.label}</option>`
+    ).join('');
+    const precipitationOptions = PRECIPITATION_LEVELS.map(level =>
+      `<option value="${level}" ${level === weather.precipitation ? 'selected' : ''}>${level.charAt(0).toUpperCase() + level.slice(1)}</option>`
+    ).join('');
+
+    const content = `
+      <form>
+        <div class="form-group">
+          <label>Condition</label>
+          <select name="condition">${conditionOptions}</select>
+        </div>
+        <div class="form-group">
+          <label>Temperature (${labels.temperature})</label>
+          <input type="number" name="temperature" value="${display.temperature}" />
+        </div>
+        <div class="form-group">
+          <label>Precipitation</label>
+          <select name="precipitation">${precipitationOptions}</select>
+        </div>
+        <div class="form-group">
+          <label>Wind (${labels.wind})</label>
+          <input type="number" name="wind" value="${display.wind}" min="0" />
+        </div>
+      </form>
+    `;
+
+    const result = await foundry.applications.api.DialogV2.wait({
+      window: { title: 'Set Weather' },
+      content,
+      buttons: [
+        {
+          action: 'set',
+          label: 'Set',
+          icon: 'fas fa-check',
+          default: true,
+          callback: (event, button, dialog) => {
+            const form = button.form;
+            return {
+              condition: form.querySelector('[name="condition"]').value,
+              precipitation: form.querySelector('[name="precipitation"]').value,
+              ...CalendarWeather.fromDisplayUnits({
+                temperature: parseInt(form.querySelector('[name="temperature"]').value) || 0,
+                wind: Math.max(0, parseInt(form.querySelector('[name="wind"]').value) || 0)
+              })
+            };
+          }
+        },
+        {
+          action: 'cancel',
+          label: 'Cancel',
+          icon: 'fas fa-times'
+        }
+      ],
+      rejectClose: false
+    });
+
+    if (result && result !== 'cancel') {
+      try {
+        await CalendarSocket.execute('setWeather', { date: CalendarData.getState(), changes: result });
+      } catch (err) {
+        ui.notifications.error(err.message);
+      }
+    }
+  }
+
+  async _onOpenReminders() {
+    if (!CalendarPermissions.can(PERMISSIONS.MANAGE_REMINDERS)) return;
+
+    const { CalendarReminderApp } = await import('./calendar-reminder-app.js');
+    new CalendarReminderApp().render({ force: true });
+  }
+
+  async _onOpenLibrary() {
+    if (!CalendarPermissions.can(PERMISSIONS.MANAGE_LIBRARY)) return;
+
+    const { CalendarLibraryApp } = await import('./calendar-library-app.js');
+    new CalendarLibraryApp().render({ force: true });
+  }
+
+  async _onChangeDisplayCalendar(calendarId) {
+    try {
+      await CalendarLibrary.setUserCalendar(calendarId || null);
+    } catch (err) {
+      ui.notifications.error(err.message);
+      return;
+    }
+    this._viewYear = null;
+    this._viewMonth = null;
+    this._selectedDate = null;
+    this.render();
+  }
+
+  async _onOpenConfig() {
+    if (!CalendarPermissions.can(PERMISSIONS.EDIT_CONFIG)) return;
+
+    const { CalendarConfigApp } = await import('./calendar-config-app.js');
+    new CalendarConfigApp().render({ force: true });
+  }
+
   /* -------------------------------------------- */
   /*  Time Updates                                */
   /* -------------------------------------------- */
@@ -446,8 +731,8 @@ export class CalendarApp extends HandlebarsApplicationMixin(ApplicationV2) {
         // Just update the time display without full re-render
         const timeEl = this.element?.querySelector('.calendar-time');
         if (timeEl) {
-          const newState = CalendarData.getState();
-          timeEl.textContent = CalendarTime.formatTime(newState.hour, newState.minute, newState.second);
+          const { config, state: newState } = CalendarLibrary.getDisplay();
+          timeEl.textContent = CalendarTime.formatTime(newState.hour, newState.minute, newState.second, config);
         }
       }
     }, 1000);
@@ -465,36 +750,40 @@ export class CalendarApp extends HandlebarsApplicationMixin(ApplicationV2) {
   /* -------------------------------------------- */
 
   async _prepareContext(options) {
-    const config = CalendarData.getConfig();
-    const state = CalendarData.getState();
+    // The panel shows the current moment in the calendar chosen for this user or scene
+    const display = CalendarLibrary.getDisplay();
+    const { config, state, isActive } = display;
 
     // Use view state if set, otherwise use actual date
     const viewYear = this._viewYear ?? state.year;
     const viewMonth = this._viewMonth ?? state.month;
 
-    // Calculate weekday for current date
-    const weekdayOffset = game.settings.get(MODULE_ID, SETTINGS.WEEKDAY_OFFSET) || 0;
+    // Calculate weekday for current date (the weekday offset belongs to the active calendar)
+    const weekdayOffset = isActive ? (game.settings.get(MODULE_ID, SETTINGS.WEEKDAY_OFFSET) || 0) : 0;
     const currentWeekday = CalendarTime.calculateWeekday(state.year, state.month, state.day, config, weekdayOffset);
 
     // Build calendar grid for viewed month
-    const grid = this._buildMonthGrid(viewYear, viewMonth, config);
+    const grid = this._buildMonthGrid(viewYear, viewMonth, config, display);
 
     // Get ordered weekdays
     const orderedWeekdays = this._getOrderedWeekdays(config);
 
     // Format current time
-    const timeString = CalendarTime.formatTime(state.hour, state.minute, state.second);
+    const timeString = CalendarTime.formatTime(state.hour, state.minute, state.second, config);
 
     // Get month and year display for view
     const viewMonthData = config.months[viewMonth];
-    const { yearPrefix, yearSuffix } = config.yearConfig;
-    const yearDisplay = `${yearPrefix}${viewYear}${yearSuffix}`;
+    const yearDisplay = CalendarTime.formatDate({ year: viewYear, month: viewMonth, day: 1 }, config, '{year}');
 
     // Format current date string
     const currentMonth = config.months[state.month];
-    const currentDateString = `${currentMonth?.name || ''} ${state.day}, ${yearPrefix}${state.year}${yearSuffix}`;
+    const currentDateString = CalendarTime.formatDate(state, config, 'date', { weekdayOffset });
+
+    // The current year in the calendar's other reckonings
+    const reckoningString = CalendarTime.getReckonings(state.year, config).map(r => r.text).join(' · ');
 
-    const isGM = game.user.isGM;
+    // Intercalary days outside the week have no weekday name
+    const currentSkipsWeekdays = CalendarTime.monthSkipsWeekdays(currentMonth);
 
     // Time units for selector
     const timeUnits = [
@@ -510,30 +799,104 @@ export class CalendarApp extends HandlebarsApplicationMixin(ApplicationV2) {
     // Get current season
     const currentSeason = CalendarTime.getCurrentSeason(state, config);
 
+    // Today's weather (weather is kept for the active calendar's dates)
+    let weather = null;
+    if (isActive && CalendarWeather.canView()) {
+      const todaysWeather = CalendarWeather.getWeather(state);
+      const condition = WEATHER_CONDITIONS[todaysWeather?.condition];
+      weather = {
+        rolled: !!todaysWeather,
+        label: condition?.label ?? 'Not rolled yet',
+        icon: condition?.icon ?? 'fa-question',
+        details: todaysWeather ? CalendarWeather.describe(todaysWeather) : '',
+        manual: !!todaysWeather?.manual
+      };
+    }
+
+    // Sunrise, sunset and the part of the day
+    const sunTimes = CalendarTime.getSunTimes(state, config);
+    const dayPeriod = CalendarTime.getDayPeriod(state, config);
+    const sun = {
+      sunrise: CalendarTime.formatSecondsToTime(sunTimes.sunrise, config),
+      sunset: CalendarTime.formatSecondsToTime(sunTimes.sunset, config),
+      period: dayPeriod,
+      ...CalendarApp.DAY_PERIODS[dayPeriod]
+    };
+
     // Get moon phases
     const moonPhases = CalendarTime.getAllMoonPhases(state, config);
 
+    // Controls depend on the user's calendar permissions
+    const canSetDate = CalendarPermissions.can(PERMISSIONS.SET_DATE);
+    const canToggleSync = CalendarPermissions.can(PERMISSIONS.TOGGLE_SYNC);
+    const canEditConfig = CalendarPermissions.can(PERMISSIONS.EDIT_CONFIG);
+    const canControlClock = CalendarPermissions.can(PERMISSIONS.CONTROL_CLOCK);
+    const canManageReminders = CalendarPermissions.can(PERMISSIONS.MANAGE_REMINDERS);
+    const canManageLibrary = CalendarPermissions.can(PERMISSIONS.MANAGE_LIBRARY);
+    const clockRunning = CalendarClock.isRunning();
+
+    // Notes for the selected day (defaults to the current date)
+    const selectedDate = this._selectedDate ?? { year: state.year, month: state.month, day: state.day };
+    const TextEditor = foundry.applications.ux.TextEditor.implementation;
+    const dayNotes = isActive ? CalendarNotes.getNotesForDate(selectedDate) : [];
+    const selectedNotes = await Promise.all(dayNotes.map(async note => ({
+      ...note,
+      category: CalendarNotes.getCategory(note),
+      timeRange: note.allDay ? '' : `${CalendarTime.formatSecondsToTime(note.startTime, config)} - ${CalendarTime.formatSecondsToTime(note.endTime, config)}`,
+      repeats: CalendarRecurrence.describeRecurrence(note.recurrence, note.originDate, config),
+      // Notes saved before details were sanitized are cleaned again before they are shown
+      enrichedContent: await TextEditor.enrichHTML(CalendarNotes.sanitizeContent(note.content)),
+      canEdit: CalendarNotes.canEdit(note)
+    })));
+
+    // Calendars this user can choose to show
+    const calendars = CalendarLibrary.getCalendars();
+    const userCalendarId = game.user.getFlag(MODULE_ID, FLAGS.DISPLAY_CALENDAR) || '';
+
     return {
       config,
       state,
+      isActive,
+      calendarChoices: calendars.length > 1
+        ? calendars.map(calendar => ({ id: calendar.id, name: calendar.name, selected: calendar.id === userCalendarId }))
+        : null,
+      userCalendarId,
       viewYear,
       viewMonth,
       viewMonthData,
       yearDisplay,
       timeString,
       currentWeekday,
-      weekdayName: config.weekdays[currentWeekday]?.name || '',
+      weekdayName: currentSkipsWeekdays ? '' : (config.weekdays[currentWeekday]?.name || ''),
+      weekLength: config.weekdays.length,
+      viewIsIntercalary: !!viewMonthData?.intercalary,
+      viewSkipsWeekdays: CalendarTime.monthSkipsWeekdays(viewMonthData),
+      viewHasDays: grid.length > 0,
       currentDateString,
+      reckoningString,
       orderedWeekdays,
       grid,
-      isGM,
       syncEnabled: state.syncEnabled,
-      playersCanAdvance: game.settings.get(MODULE_ID, SETTINGS.PLAYERS_CAN_ADVANCE),
-      canAdvance: isGM || game.settings.get(MODULE_ID, SETTINGS.PLAYERS_CAN_ADVANCE),
+      canAdvance: CalendarPermissions.can(PERMISSIONS.ADVANCE_TIME),
+      canSetDate,
+      canToggleSync,
+      canEditConfig,
+      canControlClock,
+      canManageReminders,
+      canManageLibrary,
+      clockRunning,
+      clockHeld: clockRunning && CalendarClock.isHeld(),
+      showGmControls: canSetDate || canToggleSync || canEditConfig || canControlClock || canManageReminders || canManageLibrary,
       timeUnits,
       selectedUnit: this._selectedUnit,
       currentSeason,
-      moonPhases
+      sun,
+      weather,
+      canEditWeather: CalendarPermissions.can(PERMISSIONS.EDIT_WEATHER),
+      moonPhases,
+      selectedDateString: CalendarTime.formatDate(selectedDate, config, 'date', { weekdayOffset }),
+      selectedNotes,
+      canCreateNotes: isActive && CalendarNotes.canCreate()
     };
   }
 }
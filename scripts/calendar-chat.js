@@ -0,0 +1,153 @@
+// Easy Calendar - Chat Announcements
+
+import { MODULE_ID, SETTINGS, MOON_PHASE_ICONS, NOTE_VISIBILITY } from './constants.js';
+import { CalendarData } from './calendar-data.js';
+import { CalendarNotes } from './calendar-notes.js';
+import * as CalendarTime from './calendar-time.js';
+
+// Who sees each kind of announcement
+export const CHAT_AUDIENCES = {
+  off: 'Off',
+  everyone: 'Everyone',
+  gm: 'GM only (whisper)'
+};
+
+/**
+ * CalendarChat posts a summary card to chat when the date moves forward
+ * Each kind of change (new day, month, season or moon phase) can be off, public or whispered to GMs.
+ * The active GM posts one public card listing the public changes and one whisper listing the GM-only ones.
+ */
+export class CalendarChat {
+
+  /** @type {Object|null} The last date seen, to tell what changed */
+  static _lastDate = null;
+
+  /** @type {string|null} The calendar of the last date; nothing is announced when the active calendar changes */
+  static _lastCalendarId = null;
+
+  /**
+   * Remember the current date
+   */
+  static initialize() {
+    this._lastDate = this._date(CalendarData.getState());
+    this._lastCalendarId = CalendarData.getConfig().id;
+  }
+
+  /**
+   * Announce a change of date (called on every client when the calendar state changes)
+   * @param {Object} state - The new calendar state
+   * @returns {Promise<ChatMessage[]|null>} The posted cards, or null if the date did not move forward
+   */
+  static async onStateChanged(state) {
+    const previous = this._lastDate;
+    const date = this._date(state);
+    const calendarId = CalendarData.getConfig().id;
+    const sameCalendar = calendarId === this._lastCalendarId;
+    this._lastDate = date;
+    this._lastCalendarId = calendarId;
+
+    if (!previous || !sameCalendar || game.user !== game.users.activeGM) return null;
+    if (CalendarTime.compareDates(date, previous) <= 0) return null;
+
+    const changes = this.getChanges(previous, date);
+    const publicChanges = changes.filter(change => this._getAudience(change.type) === 'everyone');
+    const gmChanges = changes.filter(change => this._getAudience(change.type) === 'gm');
+
+    const messages = [];
+    if (publicChanges.length) messages.push(await this.postSummary(date, { changes: publicChanges }));
+    if (gmChanges.length) messages.push(await this.postSummary(date, { changes: gmChanges, whisper: true }));
+    return messages;
+  }
+
+  /**
+   * Describe what changed between two dates
+   * @param {Object} from - Previous date { year, month, day }
+   * @param {Object} to - New date { year, month, day }
+   * @returns {Object[]} Changes [{ type: 'day' | 'month' | 'season' | 'moon', text }]
+   */
+  static getChanges(from, to) {
+    const config = CalendarData.getConfig();
+    const changes = [{ type: 'day', text: 'A new day begins' }];
+
+    if (from.year !== to.year || from.month !== to.month) {
+      changes.push({ type: 'month', text: `A new month begins: ${config.months[to.month]?.name ?? ''}` });
+    }
+
+    const fromSeason = CalendarTime.getCurrentSeason(from, config);
+    const toSeason = CalendarTime.getCurrentSeason(to, config);
+    if (toSeason && toSeason.id !== fromSeason?.id) {
+      changes.push({ type: 'season', text: `${toSeason.name} begins` });
+    }
+
+    for (const moon of config.moons || []) {
+      const fromPhase = CalendarTime.getMoonPhase(from, moon, config);
+      const toPhase = CalendarTime.getMoonPhase(to, moon, config);
+      if (toPhase && toPhase.phaseIndex !== fromPhase?.phaseIndex) {
+        changes.push({ type: 'moon', text: `${moon.name}: ${toPhase.phaseName}` });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Post a summary of a date to chat
+   * @param {Object} [date] - Date { year, month, day } (defaults to the current date)
+   * @param {Object} [options]
+   * @param {Object[]} [options.changes] - Changes to list at the top of the card (see getChanges)
+   * @param {boolean} [options.whisper=false] - Whisper to GMs instead of posting publicly
+   * @returns {Promise<ChatMessage>}
+   */
+  static async postSummary(date = CalendarData.getState(), { changes = [], whisper = false } = {}) {
+    const config = CalendarData.getConfig();
+    const content = this._renderSummary(this._date(date), config, { changes, whisper });
+
+    return ChatMessage.create({
+      content,
+      speaker: { alias: config.name || 'Easy Calendar' },
+      whisper: whisper ? ChatMessage.getWhisperRecipients('GM') : []
+    });
+  }
+
+  /* -------------------------------------------- */
+  /*  Helpers                                     */
+  /* -------------------------------------------- */
+
+  static _renderSummary(date, config, { changes, whisper }) {
+    const title = CalendarData.formatDate(date, 'long');
+
+    const season = CalendarTime.getCurrentSeason(date, config);
+    const moons = CalendarTime.getAllMoonPhases(date, config)
+      .map(moon => `${MOON_PHASE_ICONS[moon.icon] ?? ''} ${moon.moonName} (${moon.phaseName})`);
+
+    // Public cards only list notes everyone can see
+    const notes = CalendarNotes.getNotesForDate(date)
+      .filter(note => whisper || note.visibility === NOTE_VISIBILITY.PUBLIC);
+
+    const escape = (text) => foundry.utils.escapeHTML(String(text));
+    const list = (items) => `<ul>${items.map(item => `<li>${escape(item)}</li>`).join('')}</ul>`;
+
+    let html = `<div class="easy-calendar-chat-summary">`;
+    html += `<h3><i class="fas fa-calendar-day"></i> ${escape(title)}</h3>`;
+    if (changes.length) html += `<div class="chat-changes">${list(changes.map(change => change.text))}</div>`;
+    if (season) html += `<p><strong>Season:</strong> ${escape(season.name)}</p>`;
+    if (moons.length) html += `<p><strong>Moons:</strong></p>${list(moons)}`;
+    if (notes.length) html += `<p><strong>Events:</strong></p>${list(notes.map(note => note.title))}`;
+    html += `</div>`;
+    return html;
+  }
+
+  static _getAudience(type) {
+    const key = {
+      day: SETTINGS.CHAT_NEW_DAY,
+      month: SETTINGS.CHAT_NEW_MONTH,
+      season: SETTINGS.CHAT_NEW_SEASON,
+      moon: SETTINGS.CHAT_MOON_PHASE
+    }[type];
+    return game.settings.get(MODULE_ID, key) || 'off';
+  }
+
+  static _date({ year, month, day }) {
+    return { year, month, day };
+  }
+}
@@ -0,0 +1,120 @@
+// Easy Calendar - Real-Time Clock
+
+import { MODULE_ID, SETTINGS, PERMISSIONS } from './constants.js';
+import { CalendarData } from './calendar-data.js';
+import { CalendarPermissions } from './calendar-permissions.js';
+
+/**
+ * CalendarClock advances the calendar while the game runs
+ * Every GM client keeps a timer, but only the active GM writes the new time. The clock holds
+ * while the game is paused or a combat is running; with auto-resume off, those stop it instead.
+ */
+export class CalendarClock {
+
+  static _interval = null;
+  static _lastTick = 0;
+  static _carry = 0;
+  static _advancing = false;
+
+  /**
+   * Register hooks and start the timer on GM clients
+   */
+  static initialize() {
+    if (!game.user.isGM) return;
+
+    Hooks.on('pauseGame', (paused) => {
+      if (paused) this._onHold();
+    });
+    Hooks.on('combatStart', () => this._onHold());
+
+    this.restartTimer();
+  }
+
+  /**
+   * Whether the clock is switched on
+   * @returns {boolean}
+   */
+  static isRunning() {
+    return !!game.settings.get(MODULE_ID, SETTINGS.CLOCK_RUNNING);
+  }
+
+  /**
+   * Whether a running clock is currently held by a paused game or an active combat
+   * @returns {boolean}
+   */
+  static isHeld() {
+    return game.paused || game.combats.some(combat => combat.started);
+  }
+
+  /**
+   * Start the clock
+   * Writes the clock setting directly; other users go through CalendarSocket.execute('startClock').
+   * @param {User} [user] - The user starting the clock (defaults to the current user)
+   * @returns {Promise<void>}
+   */
+  static async start(user = game.user) {
+    if (!CalendarPermissions.can(PERMISSIONS.CONTROL_CLOCK, user)) {
+      throw new Error('You do not have permission to start the calendar clock.');
+    }
+    await game.settings.set(MODULE_ID, SETTINGS.CLOCK_RUNNING, true);
+    Hooks.callAll('easyCalendarClockChanged', true);
+  }
+
+  /**
+   * Stop the clock
+   * @param {User} [user] - The user stopping the clock (defaults to the current user)
+   * @returns {Promise<void>}
+   */
+  static async stop(user = game.user) {
+    if (!CalendarPermissions.can(PERMISSIONS.CONTROL_CLOCK, user)) {
+      throw new Error('You do not have permission to stop the calendar clock.');
+    }
+    await game.settings.set(MODULE_ID, SETTINGS.CLOCK_RUNNING, false);
+    Hooks.callAll('easyCalendarClockChanged', false);
+  }
+
+  /**
+   * (Re)start the timer with the configured update interval
+   */
+  static restartTimer() {
+    if (this._interval) clearInterval(this._interval);
+
+    const seconds = Math.max(1, game.settings.get(MODULE_ID, SETTINGS.CLOCK_INTERVAL) || 5);
+    this._lastTick = Date.now();
+    this._carry = 0;
+    this._interval = setInterval(() => this._tick(), seconds * 1000);
+  }
+
+  static async _tick() {
+    const now = Date.now();
+    const elapsed = (now - this._lastTick) / 1000;
+    this._lastTick = now;
+
+    if (!this.isRunning() || this.isHeld()) return;
+    if (game.user !== game.users.activeGM || this._advancing) return;
+
+    // Keep fractions of a game second so slow ratios still add up
+    const ratio = game.settings.get(MODULE_ID, SETTINGS.CLOCK_RATIO) || 0;
+    this._carry += elapsed * ratio;
+    const seconds = Math.floor(this._carry);
+    if (seconds <= 0) return;
+    this._carry -= seconds;
+
+    this._advancing = true;
+    try {
+      await CalendarData.advance(seconds, 'second');
+    } finally {
+      this._advancing = false;
+    }
+  }
+
+  /**
+   * The game was paused or a combat started: stop the clock unless it should resume afterwards
+   */
+  static async _onHold() {
+    if (game.user !== game.users.activeGM || !this.isRunning()) return;
+    if (!game.settings.get(MODULE_ID, SETTINGS.CLOCK_AUTO_RESUME)) {
+      await this.stop();
+    }
+  }
+}
@@ -0,0 +1,88 @@
+// Easy Calendar - Combat Rounds
+
+import { MODULE_ID, SETTINGS } from './constants.js';
+import { CalendarData } from './calendar-data.js';
+
+/**
+ * CalendarCombat moves the calendar as combat rounds pass
+ * With world time sync on, the calendar follows world time, so the round length replaces the
+ * world time Foundry would add for the round. With sync off, the active GM advances the calendar
+ * directly and world time is left to Foundry.
+ */
+export class CalendarCombat {
+
+  /** @type {Map<string, number>} Last round seen for each combat */
+  static _rounds = new Map();
+
+  /**
+   * Register combat hooks
+   */
+  static initialize() {
+    for (const combat of game.combats) {
+      this._rounds.set(combat.id, combat.round);
+    }
+
+    Hooks.on('combatRound', (combat, updateData, updateOptions) => this._onCombatRound(combat, updateData, updateOptions));
+    Hooks.on('updateCombat', (combat, changed) => this._onUpdateCombat(combat, changed));
+    Hooks.on('deleteCombat', (combat) => this._rounds.delete(combat.id));
+  }
+
+  /**
+   * Whether combat rounds move the calendar
+   * @returns {boolean}
+   */
+  static isEnabled() {
+    return !!game.settings.get(MODULE_ID, SETTINGS.COMBAT_ADVANCE);
+  }
+
+  /**
+   * Game seconds that pass per combat round
+   * @returns {number}
+   */
+  static getRoundTime() {
+    return Math.max(0, Number(game.settings.get(MODULE_ID, SETTINGS.COMBAT_ROUND_TIME)) || 0);
+  }
+
+  /**
+   * Game seconds that pass between two rounds (negative when going back)
+   * Starting a combat (round 0 to 1) takes no time.
+   * @param {number} fromRound - Previous round
+   * @param {number} toRound - New round
+   * @returns {number}
+   */
+  static getElapsed(fromRound, toRound) {
+    if (!this.isEnabled()) return 0;
+    return (Math.max(toRound, 1) - Math.max(fromRound, 1)) * this.getRoundTime();
+  }
+
+  /**
+   * Replace the world time Foundry adds for a round while sync is on
+   * Runs on the client that changes the round, before the update is sent.
+   * @private
+   */
+  static _onCombatRound(combat, updateData, updateOptions) {
+    if (!CalendarData.getState().syncEnabled) return;
+
+    const delta = this.getElapsed(combat.round, updateData.round ?? combat.round);
+    updateOptions.worldTime = { ...updateOptions.worldTime, delta };
+  }
+
+  /**
+   * Advance the calendar for a round change while sync is off (active GM only)
+   * @private
+   */
+  static async _onUpdateCombat(combat, changed) {
+    if (!('round' in changed)) return;
+
+    const previous = this._rounds.get(combat.id) ?? 0;
+    this._rounds.set(combat.id, changed.round);
+
+    if (game.user !== game.users.activeGM) return;
+    if (CalendarData.getState().syncEnabled) return;
+
+    const seconds = this.getElapsed(previous, changed.round);
+    if (seconds !== 0) {
+      await CalendarData.advance(seconds, 'second');
+    }
+  }
+}
@@ -1,8 +1,16 @@
-// Easy Calendar - Configuration Application (GM Only)
+// Easy Calendar - Configuration Application
 
-import { MODULE_ID } from './constants.js';
+import { MODULE_ID, DEFAULT_MOON, MOON_PHASE_ICONS, DEFAULT_TRIGGER, TRIGGER_EVENTS, DEFAULT_ERA, DEFAULT_RECKONING } from './constants.js';
 import { CalendarData } from './calendar-data.js';
+import { CalendarSocket } from './calendar-socket.js';
+import { CalendarTriggers } from './calendar-triggers.js';
+import { CalendarNotes } from './calendar-notes.js';
 import { getPresetChoices, getPreset } from './calendar-presets.js';
+import * as CalendarTime from './calendar-time.js';
+import { validateConfig, repairConfig, describeProblems, getPhaseTotal, phasesFitCycle, fitPhasesToCycle } from './calendar-schema.js';
+import { SCHEMA_VERSION, migrateExport } from './calendar-migrations.js';
+import { getSimpleCalendars, convertSimpleCalendar, toSimpleCalendar } from './calendar-simple-calendar.js';
+import { isFantasyCalendar, convertFantasyCalendar } from './calendar-fantasy-calendar.js';
 
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
@@ -11,6 +19,7 @@ export class CalendarConfigApp extends HandlebarsApplicationMixin(ApplicationV2)
   constructor(options = {}) {
     super(options);
     this._editingConfig = null;
+    this._editingTriggers = null;
   }
 
   /* -------------------------------------------- */
@@ -56,12 +65,77 @@ export class CalendarConfigApp extends HandlebarsApplicationMixin(ApplicationV2)
     const config = this._editingConfig ?? CalendarData.getConfig();
     const presets = getPresetChoices();
 
+    // Show each month's stored extra days, not just whether it is a leap month
+    const leapMonths = config.months.map(month => {
+      const leapMonth = config.leapYear?.months?.find(m => m.monthId === month.id);
+      return {
+        id: month.id,
+        name: month.name,
+        checked: !!leapMonth,
+        extraDays: leapMonth?.extraDays ?? 1
+      };
+    });
+
+    // Season sunrise and sunset as HH:MM
+    const seasons = (config.seasons || []).map(season => ({
+      ...season,
+      sunrise: CalendarTime.formatSecondsToTime(season.sunriseTime ?? 21600, config),
+      sunset: CalendarTime.formatSecondsToTime(season.sunsetTime ?? 64800, config)
+    }));
+
+    // Moons with the total length of their phases, which must match the cycle
+    const moons = (config.moons || []).map(moon => {
+      const phaseTotal = getPhaseTotal(moon);
+      return {
+        ...moon,
+        cycleOffset: moon.cycleOffset ?? 0,
+        phaseTotal: Math.round(phaseTotal * 100) / 100,
+        phasesFit: phasesFitCycle(moon)
+      };
+    });
+
+    // Macro triggers, with today as the date for triggers that have none yet
+    const state = CalendarData.getState();
+    const triggers = (this._editingTriggers ?? CalendarTriggers.getTriggers()).map(trigger => ({
+      ...trigger,
+      date: trigger.date ?? { year: state.year, month: state.month, day: state.day }
+    }));
+
+    // Format strings, with the current date as an example
+    const formats = CalendarTime.getFormats(config);
+    const formatPreview = Object.fromEntries(Object.keys(formats).map(format => [
+      format,
+      CalendarTime.formatDate(state, config, format)
+    ]));
+
     return {
       config,
       presets,
+      seasons,
+      moons,
+      formats,
+      formatPreview,
+      isGM: game.user.isGM,
+      triggers,
+      triggerEvents: {
+        [TRIGGER_EVENTS.DATE]: 'On a date',
+        [TRIGGER_EVENTS.NEW_DAY]: 'New day',
+        [TRIGGER_EVENTS.NEW_MONTH]: 'New month',
+        [TRIGGER_EVENTS.NEW_YEAR]: 'New year',
+        [TRIGGER_EVENTS.SEASON]: 'Season begins',
+        [TRIGGER_EVENTS.FULL_MOON]: 'Full moon'
+      },
+      moonIcons: Object.fromEntries(Object.entries(MOON_PHASE_ICONS).map(([icon, emoji]) => [
+        icon,
+        `${emoji} ${icon.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ')}`
+      ])),
+      leapMonths,
+      leapYears: (config.leapYear?.years || []).join(', '),
       leapYearRules: {
         gregorian: 'Gregorian (every 4, except 100, except 400)',
-        simple: 'Simple Interval'
+        simple: 'Simple Interval',
+        custom: 'Custom Rules',
+        list: 'List of Years'
       }
     };
   }
@@ -125,6 +199,71 @@ export class CalendarConfigApp extends HandlebarsApplicationMixin(ApplicationV2)
     el.querySelectorAll('[data-action="remove-moon"]').forEach(btn => {
       btn.addEventListener('click', (e) => this._onRemoveMoon(e));
     });
+    el.querySelectorAll('[data-action="add-phase"]').forEach(btn => {
+      btn.addEventListener('click', (e) => this._onAddPhase(e));
+    });
+    el.querySelectorAll('[data-action="remove-phase"]').forEach(btn => {
+      btn.addEventListener('click', (e) => this._onRemovePhase(e));
+    });
+    el.querySelectorAll('[data-action="move-phase-up"]').forEach(btn => {
+      btn.addEventListener('click', (e) => this._onMovePhase(e, -1));
+    });
+    el.querySelectorAll('[data-action="move-phase-down"]').forEach(btn => {
+      btn.addEventListener('click', (e) => this._onMovePhase(e, 1));
+    });
+    el.querySelectorAll('[data-action="fit-phases"]').forEach(btn => {
+      btn.addEventListener('click', (e) => this._onFitPhases(e));
+    });
+    el.querySelectorAll('[name="phase-single-day"]').forEach(cb => {
+      cb.addEventListener('change', (e) => {
+        const length = e.currentTarget.closest('.moon-phase-row').querySelector('[name="phase-length"]');
+        if (!length) return;
+        length.disabled = e.currentTarget.checked;
+        if (e.currentTarget.checked) length.value = 1;
+      });
+    });
+
+    // Leap year rules
+    el.querySelector('[data-action="add-leap-clause"]')?.addEventListener('click', () => this._onAddLeapClause());
+    el.querySelectorAll('[data-action="remove-leap-clause"]').forEach(btn => {
+      btn.addEventListener('click', (e) => this._onRemoveLeapClause(e));
+    });
+    el.querySelector('[name="leapYear.rule"]')?.addEventListener('change', () => this._updateLeapRuleFields());
+    this._updateLeapRuleFields();
+
+    // Eras and reckonings
+    el.querySelector('[data-action="add-era"]')?.addEventListener('click', () => this._onAddEra());
+    el.querySelectorAll('[data-action="remove-era"]').forEach(btn => {
+      btn.addEventListener('click', (e) => this._onRemoveEra(e));
+    });
+    el.querySelector('[data-action="add-reckoning"]')?.addEventListener('click', () => this._onAddReckoning());
+    el.querySelectorAll('[data-action="remove-reckoning"]').forEach(btn => {
+      btn.addEventListener('click', (e) => this._onRemoveReckoning(e));
+    });
+
+    // Macro triggers
+    el.querySelector('[data-action="add-trigger"]')?.addEventListener('click', () => this._onAddTrigger());
+    el.querySelectorAll('[data-action="remove-trigger"]').forEach(btn => {
+      btn.addEventListener('click', (e) => this._onRemoveTrigger(e));
+    });
+    el.querySelectorAll('[name="trigger-event"]').forEach(select => {
+      select.addEventListener('change', () => this._updateTriggerFields());
+    });
+    el.querySelectorAll('[name="trigger-macro"]').forEach(input => {
+      input.addEventListener('drop', (e) => {
+        const data = foundry.applications.ux.TextEditor.implementation.getDragEventData(e);
+        if (data?.type !== 'Macro' || !data.uuid) return;
+        e.preventDefault();
+        e.currentTarget.value = data.uuid;
+        this._onInputChange();
+      });
+    });
+    this._updateTriggerFields();
+
+    // Preview format strings as they are typed
+    el.querySelectorAll('[data-format-preview]').forEach(input => {
+      input.addEventListener('input', (e) => this._updateFormatPreview(e.currentTarget));
+    });
 
     // Export/Import
     el.querySelector('[data-action="export"]')?.addEventListener('click', () => this._onExport());
@@ -138,6 +277,14 @@ export class CalendarConfigApp extends HandlebarsApplicationMixin(ApplicationV2)
     el.querySelectorAll('input, select').forEach(input => {
       input.addEventListener('change', () => this._onInputChange());
     });
+
+    // Weekday skipping only applies to intercalary months
+    el.querySelectorAll('[name="month-intercalary"]').forEach(cb => {
+      cb.addEventListener('change', (e) => {
+        const skip = e.currentTarget.closest('.month-row').querySelector('[name="month-skip-weekdays"]');
+        if (skip) skip.disabled = !e.currentTarget.checked;
+      });
+    });
   }
 
   _getConfigFromForm() {
@@ -152,10 +299,45 @@ export class CalendarConfigApp extends HandlebarsApplicationMixin(ApplicationV2)
     // Year config - preserve startingYear from existing config
     config.yearConfig = config.yearConfig || {};
     config.yearConfig.startingYear = config.yearConfig.startingYear || 1;
-    config.yearConfig.yearZeroExists = config.yearConfig.yearZeroExists || false;
+    config.yearConfig.yearZeroExists = el.querySelector('[name="yearConfig.yearZeroExists"]')?.checked ?? false;
     config.yearConfig.yearPrefix = el.querySelector('[name="yearConfig.yearPrefix"]')?.value || '';
     config.yearConfig.yearSuffix = el.querySelector('[name="yearConfig.yearSuffix"]')?.value || '';
 
+    // Eras; an empty start year means the era covers every earlier year
+    config.yearConfig.eras = [...el.querySelectorAll('.era-row')].map((row, index) => {
+      const eraId = row.dataset.eraId || `era-${index}`;
+      const detailsRow = el.querySelector(`.era-details[data-era-id="${row.dataset.eraId}"]`);
+      const startYear = parseInt(row.querySelector('[name="era-start"]')?.value);
+      const startNumber = parseInt(detailsRow?.querySelector('[name="era-start-number"]')?.value);
+      return {
+        id: eraId,
+        name: row.querySelector('[name="era-name"]')?.value || `Era ${index + 1}`,
+        abbreviation: row.querySelector('[name="era-abbr"]')?.value || '',
+        startYear: Number.isNaN(startYear) ? null : startYear,
+        startNumber: Number.isNaN(startNumber) ? DEFAULT_ERA.startNumber : startNumber,
+        countDown: detailsRow?.querySelector('[name="era-count-down"]')?.checked ?? false,
+        prefix: detailsRow?.querySelector('[name="era-prefix"]')?.value || '',
+        suffix: detailsRow?.querySelector('[name="era-suffix"]')?.value || ''
+      };
+    });
+
+    // Other reckonings
+    config.yearConfig.reckonings = [...el.querySelectorAll('.reckoning-row')].map((row, index) => ({
+      id: row.dataset.reckoningId || `reckoning-${index}`,
+      name: row.querySelector('[name="reckoning-name"]')?.value || `Reckoning ${index + 1}`,
+      abbreviation: row.querySelector('[name="reckoning-abbr"]')?.value || '',
+      offset: parseInt(row.querySelector('[name="reckoning-offset"]')?.value) || 0,
+      prefix: row.querySelector('[name="reckoning-prefix"]')?.value || '',
+      suffix: row.querySelector('[name="reckoning-suffix"]')?.value || ''
+    }));
+
+    // Format strings, falling back to the defaults when cleared
+    const defaultFormats = CalendarTime.getFormats(null);
+    config.formats = Object.fromEntries(Object.keys(defaultFormats).map(format => [
+      format,
+      el.querySelector(`[name="formats.${format}"]`)?.value || defaultFormats[format]
+    ]));
+
     // Time config
     config.time = config.time || {};
     config.time.hoursPerDay = parseInt(el.querySelector('[name="time.hoursPerDay"]')?.value) || 24;
@@ -164,22 +346,40 @@ export class CalendarConfigApp extends HandlebarsApplicationMixin(ApplicationV2)
 
     // First weekday
     config.firstWeekday = parseInt(el.querySelector('[name="firstWeekday"]')?.value) || 0;
+    config.epochWeekday = parseInt(el.querySelector('[name="epochWeekday"]')?.value) || 0;
 
     // Leap year config
     config.leapYear = config.leapYear || {};
     config.leapYear.enabled = el.querySelector('[name="leapYear.enabled"]')?.checked || false;
     config.leapYear.rule = el.querySelector('[name="leapYear.rule"]')?.value || 'gregorian';
     config.leapYear.interval = parseInt(el.querySelector('[name="leapYear.interval"]')?.value) || 4;
+    config.leapYear.offset = parseInt(el.querySelector('[name="leapYear.offset"]')?.value) || 0;
+    config.leapYear.clauses = [];
+    el.querySelectorAll('.leap-clause-row').forEach(row => {
+      config.leapYear.clauses.push({
+        divisor: Math.max(1, parseInt(row.querySelector('[name="leap-clause-divisor"]')?.value) || 1),
+        type: row.querySelector('[name="leap-clause-type"]')?.value === 'exclude' ? 'exclude' : 'include'
+      });
+    });
+    config.leapYear.years = (el.querySelector('[name="leapYear.years"]')?.value || '')
+      .split(',')
+      .map(year => parseInt(year))
+      .filter(year => !Number.isNaN(year));
 
     // Months
     const monthRows = el.querySelectorAll('.month-row');
     config.months = [];
     monthRows.forEach((row, index) => {
+      const intercalary = row.querySelector('[name="month-intercalary"]')?.checked || false;
+      const days = parseInt(row.querySelector('[name="month-days"]')?.value);
       config.months.push({
         id: row.dataset.monthId || `month-${index}`,
         name: row.querySelector('[name="month-name"]')?.value || `Month ${index + 1}`,
         abbreviation: row.querySelector('[name="month-abbr"]')?.value || `M${index + 1}`,
-        days: parseInt(row.querySelector('[name="month-days"]')?.value) || 30
+        // Only intercalary months may have no days (e.g. a leap-year-only festival)
+        days: Number.isNaN(days) || (days < 1 && !intercalary) ? 30 : Math.max(days, 0),
+        intercalary,
+        skipWeekdays: intercalary && (row.querySelector('[name="month-skip-weekdays"]')?.checked || false)
       });
     });
 
@@ -216,8 +416,8 @@ export class CalendarConfigApp extends HandlebarsApplicationMixin(ApplicationV2)
         icon: row.querySelector('[name="season-icon"]')?.value || 'spring',
         startingMonth: parseInt(detailsRow?.querySelector('[name="season-month"]')?.value) || 0,
         startingDay: parseInt(detailsRow?.querySelector('[name="season-day"]')?.value) || 1,
-        sunriseTime: 21600,
-        sunsetTime: 64800
+        sunriseTime: CalendarTime.parseTimeString(detailsRow?.querySelector('[name="season-sunrise"]')?.value || '06:00', config),
+        sunsetTime: CalendarTime.parseTimeString(detailsRow?.querySelector('[name="season-sunset"]')?.value || '18:00', config)
       });
     });
 
@@ -225,31 +425,115 @@ export class CalendarConfigApp extends HandlebarsApplicationMixin(ApplicationV2)
     const moonRows = el.querySelectorAll('.moon-row');
     config.moons = [];
     moonRows.forEach((row, index) => {
-      const existingMoon = (this._editingConfig?.moons || config.moons || [])[index];
+      const moonId = row.dataset.moonId || `moon-${index}`;
+      const detailsRow = el.querySelector(`.moon-details[data-moon-id="${row.dataset.moonId}"]`);
+      const existingMoon = (this._editingConfig?.moons || []).find(m => m.id === moonId);
+
+      const phaseRows = detailsRow?.querySelectorAll('.moon-phase-row');
+      const phases = phaseRows
+        ? [...phaseRows].map((phaseRow, phaseIndex) => {
+          const singleDay = phaseRow.querySelector('[name="phase-single-day"]')?.checked ?? false;
+          return {
+            name: phaseRow.querySelector('[name="phase-name"]')?.value || `Phase ${phaseIndex + 1}`,
+            length: singleDay ? 1 : Math.max(parseFloat(phaseRow.querySelector('[name="phase-length"]')?.value) || 0, 0),
+            icon: phaseRow.querySelector('[name="phase-icon"]')?.value || 'new',
+            singleDay
+          };
+        })
+        : foundry.utils.deepClone(existingMoon?.phases || DEFAULT_MOON.phases);
+
       config.moons.push({
-        id: row.dataset.moonId || `moon-${index}`,
+        id: moonId,
         name: row.querySelector('[name="moon-name"]')?.value || `Moon ${index + 1}`,
         color: row.querySelector('[name="moon-color"]')?.value || '#ffffff',
         cycleLength: parseFloat(row.querySelector('[name="moon-cycle"]')?.value) || 29.53059,
-        phases: existingMoon?.phases || [
-          { name: 'New Moon', length: 1, icon: 'new', singleDay: true },
-          { name: 'Waxing Crescent', length: 6.38265, icon: 'waxing-crescent', singleDay: false },
-          { name: 'First Quarter', length: 1, icon: 'first-quarter', singleDay: true },
-          { name: 'Waxing Gibbous', length: 6.38265, icon: 'waxing-gibbous', singleDay: false },
-          { name: 'Full Moon', length: 1, icon: 'full', singleDay: true },
-          { name: 'Waning Gibbous', length: 6.38265, icon: 'waning-gibbous', singleDay: false },
-          { name: 'Last Quarter', length: 1, icon: 'last-quarter', singleDay: true },
-          { name: 'Waning Crescent', length: 6.38265, icon: 'waning-crescent', singleDay: false }
-        ],
-        referenceNewMoon: existingMoon?.referenceNewMoon || { year: 2000, month: 0, day: 6 }
+        cycleOffset: parseFloat(detailsRow?.querySelector('[name="moon-offset"]')?.value) || 0,
+        phases,
+        referenceNewMoon: detailsRow ? {
+          year: parseInt(detailsRow.querySelector('[name="moon-ref-year"]')?.value) || 0,
+          month: parseInt(detailsRow.querySelector('[name="moon-ref-month"]')?.value) || 0,
+          day: parseInt(detailsRow.querySelector('[name="moon-ref-day"]')?.value) || 1
+        } : existingMoon?.referenceNewMoon || { ...DEFAULT_MOON.referenceNewMoon }
       });
     });
 
     return config;
   }
 
+  _getTriggersFromForm() {
+    const el = this.element;
+
+    return [...el.querySelectorAll('.trigger-row')].map(row => {
+      const triggerId = row.dataset.triggerId;
+      const detailsRow = el.querySelector(`.trigger-details[data-trigger-id="${triggerId}"]`);
+      const event = row.querySelector('[name="trigger-event"]')?.value || DEFAULT_TRIGGER.event;
+
+      return {
+        id: triggerId,
+        name: row.querySelector('[name="trigger-name"]')?.value || DEFAULT_TRIGGER.name,
+        event,
+        enabled: row.querySelector('[name="trigger-enabled"]')?.checked ?? true,
+        macro: detailsRow?.querySelector('[name="trigger-macro"]')?.value.trim() || null,
+        date: event === TRIGGER_EVENTS.DATE ? {
+          year: parseInt(detailsRow?.querySelector('[name="trigger-year"]')?.value) || 0,
+          month: parseInt(detailsRow?.querySelector('[name="trigger-month"]')?.value) || 0,
+          day: parseInt(detailsRow?.querySelector('[name="trigger-day"]')?.value) || 1
+        } : null,
+        seasonId: detailsRow?.querySelector('[name="trigger-season"]')?.value || null,
+        moonId: detailsRow?.querySelector('[name="trigger-moon"]')?.value || null
+      };
+    });
+  }
+
   _onInputChange() {
     this._editingConfig = this._getConfigFromForm();
+    if (game.user.isGM) {
+      this._editingTriggers = this._getTriggersFromForm();
+    }
+  }
+
+  _updateFormatPreview(input) {
+    const format = input.dataset.formatPreview;
+    const preview = this.element.querySelector(`.format-preview[data-format="${format}"]`);
+    if (!preview) return;
+
+    const config = this._editingConfig ?? CalendarData.getConfig();
+    preview.textContent = CalendarTime.formatDate(CalendarData.getState(), config, input.value || CalendarTime.getFormats(null)[format]);
+  }
+
+  _updateTriggerFields() {
+    this.element.querySelectorAll('.trigger-details').forEach(detailsRow => {
+      const row = this.element.querySelector(`.trigger-row[data-trigger-id="${detailsRow.dataset.triggerId}"]`);
+      const event = row?.querySelector('[name="trigger-event"]')?.value;
+      detailsRow.querySelectorAll('[data-trigger-event]').forEach(field => {
+        field.classList.toggle('hidden', field.dataset.triggerEvent !== event);
+      });
+    });
+  }
+
+  _updateLeapRuleFields() {
+    const el = this.element;
+    const rule = el.querySelector('[name="leapYear.rule"]')?.value;
+    el.querySelectorAll('[data-leap-rule]').forEach(field => {
+      field.classList.toggle('hidden', !field.dataset.leapRule.split(' ').includes(rule));
+    });
+  }
+
+  async _onAddLeapClause() {
+    const config = this._getConfigFromForm();
+    config.leapYear.clauses.push({ divisor: 4, type: 'include' });
+    this._editingConfig = config;
+    this.render();
+  }
+
+  async _onRemoveLeapClause(event) {
+    const rows = [...this.element.querySelectorAll('.leap-clause-row')];
+    const index = rows.indexOf(event.currentTarget.closest('.leap-clause-row'));
+
+    const config = this._getConfigFromForm();
+    config.leapYear.clauses.splice(index, 1);
+    this._editingConfig = config;
+    this.render();
   }
 
   async _onLoadPreset() {
@@ -336,6 +620,9 @@ export class CalendarConfigApp extends HandlebarsApplicationMixin(ApplicationV2)
     if (config.firstWeekday >= config.weekdays.length) {
       config.firstWeekday = 0;
     }
+    if (config.epochWeekday >= config.weekdays.length) {
+      config.epochWeekday = 0;
+    }
 
     this._editingConfig = config;
     this.render();
@@ -410,21 +697,9 @@ export class CalendarConfigApp extends HandlebarsApplicationMixin(ApplicationV2)
     const newId = `moon-${foundry.utils.randomID(8)}`;
     config.moons = config.moons || [];
     config.moons.push({
+      ...foundry.utils.deepClone(DEFAULT_MOON),
       id: newId,
-      name: 'New Moon',
-      cycleLength: 29.53059,
-      color: '#ffffff',
-      phases: [
-        { name: 'New Moon', length: 1, icon: 'new', singleDay: true },
-        { name: 'Waxing Crescent', length: 6.38265, icon: 'waxing-crescent', singleDay: false },
-        { name: 'First Quarter', length: 1, icon: 'first-quarter', singleDay: true },
-        { name: 'Waxing Gibbous', length: 6.38265, icon: 'waxing-gibbous', singleDay: false },
-        { name: 'Full Moon', length: 1, icon: 'full', singleDay: true },
-        { name: 'Waning Gibbous', length: 6.38265, icon: 'waning-gibbous', singleDay: false },
-        { name: 'Last Quarter', length: 1, icon: 'last-quarter', singleDay: true },
-        { name: 'Waning Crescent', length: 6.38265, icon: 'waning-crescent', singleDay: false }
-      ],
-      referenceNewMoon: { year: 2000, month: 0, day: 6 }
+      name: 'New Moon'
     });
     this._editingConfig = config;
     this.render();
@@ -441,35 +716,185 @@ export class CalendarConfigApp extends HandlebarsApplicationMixin(ApplicationV2)
     this.render();
   }
 
+  // Era and reckoning management
+  async _onAddEra() {
+    const config = this._getConfigFromForm();
+    config.yearConfig.eras.push({
+      ...foundry.utils.deepClone(DEFAULT_ERA),
+      id: `era-${foundry.utils.randomID(8)}`
+    });
+    this._editingConfig = config;
+    this.render();
+  }
+
+  async _onRemoveEra(event) {
+    const eraId = event.currentTarget.closest('.era-row').dataset.eraId;
+    const config = this._getConfigFromForm();
+    config.yearConfig.eras = config.yearConfig.eras.filter(e => e.id !== eraId);
+    this._editingConfig = config;
+    this.render();
+  }
+
+  async _onAddReckoning() {
+    const config = this._getConfigFromForm();
+    config.yearConfig.reckonings.push({
+      ...foundry.utils.deepClone(DEFAULT_RECKONING),
+      id: `reckoning-${foundry.utils.randomID(8)}`
+    });
+    this._editingConfig = config;
+    this.render();
+  }
+
+  async _onRemoveReckoning(event) {
+    const reckoningId = event.currentTarget.closest('.reckoning-row').dataset.reckoningId;
+    const config = this._getConfigFromForm();
+    config.yearConfig.reckonings = config.yearConfig.reckonings.filter(r => r.id !== reckoningId);
+    this._editingConfig = config;
+    this.render();
+  }
+
+  // Macro trigger management
+  async _onAddTrigger() {
+    this._editingConfig = this._getConfigFromForm();
+    this._editingTriggers = [
+      ...this._getTriggersFromForm(),
+      { ...foundry.utils.deepClone(DEFAULT_TRIGGER), id: foundry.utils.randomID() }
+    ];
+    this.render();
+  }
+
+  async _onRemoveTrigger(event) {
+    const triggerId = event.currentTarget.closest('.trigger-row').dataset.triggerId;
+
+    this._editingConfig = this._getConfigFromForm();
+    this._editingTriggers = this._getTriggersFromForm().filter(t => t.id !== triggerId);
+    this.render();
+  }
+
+  // Moon phase management
+  _getPhaseTarget(event) {
+    const details = event.currentTarget.closest('.moon-details');
+    const phaseRow = event.currentTarget.closest('.moon-phase-row');
+    const config = this._getConfigFromForm();
+    const moon = (config.moons || []).find(m => m.id === details?.dataset.moonId);
+    return { config, moon, phaseIndex: phaseRow ? parseInt(phaseRow.dataset.phaseIndex) : -1 };
+  }
+
+  async _onAddPhase(event) {
+    const { config, moon } = this._getPhaseTarget(event);
+    if (!moon) return;
+
+    moon.phases.push({ name: 'New Phase', length: 1, icon: 'new', singleDay: false });
+    this._editingConfig = config;
+    this.render();
+  }
+
+  async _onRemovePhase(event) {
+    const { config, moon, phaseIndex } = this._getPhaseTarget(event);
+    if (!moon) return;
+
+    moon.phases.splice(phaseIndex, 1);
+    this._editingConfig = config;
+    this.render();
+  }
+
+  async _onMovePhase(event, direction) {
+    const { config, moon, phaseIndex } = this._getPhaseTarget(event);
+    if (!moon) return;
+
+    const newIndex = phaseIndex + direction;
+    if (newIndex < 0 || newIndex >= moon.phases.length) return;
+
+    // Swap
+    [moon.phases[phaseIndex], moon.phases[newIndex]] = [moon.phases[newIndex], moon.phases[phaseIndex]];
+
+    this._editingConfig = config;
+    this.render();
+  }
+
+  /**
+   * Share the days left after single-day phases among the other phases, keeping their proportions
+   */
+  async _onFitPhases(event) {
+    const { config, moon } = this._getPhaseTarget(event);
+    if (!moon) return;
+
+    const phases = fitPhasesToCycle(moon);
+    if (!phases) {
+      ui.notifications.warn(`${moon.name} has no room for phases longer than a day.`);
+      return;
+    }
+    moon.phases = phases;
+
+    this._editingConfig = config;
+    this.render();
+  }
+
   async _onExport() {
     const config = this._getConfigFromForm();
 
-    // Ask if user wants to include current date
-    const includeState = await foundry.applications.api.DialogV2.confirm({
+    // Ask for the format, and whether to include the current date
+    const choice = await foundry.applications.api.DialogV2.wait({
       window: { title: 'Export Calendar' },
-      content: '<p>Include the current date and time in the export?</p>',
+      content: `
+        <div class="form-group">
+          <label><input type="checkbox" name="includeState" /> Include the current date and time</label>
+        </div>
+        <div class="form-group">
+          <label><input type="checkbox" name="includeNotes" checked /> Include notes (Simple Calendar format only)</label>
+        </div>
+      `,
+      buttons: [
+        {
+          action: 'easy-calendar',
+          label: 'Easy Calendar',
+          icon: 'fas fa-file-export',
+          default: true,
+          callback: (event, button) => ({ format: 'easy-calendar', ...this._readExportOptions(button.form) })
+        },
+        {
+          action: 'simple-calendar',
+          label: 'Simple Calendar',
+          icon: 'fas fa-file-export',
+          callback: (event, button) => ({ format: 'simple-calendar', ...this._readExportOptions(button.form) })
+        }
+      ],
       rejectClose: false
     });
-
-    const exportData = {
-      version: 1,
-      config: config
-    };
-
-    if (includeState) {
-      const state = CalendarData.getState();
-      exportData.state = {
-        year: state.year,
-        month: state.month,
-        day: state.day,
-        hour: state.hour,
-        minute: state.minute,
-        second: state.second
+    if (!choice) return;
+
+    const state = CalendarData.getState();
+    let exportData;
+    let suffix = 'calendar';
+
+    if (choice.format === 'simple-calendar') {
+      const notes = choice.includeNotes ? CalendarNotes.getNotes() : [];
+      const { data, unmapped } = toSimpleCalendar(config, choice.includeState ? state : null, notes);
+      exportData = data;
+      suffix = 'simple-calendar';
+      if (unmapped.length) {
+        ui.notifications.warn(`Simple Calendar cannot hold everything: ${unmapped.map(field => field.message).join(' ')}`);
+      }
+    } else {
+      exportData = {
+        version: SCHEMA_VERSION,
+        config: config
       };
+
+      if (choice.includeState) {
+        exportData.state = {
+          year: state.year,
+          month: state.month,
+          day: state.day,
+          hour: state.hour,
+          minute: state.minute,
+          second: state.second
+        };
+      }
     }
 
     // Create and download file
-    const filename = `${config.name.replace(/[^a-z0-9]/gi, '-').toLowerCase()}-calendar.json`;
+    const filename = `${config.name.replace(/[^a-z0-9]/gi, '-').toLowerCase()}-${suffix}.json`;
     const blob = new Blob([JSON.stringify(exportData, null, 2)], { type: 'application/json' });
     const url = URL.createObjectURL(blob);
 
@@ -482,6 +907,13 @@ export class CalendarConfigApp extends HandlebarsApplicationMixin(ApplicationV2)
     ui.notifications.info(`Exported calendar: ${filename}`);
   }
 
+  _readExportOptions(form) {
+    return {
+      includeState: form.querySelector('[name="includeState"]').checked,
+      includeNotes: form.querySelector('[name="includeNotes"]').checked
+    };
+  }
+
   async _onImport() {
     // Create file input
     const input = document.createElement('input');
@@ -494,38 +926,24 @@ export class CalendarConfigApp extends HandlebarsApplicationMixin(ApplicationV2)
 
       try {
         const text = await file.text();
-        const data = JSON.parse(text);
+        let data = JSON.parse(text);
 
-        // Detect format: Simple Calendar has calendars array
+        // Detect format: Simple Calendar has calendars array, Fantasy-Calendar.com has static data
         const isSimpleCalendar = data.calendars && Array.isArray(data.calendars);
 
         if (isSimpleCalendar) {
-          // Import from Simple Calendar format
-          const sc = data.calendars[0];
-
-          // Ask if user wants to import the current date
-          let importState = false;
-          if (sc.currentDate) {
-            importState = await foundry.applications.api.DialogV2.confirm({
-              window: { title: 'Import Simple Calendar' },
-              content: '<p>This file includes a saved date. Import the date as well?</p>',
-              rejectClose: false
-            });
-          }
-
-          // Use autoImport to convert and apply
-          const config = await CalendarData.importFromSimpleCalendar(data, importState);
-          this._editingConfig = config;
-
-          this.render();
-          ui.notifications.info('Simple Calendar imported successfully!');
-
+          await this._onImportSimpleCalendar(data);
+        } else if (isFantasyCalendar(data)) {
+          await this._onImportFantasyCalendar(data);
         } else {
           // Standard Easy Calendar format
           if (!data.config) {
             throw new Error('Invalid calendar file: missing config');
           }
 
+          // Bring files from older versions up to date
+          data = migrateExport(data);
+
           // Ask if user wants to import state
           let importState = false;
           if (data.state) {
@@ -544,47 +962,212 @@ export class CalendarConfigApp extends HandlebarsApplicationMixin(ApplicationV2)
           }
 
           this.render();
-          ui.notifications.info('Calendar imported. Click Save to apply changes.');
+
+          const report = validateConfig(data.config);
+          if (report.valid) {
+            ui.notifications.info('Calendar imported. Click Save to apply changes.');
+          } else {
+            await this._showValidationReport(data.config, report);
+          }
         }
       } catch (err) {
-        ui.notifications.error(`Failed to import calendar: ${err.message}`);
+        if (err.report) await this._showValidationReport(null, err.report);
+        else ui.notifications.error(`Failed to import calendar: ${err.message}`);
       }
     });
 
     input.click();
   }
 
-  async _onSave() {
-    const config = this._getConfigFromForm();
+  /**
+   * Import a Simple Calendar export: choose a calendar, then confirm the import (see _importConverted)
+   * @param {Object} data - Simple Calendar export data
+   */
+  async _onImportSimpleCalendar(data) {
+    const { DialogV2 } = foundry.applications.api;
+    const escape = foundry.utils.escapeHTML;
+    const calendars = getSimpleCalendars(data);
+    if (calendars.length === 0) {
+      throw new Error('Invalid Simple Calendar export: no calendars found');
+    }
 
-    // Validate
-    if (config.months.length === 0) {
-      ui.notifications.error('Calendar must have at least one month.');
-      return;
+    // Choose a calendar when the file has several
+    let index = 0;
+    if (calendars.length > 1) {
+      index = await DialogV2.wait({
+        window: { title: 'Import Simple Calendar' },
+        content: `
+          <p>This file has ${calendars.length} calendars. Choose the one to import.</p>
+          <div class="form-group">
+            <label>Calendar</label>
+            <select name="calendar">
+              ${calendars.map(calendar => `<option value="${calendar.index}">${escape(calendar.name)} (${calendar.notes} notes)</option>`).join('')}
+            </select>
+          </div>
+        `,
+        buttons: [
+          {
+            action: 'next',
+            label: 'Next',
+            icon: 'fas fa-arrow-right',
+            default: true,
+            callback: (event, button) => parseInt(button.form.querySelector('[name="calendar"]').value)
+          },
+          { action: 'cancel', label: 'Cancel', icon: 'fas fa-times' }
+        ],
+        rejectClose: false
+      });
+      if (typeof index !== 'number') return;
     }
-    if (config.weekdays.length === 0) {
-      ui.notifications.error('Calendar must have at least one weekday.');
-      return;
+
+    await this._importConverted(data, convertSimpleCalendar(data, index), { calendar: index });
+  }
+
+  /**
+   * Import a Fantasy-Calendar.com export: see what cannot be carried over, then import it and its events
+   * @param {Object} data - Fantasy-Calendar.com export data
+   */
+  async _onImportFantasyCalendar(data) {
+    await this._importConverted(data, convertFantasyCalendar(data));
+  }
+
+  /**
+   * Show what an imported calendar leaves out and ask whether to import its date and notes, then import it
+   * @param {Object} data - The file's data, imported through CalendarData.autoImport
+   * @param {Object} converted - The converted calendar { config, state, notes, unmapped }
+   * @param {Object} [options] - Extra options for the importConfig request (e.g. the Simple Calendar calendar)
+   */
+  async _importConverted(data, { config, state, notes, unmapped }, options = {}) {
+    const escape = foundry.utils.escapeHTML;
+    const canImportNotes = notes.length > 0 && CalendarNotes.canCreate();
+    const unmappedList = unmapped.length
+      ? `<p>These could not be carried over:</p>
+        <ul class="validation-report">
+          ${unmapped.map(field => `<li><code>${escape(field.path)}</code> ${escape(field.message)}</li>`).join('')}
+        </ul>`
+      : '<p>Everything in this calendar can be carried over.</p>';
+
+    const choice = await foundry.applications.api.DialogV2.wait({
+      window: { title: `Import ${config.name}` },
+      position: { width: 520 },
+      content: `
+        <p>Importing replaces the current calendar.</p>
+        ${state ? '<div class="form-group"><label><input type="checkbox" name="importState" checked /> Import the saved date</label></div>' : ''}
+        ${canImportNotes ? `<div class="form-group"><label><input type="checkbox" name="importNotes" checked /> Import ${notes.length} notes</label></div>` : ''}
+        ${unmappedList}
+      `,
+      buttons: [
+        {
+          action: 'import',
+          label: 'Import',
+          icon: 'fas fa-file-import',
+          default: true,
+          callback: (event, button) => ({
+            importState: !!button.form.querySelector('[name="importState"]')?.checked,
+            importNotes: !!button.form.querySelector('[name="importNotes"]')?.checked
+          })
+        },
+        { action: 'cancel', label: 'Cancel', icon: 'fas fa-times' }
+      ],
+      rejectClose: false
+    });
+    if (!choice || choice === 'cancel') return;
+
+    // Convert and apply (through the GM for users who cannot write settings)
+    this._editingConfig = await CalendarSocket.execute('importConfig', { data, importState: choice.importState, ...options });
+    if (choice.importNotes) {
+      await CalendarSocket.execute('importNotes', { notes });
     }
 
+    this.render();
+    ui.notifications.info(choice.importNotes
+      ? `Imported ${config.name} with ${notes.length} notes.`
+      : `Imported ${config.name}.`);
+  }
+
+  async _onSave() {
+    const config = this._getConfigFromForm();
+
     // Generate ID if needed
     if (!config.id) {
       config.id = foundry.utils.randomID();
     }
 
-    // Save config
-    await CalendarData.setConfig(config);
+    // Validate, offering to repair what can be repaired
+    const report = validateConfig(config);
+    if (!report.valid) {
+      await this._showValidationReport(config, report);
+      return;
+    }
 
-    // If we have imported state, apply it
-    if (this._importState) {
-      await CalendarData.setState({
-        ...CalendarData.getState(),
-        ...this._importState
-      }, { updateWorldTime: false });
-      this._importState = null;
+    // Save config, along with any imported state
+    try {
+      await CalendarSocket.execute('setConfig', { config, state: this._importState ?? null });
+    } catch (err) {
+      if (err.report) await this._showValidationReport(config, err.report);
+      else ui.notifications.error(err.message);
+      return;
+    }
+    this._importState = null;
+
+    // Macro triggers are GM only and saved separately from the calendar
+    if (game.user.isGM) {
+      const triggers = this._getTriggersFromForm();
+      const missingMacro = triggers.find(trigger => trigger.enabled && !trigger.macro);
+      if (missingMacro) {
+        ui.notifications.warn(`Macro trigger "${missingMacro.name}" has no macro and will not run.`);
+      }
+      await CalendarTriggers.setTriggers(triggers);
     }
 
     ui.notifications.info('Calendar configuration saved.');
+    if (report.warnings.length) {
+      ui.notifications.warn(`Check the calendar: ${describeProblems(report).join(' ')}`);
+    }
     this.close();
   }
+
+  /**
+   * List the problems in a configuration, offering to repair the ones that have a fix
+   * @param {Object|null} config - The configuration to repair into the editor, or null to only list the problems
+   * @param {Object} report - A report from validateConfig
+   */
+  async _showValidationReport(config, report) {
+    const escape = foundry.utils.escapeHTML;
+    const rows = [...report.errors, ...report.warnings].map(problem => `
+      <li class="${problem.severity}">
+        <code>${escape(problem.path || 'calendar')}</code> ${escape(problem.message)}
+        ${problem.suggestion ? `<em>${escape(problem.suggestion)}</em>` : ''}
+      </li>
+    `).join('');
+    const canRepair = config && [...report.errors, ...report.warnings].some(problem => problem.fix);
+
+    const content = `
+      <p>This calendar has ${report.errors.length} error(s) and ${report.warnings.length} warning(s). Errors must be fixed before it can be saved.</p>
+      <ul class="validation-report">${rows}</ul>
+      ${canRepair ? '<p>Repair applies the suggested fixes; check the result before saving.</p>' : ''}
+    `;
+
+    const buttons = [{ action: 'close', label: 'Close', icon: 'fas fa-times', default: !canRepair }];
+    if (canRepair) buttons.unshift({ action: 'repair', label: 'Repair', icon: 'fas fa-wrench', default: true });
+
+    const choice = await foundry.applications.api.DialogV2.wait({
+      window: { title: 'Calendar Problems' },
+      position: { width: 520 },
+      content,
+      buttons,
+      rejectClose: false
+    });
+    if (choice !== 'repair') return;
+
+    const { config: repaired, repaired: fixed, report: remaining } = repairConfig(config);
+    this._editingConfig = repaired;
+    this.render();
+
+    if (remaining.valid) {
+      ui.notifications.info(`Repaired ${fixed.length} problem(s). Check the calendar and click Save.`);
+    } else {
+      ui.notifications.warn(`Repaired ${fixed.length} problem(s); ${remaining.errors.length} must be fixed by hand: ${describeProblems({ errors: remaining.errors, warnings: [] }).join(' ')}`);
+    }
+  }
 }
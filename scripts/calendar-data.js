@@ -1,20 +1,49 @@
 // Easy Calendar - Data Layer
 
-import { MODULE_ID, SETTINGS, FLAGS, DEFAULT_TIME_CONFIG, DEFAULT_YEAR_CONFIG, DEFAULT_LEAP_YEAR_CONFIG } from './constants.js';
-import { getPreset } from './calendar-presets.js';
-import * as CalendarTime from './calendar-time.js';
+import { MODULE_ID, SETTINGS } from './constants.js';
+import { CalendarEngine } from './calendar-engine.js';
+import { SCHEMA_VERSION, getPendingMigrations, migrateConfig, migrateState } from './calendar-migrations.js';
+import { validateConfig } from './calendar-schema.js';
+
+// Engine events and the hooks they are announced with
+const HOOKS = {
+  configChanged: 'easyCalendarConfigChanged',
+  stateChanged: 'easyCalendarStateChanged'
+};
+
+/**
+ * Keeps the calendar in world settings and syncs it with Foundry's world time
+ * @type {import('./calendar-engine.js').CalendarAdapter}
+ */
+const FoundryAdapter = {
+  getConfig: () => game.settings.get(MODULE_ID, SETTINGS.CALENDAR_CONFIG),
+  setConfig: (config) => game.settings.set(MODULE_ID, SETTINGS.CALENDAR_CONFIG, config),
+  getState: () => game.settings.get(MODULE_ID, SETTINGS.CALENDAR_STATE),
+  setState: (state) => game.settings.set(MODULE_ID, SETTINGS.CALENDAR_STATE, state),
+  getWorldTime: () => game.time.worldTime,
+  advanceWorldTime: (seconds) => game.time.advance(seconds),
+  canChangeWorldTime: () => game.user.isGM,
+  emit: (event, ...args) => Hooks.callAll(HOOKS[event], ...args)
+};
+
+// Number of migration backups kept, newest first
+const MAX_MIGRATION_BACKUPS = 5;
 
 /**
  * CalendarData handles all calendar configuration and state persistence
+ * It is the world's CalendarEngine, kept in the world settings; see CalendarEngine for the details.
  */
 export class CalendarData {
 
+  /** @type {CalendarEngine} The engine for the world's calendar */
+  static engine = new CalendarEngine(FoundryAdapter);
+
   /**
    * Get the current calendar configuration
    * @returns {Object} The calendar configuration
    */
   static getConfig() {
-    return game.settings.get(MODULE_ID, SETTINGS.CALENDAR_CONFIG);
+    return this.engine.getConfig();
   }
 
   /**
@@ -22,10 +51,8 @@ export class CalendarData {
    * @param {Object} config - The new configuration
    * @returns {Promise<Object>} The saved configuration
    */
-  static async setConfig(config) {
-    const result = await game.settings.set(MODULE_ID, SETTINGS.CALENDAR_CONFIG, config);
-    Hooks.callAll('easyCalendarConfigChanged', config);
-    return result;
+  static setConfig(config) {
+    return this.engine.setConfig(config);
   }
 
   /**
@@ -33,7 +60,18 @@ export class CalendarData {
    * @returns {Object} The calendar state
    */
   static getState() {
-    return game.settings.get(MODULE_ID, SETTINGS.CALENDAR_STATE);
+    return this.engine.getState();
+  }
+
+  /**
+   * Format a date with the calendar's format strings and the world's weekday offset
+   * @param {Object} [state] - Calendar state (defaults to the current state)
+   * @param {string} [format] - A format name ('date', 'long', 'time') or format string (see CalendarTime.formatDate)
+   * @returns {string} Formatted date string
+   */
+  static formatDate(state = this.getState(), format = 'date') {
+    const weekdayOffset = game.settings.get(MODULE_ID, SETTINGS.WEEKDAY_OFFSET) || 0;
+    return this.engine.formatDate(state, format, { weekdayOffset });
   }
 
   /**
@@ -43,121 +81,32 @@ export class CalendarData {
    * @param {boolean} options.updateWorldTime - Whether to sync to world time
    * @returns {Promise<Object>} The saved state
    */
-  static async setState(state, { updateWorldTime = true } = {}) {
-    const config = this.getConfig();
-    const normalizedState = CalendarTime.normalizeDate(state, config);
-
-    // Calculate weekday
-    normalizedState.weekday = CalendarTime.calculateWeekday(
-      normalizedState.year,
-      normalizedState.month,
-      normalizedState.day,
-      config
-    );
-
-    // Preserve sync settings
-    const currentState = this.getState();
-    normalizedState.syncEnabled = currentState.syncEnabled;
-    normalizedState.lastSyncedWorldTime = currentState.lastSyncedWorldTime;
-
-    // Save the state
-    await game.settings.set(MODULE_ID, SETTINGS.CALENDAR_STATE, normalizedState);
-
-    // Optionally sync to world time
-    if (updateWorldTime && normalizedState.syncEnabled && game.user.isGM) {
-      await this.syncToWorldTime(normalizedState);
-    }
-
-    // Notify listeners that state changed
-    Hooks.callAll('easyCalendarStateChanged', normalizedState);
-
-    return normalizedState;
+  static setState(state, options) {
+    return this.engine.setState(state, options);
   }
 
   /**
    * Sync calendar state to Foundry's world time
    * @param {Object} state - The calendar state
    */
-  static async syncToWorldTime(state) {
-    const config = this.getConfig();
-    const worldTime = CalendarTime.toWorldTime(state, config);
-
-    // Set flag to prevent feedback loop
-    this._isUpdatingToWorldTime = true;
-
-    try {
-      await game.time.advance(worldTime - game.time.worldTime);
-
-      // Update last synced time
-      await game.settings.set(MODULE_ID, SETTINGS.CALENDAR_STATE, {
-        ...state,
-        lastSyncedWorldTime: worldTime
-      });
-    } finally {
-      this._isUpdatingToWorldTime = false;
-    }
+  static syncToWorldTime(state) {
+    return this.engine.syncToWorldTime(state);
   }
 
   /**
    * Sync calendar state from Foundry's world time
    * @param {number} worldTime - The world time in seconds
    */
-  static async syncFromWorldTime(worldTime) {
-    // Prevent feedback loop
-    if (this._isUpdatingToWorldTime) return;
-
-    const currentState = this.getState();
-    if (!currentState.syncEnabled) return;
-
-    // Check if this is the same world time we last synced to
-    if (currentState.lastSyncedWorldTime === worldTime) return;
-
-    const config = this.getConfig();
-
-    // Calculate the delta between new world time and last synced world time,
-    // then apply that delta to the calendar's own time representation.
-    // We cannot use fromWorldTime(worldTime) directly because Foundry's absolute
-    // worldTime has no relation to the calendar's epoch.
-    const delta = worldTime - (currentState.lastSyncedWorldTime ?? worldTime);
-    const currentCalendarTime = CalendarTime.toWorldTime(currentState, config);
-    const newState = CalendarTime.fromWorldTime(currentCalendarTime + delta, config);
-
-    // Preserve sync settings and update last synced time
-    newState.syncEnabled = currentState.syncEnabled;
-    newState.lastSyncedWorldTime = worldTime;
-    newState.weekday = CalendarTime.calculateWeekday(
-      newState.year,
-      newState.month,
-      newState.day,
-      config
-    );
-
-    this._isUpdatingFromWorldTime = true;
-    try {
-      await game.settings.set(MODULE_ID, SETTINGS.CALENDAR_STATE, newState);
-    } finally {
-      this._isUpdatingFromWorldTime = false;
-    }
-
-    // Trigger UI refresh
-    Hooks.callAll('easyCalendarStateChanged', newState);
+  static syncFromWorldTime(worldTime) {
+    return this.engine.syncFromWorldTime(worldTime);
   }
 
   /**
    * Toggle world time sync
    * @param {boolean} enabled - Whether sync should be enabled
    */
-  static async setSyncEnabled(enabled) {
-    const state = this.getState();
-    state.syncEnabled = enabled;
-
-    if (enabled) {
-      // Just record current world time as last synced - don't change anything
-      state.lastSyncedWorldTime = game.time.worldTime;
-    }
-
-    await game.settings.set(MODULE_ID, SETTINGS.CALENDAR_STATE, state);
-    return state;
+  static setSyncEnabled(enabled) {
+    return this.engine.setSyncEnabled(enabled);
   }
 
   /**
@@ -166,103 +115,28 @@ export class CalendarData {
    * @param {string} unit - Unit: 'second', 'minute', 'hour', 'day', 'week', 'month', 'year'
    * @returns {Promise<Object>} The new calendar state
    */
-  static async advance(amount, unit) {
-    const state = this.getState();
-    const config = this.getConfig();
-    const { hoursPerDay, minutesPerHour, secondsPerMinute } = config.time;
-    const secondsPerDay = hoursPerDay * minutesPerHour * secondsPerMinute;
-
-    // For month/year, calculate exact delta using world time difference
-    // For smaller units, calculate directly
-    let secondsDelta = 0;
-    const beforeWorldTime = CalendarTime.toWorldTime(state, config);
-
-    switch (unit) {
-      case 'second':
-        state.second += amount;
-        secondsDelta = amount;
-        break;
-      case 'minute':
-        state.minute += amount;
-        secondsDelta = amount * secondsPerMinute;
-        break;
-      case 'hour':
-        state.hour += amount;
-        secondsDelta = amount * minutesPerHour * secondsPerMinute;
-        break;
-      case 'day':
-        state.day += amount;
-        secondsDelta = amount * secondsPerDay;
-        break;
-      case 'week': {
-        const daysInWeek = config.weekdays.length;
-        state.day += amount * daysInWeek;
-        secondsDelta = amount * daysInWeek * secondsPerDay;
-        break;
-      }
-      case 'month':
-        state.month += amount;
-        secondsDelta = CalendarTime.toWorldTime(state, config) - beforeWorldTime;
-        break;
-      case 'year':
-        state.year += amount;
-        secondsDelta = CalendarTime.toWorldTime(state, config) - beforeWorldTime;
-        break;
-    }
-
-    // Save state without automatic world time sync (we'll handle it manually)
-    const newState = await this.setState(state, { updateWorldTime: false });
-
-    // Manually advance world time by the calculated delta
-    if (newState.syncEnabled && game.user.isGM && secondsDelta !== 0) {
-      this._isUpdatingToWorldTime = true;
-      try {
-        await game.time.advance(secondsDelta);
-        // Update last synced time
-        await game.settings.set(MODULE_ID, SETTINGS.CALENDAR_STATE, {
-          ...newState,
-          lastSyncedWorldTime: game.time.worldTime
-        });
-      } finally {
-        this._isUpdatingToWorldTime = false;
-      }
-    }
-
-    return newState;
+  static advance(amount, unit) {
+    return this.engine.advance(amount, unit);
   }
 
   /**
-   * Set a specific date
-   * @param {Object} date - Date object { year, month, day }
-   * @param {Object} options - Options
-   * @param {boolean} options.updateWorldTime - Whether to update world time (default: false for explicit sets)
+   * Set a specific date, and optionally the time, in one change
+   * @param {Object} date - Date object { year, month, day, hour?, minute?, second? }
+   * @param {Object} options - Options (see CalendarEngine.setDate)
    * @returns {Promise<Object>} The new calendar state
    */
-  static async setDate(date, { updateWorldTime = false } = {}) {
-    const state = this.getState();
-    return this.setState({
-      ...state,
-      year: date.year ?? state.year,
-      month: date.month ?? state.month,
-      day: date.day ?? state.day
-    }, { updateWorldTime });
+  static setDate(date, options) {
+    return this.engine.setDate(date, options);
   }
 
   /**
    * Set a specific time
    * @param {Object} time - Time object { hour, minute, second }
-   * @param {Object} options - Options
-   * @param {boolean} options.updateWorldTime - Whether to update world time (default: false for explicit sets)
+   * @param {Object} options - Options (see CalendarEngine.setTime)
    * @returns {Promise<Object>} The new calendar state
    */
-  static async setTime(time, { updateWorldTime = false } = {}) {
-    const state = this.getState();
-    return this.setState({
-      ...state,
-      hour: time.hour ?? state.hour,
-      minute: time.minute ?? state.minute,
-      second: time.second ?? state.second
-    }, { updateWorldTime });
+  static setTime(time, options) {
+    return this.engine.setTime(time, options);
   }
 
   /**
@@ -270,27 +144,8 @@ export class CalendarData {
    * @param {string} presetId - The preset identifier
    * @returns {Promise<Object>} The loaded configuration
    */
-  static async loadPreset(presetId) {
-    const preset = getPreset(presetId);
-    if (!preset) {
-      throw new Error(`Unknown preset: ${presetId}`);
-    }
-
-    await this.setConfig(preset);
-
-    // Reset state to starting year, month 0, day 1
-    await this.setState({
-      year: preset.yearConfig.startingYear,
-      month: 0,
-      day: 1,
-      hour: 0,
-      minute: 0,
-      second: 0,
-      syncEnabled: false,
-      lastSyncedWorldTime: 0
-    }, { updateWorldTime: false });
-
-    return preset;
+  static loadPreset(presetId) {
+    return this.engine.loadPreset(presetId);
   }
 
   /**
@@ -299,25 +154,7 @@ export class CalendarData {
    * @returns {Object} Exportable configuration object
    */
   static exportConfig(includeState = false) {
-    const config = this.getConfig();
-    const exportData = {
-      version: 1,
-      config: config
-    };
-
-    if (includeState) {
-      const state = this.getState();
-      exportData.state = {
-        year: state.year,
-        month: state.month,
-        day: state.day,
-        hour: state.hour,
-        minute: state.minute,
-        second: state.second
-      };
-    }
-
-    return exportData;
+    return this.engine.exportConfig(includeState);
   }
 
   /**
@@ -326,222 +163,116 @@ export class CalendarData {
    * @param {boolean} importState - Whether to import the state if present
    * @returns {Promise<Object>} The imported configuration
    */
-  static async importConfig(data, importState = true) {
-    // Validate the import data
-    if (!data.config) {
-      throw new Error('Invalid import data: missing config');
-    }
-
-    // Validate required fields
-    const required = ['weekdays', 'months', 'yearConfig', 'time'];
-    for (const field of required) {
-      if (!data.config[field]) {
-        throw new Error(`Invalid import data: missing ${field}`);
-      }
-    }
-
-    // Generate a new ID if not present
-    if (!data.config.id) {
-      data.config.id = foundry.utils.randomID();
-    }
-
-    // Set defaults for optional fields
-    data.config.name = data.config.name || 'Imported Calendar';
-    data.config.namePrefix = data.config.namePrefix || '';
-    data.config.nameSuffix = data.config.nameSuffix || '';
-    data.config.firstWeekday = data.config.firstWeekday ?? 0;
-    data.config.leapYear = data.config.leapYear || { ...DEFAULT_LEAP_YEAR_CONFIG };
-
-    await this.setConfig(data.config);
-
-    // Import state if present and requested
-    if (importState && data.state) {
-      await this.setState({
-        ...data.state,
-        syncEnabled: false,
-        lastSyncedWorldTime: 0
-      }, { updateWorldTime: false });
-    } else {
-      // Reset to starting year
-      await this.setState({
-        year: data.config.yearConfig.startingYear,
-        month: 0,
-        day: 1,
-        hour: 0,
-        minute: 0,
-        second: 0,
-        syncEnabled: false,
-        lastSyncedWorldTime: 0
-      }, { updateWorldTime: false });
-    }
-
-    return data.config;
+  static importConfig(data, importState = true) {
+    return this.engine.importConfig(data, importState);
   }
 
   /**
    * Import from Simple Calendar export format
    * @param {Object} data - The Simple Calendar export data
    * @param {boolean} importState - Whether to import the current date
+   * @param {number|string} [calendar=0] - Index or ID of the calendar to import
    * @returns {Promise<Object>} The imported configuration
    */
-  static async importFromSimpleCalendar(data, importState = true) {
-    // Simple Calendar exports have calendars array
-    if (!data.calendars || data.calendars.length === 0) {
-      throw new Error('Invalid Simple Calendar export: no calendars found');
-    }
-
-    const sc = data.calendars[0]; // Use first calendar
-
-    // Convert to Easy Calendar format
-    const config = {
-      id: sc.id || foundry.utils.randomID(),
-      name: sc.name || 'Imported Calendar',
-      namePrefix: '',
-      nameSuffix: '',
-
-      // Convert weekdays
-      weekdays: (sc.weekdays || []).map(wd => ({
-        id: wd.id || foundry.utils.randomID(8),
-        name: wd.name,
-        abbreviation: wd.abbreviation || wd.name.substring(0, 3)
-      })),
-
-      firstWeekday: sc.year?.firstWeekday ?? 0,
-
-      // Convert months
-      months: (sc.months || []).map(m => ({
-        id: m.id || foundry.utils.randomID(8),
-        name: m.name,
-        abbreviation: m.abbreviation || m.name.substring(0, 3),
-        days: m.numberOfDays || m.days || 30,
-        leapYearDays: m.numberOfLeapYearDays
-      })),
-
-      // Year config
-      yearConfig: {
-        startingYear: sc.year?.numericRepresentation || 1,
-        yearZeroExists: sc.year?.yearZero !== undefined,
-        yearPrefix: sc.year?.prefix || '',
-        yearSuffix: sc.year?.postfix || ''
-      },
-
-      // Time config
-      time: {
-        hoursPerDay: sc.time?.hoursInDay || 24,
-        minutesPerHour: sc.time?.minutesInHour || 60,
-        secondsPerMinute: sc.time?.secondsInMinute || 60
-      },
-
-      // Leap year config
-      leapYear: {
-        enabled: sc.leapYear?.rule !== 'none',
-        rule: sc.leapYear?.rule === 'gregorian' ? 'gregorian' : 'simple',
-        interval: sc.leapYear?.customMod || 4,
-        months: []
-      },
-
-      // Convert seasons
-      seasons: (sc.seasons || []).map(s => ({
-        id: s.id || foundry.utils.randomID(8),
-        name: s.name,
-        startingMonth: s.startingMonth,
-        startingDay: s.startingDay,
-        color: s.color || '#46b946',
-        icon: s.icon || 'spring',
-        sunriseTime: s.sunriseTime || 21600,
-        sunsetTime: s.sunsetTime || 64800
-      })),
-
-      // Convert moons
-      moons: (sc.moons || []).map(m => ({
-        id: m.id || foundry.utils.randomID(8),
-        name: m.name,
-        cycleLength: m.cycleLength || 29.53059,
-        color: m.color || '#ffffff',
-        phases: (m.phases || []).map(p => ({
-          name: p.name,
-          length: p.length,
-          icon: p.icon,
-          singleDay: p.singleDay || false
-        })),
-        referenceNewMoon: {
-          year: m.firstNewMoon?.year || 2000,
-          month: m.firstNewMoon?.month || 0,
-          day: m.firstNewMoon?.day || 6
-        }
-      }))
-    };
-
-    // Handle leap year months - find months that have different leap year days
-    config.months.forEach(m => {
-      if (m.leapYearDays && m.leapYearDays !== m.days) {
-        config.leapYear.months.push({
-          monthId: m.id,
-          extraDays: m.leapYearDays - m.days
-        });
-      }
-      delete m.leapYearDays; // Clean up
-    });
-
-    // Enable leap year if any months have leap year config
-    if (config.leapYear.months.length > 0) {
-      config.leapYear.enabled = true;
-    }
+  static importFromSimpleCalendar(data, importState = true, calendar = 0) {
+    return this.engine.importFromSimpleCalendar(data, importState, calendar);
+  }
 
-    await this.setConfig(config);
-
-    // Import current date if present and requested
-    if (importState && sc.currentDate) {
-      const { hoursPerDay, minutesPerHour, secondsPerMinute } = config.time;
-      const secondsPerHour = minutesPerHour * secondsPerMinute;
-
-      // Convert seconds since midnight to hour/minute/second
-      const totalSeconds = sc.currentDate.seconds || 0;
-      const hour = Math.floor(totalSeconds / secondsPerHour);
-      const minute = Math.floor((totalSeconds % secondsPerHour) / secondsPerMinute);
-      const second = totalSeconds % secondsPerMinute;
-
-      await this.setState({
-        year: sc.currentDate.year,
-        month: sc.currentDate.month,
-        day: sc.currentDate.day,
-        hour,
-        minute,
-        second,
-        syncEnabled: false,
-        lastSyncedWorldTime: 0
-      }, { updateWorldTime: false });
-    } else {
-      // Reset to year 1, month 0, day 1
-      await this.setState({
-        year: config.yearConfig.startingYear,
-        month: 0,
-        day: 1,
-        hour: 0,
-        minute: 0,
-        second: 0,
-        syncEnabled: false,
-        lastSyncedWorldTime: 0
-      }, { updateWorldTime: false });
-    }
+  /**
+   * Import from a Fantasy-Calendar.com export
+   * @param {Object} data - The Fantasy-Calendar.com export data
+   * @param {boolean} importState - Whether to import the current date
+   * @returns {Promise<Object>} The imported configuration
+   */
+  static importFromFantasyCalendar(data, importState = true) {
+    return this.engine.importFromFantasyCalendar(data, importState);
+  }
 
-    return config;
+  /**
+   * Export the calendar and its current date in Simple Calendar format
+   * @param {Object[]} [notes=[]] - Notes to include
+   * @returns {{ data: Object, unmapped: Object[] }} The export data and what Simple Calendar cannot hold
+   */
+  static exportToSimpleCalendar(notes = []) {
+    return this.engine.exportToSimpleCalendar(notes);
   }
 
   /**
-   * Detect import format and import accordingly
+   * Detect import format (Easy Calendar, Simple Calendar or Fantasy-Calendar.com) and import accordingly
    * @param {Object} data - The import data
    * @param {boolean} importState - Whether to import state
+   * @param {number|string} [calendar=0] - Index or ID of the calendar to import from a Simple Calendar file
    * @returns {Promise<Object>} The imported configuration
    */
-  static async autoImport(data, importState = true) {
-    // Detect Simple Calendar format (has calendars array)
-    if (data.calendars && Array.isArray(data.calendars)) {
-      return this.importFromSimpleCalendar(data, importState);
+  static autoImport(data, importState = true, calendar = 0) {
+    return this.engine.autoImport(data, importState, calendar);
+  }
+
+  /**
+   * Migrate the calendar data saved by an older version of the module (active GM only)
+   * Runs the pending steps of CalendarMigrations on the configuration, the state and the library,
+   * after backing up the data as it was (see getMigrationBackups).
+   * @returns {Promise<Object[]>} The migration steps applied, empty if the data was up to date
+   */
+  static async migrate() {
+    if (game.user !== game.users.activeGM) return [];
+
+    const fromVersion = game.settings.get(MODULE_ID, SETTINGS.SCHEMA_VERSION);
+    if (fromVersion === SCHEMA_VERSION) return [];
+
+    // A new world has no saved calendar to migrate
+    const storage = game.settings.storage.get('world');
+    const isSaved = (key) => !!storage.getSetting(`${MODULE_ID}.${key}`);
+    if (!isSaved(SETTINGS.CALENDAR_CONFIG) && !isSaved(SETTINGS.CALENDAR_STATE)) {
+      await game.settings.set(MODULE_ID, SETTINGS.SCHEMA_VERSION, SCHEMA_VERSION);
+      return [];
     }
 
-    // Otherwise use standard Easy Calendar format
-    return this.importConfig(data, importState);
+    let steps;
+    try {
+      steps = getPendingMigrations(fromVersion);
+    } catch (err) {
+      // Data from a newer version is left alone
+      ui.notifications.error(`Easy Calendar: ${err.message}`, { permanent: true });
+      return [];
+    }
+
+    const config = this.getConfig();
+    const state = this.getState();
+    const library = game.settings.get(MODULE_ID, SETTINGS.CALENDAR_LIBRARY);
+    await this._backUp({ fromVersion, config, state, library });
+
+    // An unsaved state is this version's default, which says nothing about the weekdays the world showed
+    const migratedConfig = migrateConfig(config, fromVersion, isSaved(SETTINGS.CALENDAR_STATE) ? state : null);
+    const migratedState = migrateState(state, fromVersion);
+    const migratedLibrary = Object.fromEntries(Object.entries(library).map(([id, calendar]) => [id, migrateConfig(calendar, fromVersion)]));
+
+    // Saved without validation, so a calendar that was already invalid does not stop the migration.
+    // Unchanged data is not saved again (saving the state would announce it as a change of date).
+    const save = async (key, before, after) => {
+      if (JSON.stringify(before) !== JSON.stringify(after)) await game.settings.set(MODULE_ID, key, after);
+    };
+    await save(SETTINGS.CALENDAR_CONFIG, config, migratedConfig);
+    await save(SETTINGS.CALENDAR_STATE, state, migratedState);
+    await save(SETTINGS.CALENDAR_LIBRARY, library, migratedLibrary);
+    await game.settings.set(MODULE_ID, SETTINGS.SCHEMA_VERSION, SCHEMA_VERSION);
+
+    const report = validateConfig(migratedConfig);
+    if (!report.valid) {
+      ui.notifications.warn('Easy Calendar: the calendar was updated but has problems. Open the calendar configuration and save it to see and repair them.');
+    }
+
+    Hooks.callAll('easyCalendarMigrated', { fromVersion, toVersion: SCHEMA_VERSION, steps });
+    return steps;
+  }
+
+  /**
+   * Get the calendar data backed up before each migration, newest first
+   * A backup can be restored by importing it: api.importConfig({ version: backup.fromVersion, config: backup.config, state: backup.state }).
+   * @returns {Object[]} Backups { fromVersion, toVersion, moduleVersion, timestamp, config, state, library }
+   */
+  static getMigrationBackups() {
+    return game.settings.get(MODULE_ID, SETTINGS.MIGRATION_BACKUPS);
   }
 
   /**
@@ -549,7 +280,7 @@ export class CalendarData {
    * @returns {Object} Default configuration
    */
   static getDefaultConfig() {
-    return getPreset('gregorian');
+    return CalendarEngine.getDefaultConfig();
   }
 
   /**
@@ -557,17 +288,24 @@ export class CalendarData {
    * @returns {Object} Default state
    */
   static getDefaultState() {
-    const config = this.getDefaultConfig();
-    return {
-      year: config.yearConfig.startingYear,
-      month: 0,
-      day: 1,
-      hour: 0,
-      minute: 0,
-      second: 0,
-      weekday: 0,
-      syncEnabled: false,
-      lastSyncedWorldTime: 0
+    return CalendarEngine.getDefaultState();
+  }
+
+  /* -------------------------------------------- */
+  /*  Helpers                                     */
+  /* -------------------------------------------- */
+
+  static async _backUp({ fromVersion, config, state, library }) {
+    const backup = {
+      fromVersion,
+      toVersion: SCHEMA_VERSION,
+      moduleVersion: game.modules.get(MODULE_ID).version,
+      timestamp: Date.now(),
+      config,
+      state,
+      library
     };
+    const backups = [backup, ...this.getMigrationBackups()].slice(0, MAX_MIGRATION_BACKUPS);
+    await game.settings.set(MODULE_ID, SETTINGS.MIGRATION_BACKUPS, backups);
   }
 }
@@ -0,0 +1,49 @@
+// Easy Calendar - Scene Daylight
+
+import { MODULE_ID, SETTINGS } from './constants.js';
+import { CalendarData } from './calendar-data.js';
+import * as CalendarTime from './calendar-time.js';
+
+// How long the darkness transition takes on the canvas, in milliseconds
+const DARKNESS_ANIMATION = 2000;
+
+/**
+ * CalendarDaylight sets the active scene's darkness from the calendar's time of day
+ * Only the active GM updates the scene. Scenes with a locked darkness level are left alone.
+ */
+export class CalendarDaylight {
+
+  /**
+   * Update the darkness when a different scene is activated
+   */
+  static initialize() {
+    Hooks.on('updateScene', (scene, changed) => {
+      if (changed.active && scene.active) this.updateSceneDarkness();
+    });
+  }
+
+  /**
+   * Whether the calendar controls scene darkness
+   * @returns {boolean}
+   */
+  static isEnabled() {
+    return !!game.settings.get(MODULE_ID, SETTINGS.SCENE_DARKNESS);
+  }
+
+  /**
+   * Set the active scene's darkness to match a calendar state (active GM only)
+   * @param {Object} [state] - Calendar state (defaults to the current state)
+   * @returns {Promise<void>}
+   */
+  static async updateSceneDarkness(state = CalendarData.getState()) {
+    if (!this.isEnabled() || game.user !== game.users.activeGM) return;
+
+    const scene = game.scenes.active;
+    if (!scene || scene.environment?.darknessLock) return;
+
+    const darkness = Math.round(CalendarTime.getDarkness(state, CalendarData.getConfig()) * 100) / 100;
+    if (Math.abs((scene.environment?.darknessLevel ?? 0) - darkness) < 0.01) return;
+
+    await scene.update({ 'environment.darknessLevel': darkness }, { animateDarkness: DARKNESS_ANIMATION });
+  }
+}
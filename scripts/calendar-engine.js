@@ -0,0 +1,569 @@
+// Easy Calendar - Calendar Engine
+
+import { getPreset } from './calendar-presets.js';
+import { deepClone, randomID } from './calendar-utils.js';
+import { assertValidConfig } from './calendar-schema.js';
+import { SCHEMA_VERSION, migrateExport } from './calendar-migrations.js';
+import { convertSimpleCalendar, toSimpleCalendar } from './calendar-simple-calendar.js';
+import { isFantasyCalendar, convertFantasyCalendar } from './calendar-fantasy-calendar.js';
+import * as CalendarTime from './calendar-time.js';
+
+/**
+ * Where an engine keeps its configuration and state, and the clock it syncs with
+ * @typedef {Object} CalendarAdapter
+ * @property {function(): Object} getConfig - Read the calendar configuration
+ * @property {function(Object): Promise} setConfig - Save the calendar configuration
+ * @property {function(): Object} getState - Read the calendar state
+ * @property {function(Object): Promise} setState - Save the calendar state
+ * @property {function(): number} [getWorldTime] - Read the clock, in seconds; without a clock there is no world time sync
+ * @property {function(number): Promise} [advanceWorldTime] - Move the clock by a number of seconds
+ * @property {function(): boolean} [canChangeWorldTime] - Whether this engine may move the clock (defaults to true)
+ * @property {function(string, ...*)} [emit] - Told about changes: 'configChanged' (config) and 'stateChanged' (state)
+ */
+
+/**
+ * CalendarEngine keeps a calendar's date and moves it: config and state in, results out
+ * It does not use Foundry; storage and the clock come from an adapter, so the same engine runs in Foundry
+ * (see CalendarData), in other modules and in Node. The date math itself is in CalendarTime.
+ */
+export class CalendarEngine {
+
+  /**
+   * @param {CalendarAdapter} adapter - Storage and clock
+   */
+  constructor(adapter) {
+    this.adapter = adapter;
+
+    /** @type {boolean} Set while the engine moves the clock, so the clock's change is not applied back */
+    this._isUpdatingToWorldTime = false;
+  }
+
+  /**
+   * Get the calendar configuration
+   * @returns {Object} The calendar configuration
+   */
+  getConfig() {
+    return this.adapter.getConfig();
+  }
+
+  /**
+   * Set the calendar configuration
+   * Invalid configurations are refused (see CalendarSchema.validateConfig).
+   * @param {Object} config - The new configuration
+   * @returns {Promise<*>} The adapter's result
+   * @throws {Error} If the configuration has errors; the error's `report` lists them
+   */
+  async setConfig(config) {
+    assertValidConfig(config);
+    const result = await this.adapter.setConfig(config);
+    this._emit('configChanged', config);
+    return result;
+  }
+
+  /**
+   * Get the calendar state (date/time)
+   * @returns {Object} The calendar state
+   */
+  getState() {
+    return this.adapter.getState();
+  }
+
+  /**
+   * Format a date with the calendar's format strings
+   * @param {Object} [state] - Calendar state (defaults to the current state)
+   * @param {string} [format] - A format name ('date', 'long', 'time') or format string (see CalendarTime.formatDate)
+   * @param {Object} [options] - Options for CalendarTime.formatDate, e.g. { weekdayOffset }
+   * @returns {string} Formatted date string
+   */
+  formatDate(state = this.getState(), format = 'date', options = {}) {
+    return CalendarTime.formatDate(state, this.getConfig(), format, options);
+  }
+
+  /**
+   * Set the calendar state
+   * @param {Object} state - The new state
+   * @param {Object} options - Options for setting state
+   * @param {boolean} options.updateWorldTime - Whether to sync to world time
+   * @returns {Promise<Object>} The saved state
+   */
+  async setState(state, { updateWorldTime = true } = {}) {
+    const config = this.getConfig();
+    const normalizedState = CalendarTime.normalizeDate(state, config);
+
+    // Calculate weekday
+    normalizedState.weekday = CalendarTime.calculateWeekday(
+      normalizedState.year,
+      normalizedState.month,
+      normalizedState.day,
+      config
+    );
+
+    // Preserve sync settings
+    const currentState = this.getState();
+    normalizedState.syncEnabled = currentState.syncEnabled;
+    normalizedState.lastSyncedWorldTime = currentState.lastSyncedWorldTime;
+
+    // Save the state
+    await this.adapter.setState(normalizedState);
+
+    // Optionally sync to world time
+    if (updateWorldTime && normalizedState.syncEnabled && this._canChangeWorldTime()) {
+      await this.syncToWorldTime(normalizedState);
+    }
+
+    // Notify listeners that state changed
+    this._emit('stateChanged', normalizedState);
+
+    return normalizedState;
+  }
+
+  /**
+   * Sync calendar state to the clock
+   * @param {Object} state - The calendar state
+   */
+  async syncToWorldTime(state) {
+    const config = this.getConfig();
+    const worldTime = CalendarTime.toWorldTime(state, config);
+
+    // Set flag to prevent feedback loop
+    this._isUpdatingToWorldTime = true;
+
+    try {
+      await this.adapter.advanceWorldTime(worldTime - this.adapter.getWorldTime());
+
+      // Update last synced time
+      await this.adapter.setState({
+        ...state,
+        lastSyncedWorldTime: worldTime
+      });
+    } finally {
+      this._isUpdatingToWorldTime = false;
+    }
+  }
+
+  /**
+   * Sync calendar state from the clock
+   * @param {number} worldTime - The world time in seconds
+   * @returns {Promise<Object|null>} The new state, or null if nothing changed
+   */
+  async syncFromWorldTime(worldTime) {
+    // Prevent feedback loop
+    if (this._isUpdatingToWorldTime) return null;
+
+    const currentState = this.getState();
+    if (!currentState.syncEnabled) return null;
+
+    // Check if this is the same world time we last synced to
+    if (currentState.lastSyncedWorldTime === worldTime) return null;
+
+    const config = this.getConfig();
+
+    // Calculate the delta between new world time and last synced world time,
+    // then apply that delta to the calendar's own time representation.
+    // We cannot use fromWorldTime(worldTime) directly because the clock's absolute
+    // time has no relation to the calendar's epoch.
+    const delta = worldTime - (currentState.lastSyncedWorldTime ?? worldTime);
+    const currentCalendarTime = CalendarTime.toWorldTime(currentState, config);
+    const newState = CalendarTime.fromWorldTime(currentCalendarTime + delta, config);
+
+    // Preserve sync settings and update last synced time
+    newState.syncEnabled = currentState.syncEnabled;
+    newState.lastSyncedWorldTime = worldTime;
+    newState.weekday = CalendarTime.calculateWeekday(
+      newState.year,
+      newState.month,
+      newState.day,
+      config
+    );
+
+    await this.adapter.setState(newState);
+
+    // Trigger UI refresh
+    this._emit('stateChanged', newState);
+    return newState;
+  }
+
+  /**
+   * Toggle world time sync
+   * @param {boolean} enabled - Whether sync should be enabled
+   * @returns {Promise<Object>} The saved state
+   */
+  async setSyncEnabled(enabled) {
+    if (enabled && !this.adapter.getWorldTime) {
+      throw new Error('This calendar has no clock to sync with.');
+    }
+
+    const state = { ...this.getState() };
+    state.syncEnabled = enabled;
+
+    if (enabled) {
+      // Just record current world time as last synced - don't change anything
+      state.lastSyncedWorldTime = this.adapter.getWorldTime();
+    }
+
+    await this.adapter.setState(state);
+    return state;
+  }
+
+  /**
+   * Advance the calendar by a specified amount
+   * @param {number} amount - Amount to advance (can be negative)
+   * @param {string} unit - Unit: 'second', 'minute', 'hour', 'day', 'week', 'month', 'year'
+   * @returns {Promise<Object>} The new calendar state
+   */
+  async advance(amount, unit) {
+    const state = { ...this.getState() };
+    const config = this.getConfig();
+    const { hoursPerDay, minutesPerHour, secondsPerMinute } = config.time;
+    const secondsPerDay = hoursPerDay * minutesPerHour * secondsPerMinute;
+
+    // For month/year, calculate exact delta using world time difference
+    // For smaller units, calculate directly
+    let secondsDelta = 0;
+    const beforeWorldTime = CalendarTime.toWorldTime(state, config);
+
+    switch (unit) {
+      case 'second':
+        state.second += amount;
+        secondsDelta = amount;
+        break;
+      case 'minute':
+        state.minute += amount;
+        secondsDelta = amount * secondsPerMinute;
+        break;
+      case 'hour':
+        state.hour += amount;
+        secondsDelta = amount * minutesPerHour * secondsPerMinute;
+        break;
+      case 'day':
+        state.day += amount;
+        secondsDelta = amount * secondsPerDay;
+        break;
+      case 'week': {
+        const daysInWeek = config.weekdays.length;
+        state.day += amount * daysInWeek;
+        secondsDelta = amount * daysInWeek * secondsPerDay;
+        break;
+      }
+      case 'month':
+        state.month += amount;
+        secondsDelta = CalendarTime.toWorldTime(state, config) - beforeWorldTime;
+        break;
+      case 'year':
+        state.year = CalendarTime.addYears(state.year, amount, config);
+        secondsDelta = CalendarTime.toWorldTime(state, config) - beforeWorldTime;
+        break;
+    }
+
+    // Save state without automatic world time sync (we'll handle it manually)
+    const newState = await this.setState(state, { updateWorldTime: false });
+
+    // Manually advance world time by the calculated delta
+    if (newState.syncEnabled && this._canChangeWorldTime() && secondsDelta !== 0) {
+      this._isUpdatingToWorldTime = true;
+      try {
+        await this.adapter.advanceWorldTime(secondsDelta);
+        // Update last synced time
+        await this.adapter.setState({
+          ...newState,
+          lastSyncedWorldTime: this.adapter.getWorldTime()
+        });
+      } finally {
+        this._isUpdatingToWorldTime = false;
+      }
+    }
+
+    return newState;
+  }
+
+  /**
+   * Set a specific date, and optionally the time, in one change
+   * @param {Object} date - Date object { year, month, day, hour?, minute?, second? }
+   * @param {Object} options - Options
+   * @param {boolean} options.updateWorldTime - Whether to update world time (default: false for explicit sets)
+   * @returns {Promise<Object>} The new calendar state
+   */
+  async setDate(date, { updateWorldTime = false } = {}) {
+    const state = this.getState();
+    return this.setState({
+      ...state,
+      year: date.year ?? state.year,
+      month: date.month ?? state.month,
+      day: date.day ?? state.day,
+      hour: date.hour ?? state.hour,
+      minute: date.minute ?? state.minute,
+      second: date.second ?? state.second
+    }, { updateWorldTime });
+  }
+
+  /**
+   * Set a specific time
+   * @param {Object} time - Time object { hour, minute, second }
+   * @param {Object} options - Options
+   * @param {boolean} options.updateWorldTime - Whether to update world time (default: false for explicit sets)
+   * @returns {Promise<Object>} The new calendar state
+   */
+  async setTime(time, { updateWorldTime = false } = {}) {
+    const state = this.getState();
+    return this.setState({
+      ...state,
+      hour: time.hour ?? state.hour,
+      minute: time.minute ?? state.minute,
+      second: time.second ?? state.second
+    }, { updateWorldTime });
+  }
+
+  /**
+   * Load a preset calendar configuration
+   * @param {string} presetId - The preset identifier
+   * @returns {Promise<Object>} The loaded configuration
+   */
+  async loadPreset(presetId) {
+    const preset = getPreset(presetId);
+    if (!preset) {
+      throw new Error(`Unknown preset: ${presetId}`);
+    }
+
+    await this.setConfig(preset);
+
+    // Reset state to starting year, month 0, day 1
+    await this.setState(CalendarEngine.getStartingState(preset), { updateWorldTime: false });
+
+    return preset;
+  }
+
+  /**
+   * Export the current calendar configuration
+   * @param {boolean} includeState - Whether to include current date/time
+   * @returns {Object} Exportable configuration object
+   */
+  exportConfig(includeState = false) {
+    const config = this.getConfig();
+    const exportData = {
+      version: SCHEMA_VERSION,
+      config: config
+    };
+
+    if (includeState) {
+      const state = this.getState();
+      exportData.state = {
+        year: state.year,
+        month: state.month,
+        day: state.day,
+        hour: state.hour,
+        minute: state.minute,
+        second: state.second
+      };
+    }
+
+    return exportData;
+  }
+
+  /**
+   * Import a calendar configuration
+   * Files from older versions of the module are migrated first (see CalendarMigrations.migrateExport).
+   * @param {Object} data - The imported data
+   * @param {boolean} importState - Whether to import the state if present
+   * @returns {Promise<Object>} The imported configuration
+   */
+  async importConfig(data, importState = true) {
+    // Validate the import data
+    if (!data.config) {
+      throw new Error('Invalid import data: missing config');
+    }
+
+    // Validate required fields
+    const required = ['weekdays', 'months', 'yearConfig', 'time'];
+    for (const field of required) {
+      if (!data.config[field]) {
+        throw new Error(`Invalid import data: missing ${field}`);
+      }
+    }
+
+    // Bring older files up to date, filling in fields added since
+    data = migrateExport(data);
+
+    // Generate a new ID if not present
+    if (!data.config.id) {
+      data.config.id = randomID();
+    }
+    data.config.name = data.config.name || 'Imported Calendar';
+
+    await this.setConfig(data.config);
+
+    // Import state if present and requested, else reset to starting year
+    await this.setState(importState && data.state
+      ? { ...data.state, syncEnabled: false, lastSyncedWorldTime: 0 }
+      : CalendarEngine.getStartingState(data.config), { updateWorldTime: false });
+
+    return data.config;
+  }
+
+  /**
+   * Import from Simple Calendar export format
+   * Only the calendar is imported; notes are left to the caller (see CalendarSimpleCalendar.convertSimpleCalendar).
+   * @param {Object} data - The Simple Calendar export data
+   * @param {boolean} importState - Whether to import the current date
+   * @param {number|string} [calendar=0] - Index or ID of the calendar to import, for files with several
+   * @returns {Promise<Object>} The imported configuration
+   */
+  async importFromSimpleCalendar(data, importState = true, calendar = 0) {
+    const { config, state } = convertSimpleCalendar(data, calendar);
+
+    await this.setConfig(config);
+
+    // Import current date if present and requested, else reset to the starting year
+    await this.setState(importState && state ? state : CalendarEngine.getStartingState(config), { updateWorldTime: false });
+
+    return config;
+  }
+
+  /**
+   * Import from a Fantasy-Calendar.com export
+   * Only the calendar is imported; events are left to the caller (see CalendarFantasyCalendar.convertFantasyCalendar).
+   * @param {Object} data - The Fantasy-Calendar.com export data
+   * @param {boolean} importState - Whether to import the current date
+   * @returns {Promise<Object>} The imported configuration
+   */
+  async importFromFantasyCalendar(data, importState = true) {
+    const { config, state } = convertFantasyCalendar(data);
+
+    await this.setConfig(config);
+    await this.setState(importState && state ? state : CalendarEngine.getStartingState(config), { updateWorldTime: false });
+
+    return config;
+  }
+
+  /**
+   * Export the calendar and its current date in Simple Calendar format
+   * @param {Object[]} [notes=[]] - Notes to include (see DEFAULT_NOTE)
+   * @returns {{ data: Object, unmapped: Object[] }} The export data and what Simple Calendar cannot hold
+   */
+  exportToSimpleCalendar(notes = []) {
+    return toSimpleCalendar(this.getConfig(), this.getState(), notes);
+  }
+
+  /**
+   * Detect import format (Easy Calendar, Simple Calendar or Fantasy-Calendar.com) and import accordingly
+   * @param {Object} data - The import data
+   * @param {boolean} importState - Whether to import state
+   * @param {number|string} [calendar=0] - Index or ID of the calendar to import from a Simple Calendar file
+   * @returns {Promise<Object>} The imported configuration
+   */
+  async autoImport(data, importState = true, calendar = 0) {
+    // Detect Simple Calendar format (has calendars array)
+    if (data.calendars && Array.isArray(data.calendars)) {
+      return this.importFromSimpleCalendar(data, importState, calendar);
+    }
+
+    // Fantasy-Calendar.com exports have static and dynamic data
+    if (isFantasyCalendar(data)) {
+      return this.importFromFantasyCalendar(data, importState);
+    }
+
+    // Otherwise use standard Easy Calendar format
+    return this.importConfig(data, importState);
+  }
+
+  /**
+   * Get the default calendar configuration (Gregorian)
+   * @returns {Object} Default configuration
+   */
+  static getDefaultConfig() {
+    return getPreset('gregorian');
+  }
+
+  /**
+   * Get the default calendar state
+   * @returns {Object} Default state
+   */
+  static getDefaultState() {
+    const config = this.getDefaultConfig();
+    const state = this.getStartingState(config);
+    return { ...state, weekday: CalendarTime.calculateWeekday(state.year, state.month, state.day, config) };
+  }
+
+  /**
+   * Get the state at the first day of a calendar's starting year, with world time sync off
+   * @param {Object} config - The calendar configuration
+   * @returns {Object} Calendar state
+   */
+  static getStartingState(config) {
+    return {
+      year: config.yearConfig.startingYear,
+      month: 0,
+      day: 1,
+      hour: 0,
+      minute: 0,
+      second: 0,
+      syncEnabled: false,
+      lastSyncedWorldTime: 0
+    };
+  }
+
+  /* -------------------------------------------- */
+  /*  Helpers                                     */
+  /* -------------------------------------------- */
+
+  _canChangeWorldTime() {
+    if (!this.adapter.getWorldTime || !this.adapter.advanceWorldTime) return false;
+    return this.adapter.canChangeWorldTime?.() ?? true;
+  }
+
+  _emit(event, ...args) {
+    this.adapter.emit?.(event, ...args);
+  }
+}
+
+/**
+ * An adapter that keeps the configuration and state in memory, with a plain number as the clock
+ * For using the engine outside Foundry, e.g. in tools and tests.
+ * @implements {CalendarAdapter}
+ */
+export class MemoryAdapter {
+
+  /**
+   * @param {Object} [data]
+   * @param {Object} [data.config] - Calendar configuration (defaults to the Gregorian calendar)
+   * @param {Object} [data.state] - Calendar state (defaults to the first day of the starting year)
+   * @param {number} [data.worldTime=0] - Clock, in seconds
+   * @param {function(string, ...*)} [data.onChange] - Called with the engine's events
+   */
+  constructor({ config, state, worldTime = 0, onChange } = {}) {
+    this.config = deepClone(config) ?? CalendarEngine.getDefaultConfig();
+    this.state = deepClone(state) ?? CalendarEngine.getStartingState(this.config);
+    this.worldTime = worldTime;
+    this.onChange = onChange ?? null;
+  }
+
+  getConfig() {
+    return this.config;
+  }
+
+  async setConfig(config) {
+    this.config = deepClone(config);
+    return this.config;
+  }
+
+  getState() {
+    return this.state;
+  }
+
+  async setState(state) {
+    this.state = deepClone(state);
+    return this.state;
+  }
+
+  getWorldTime() {
+    return this.worldTime;
+  }
+
+  async advanceWorldTime(seconds) {
+    this.worldTime += seconds;
+    return this.worldTime;
+  }
+
+  emit(event, ...args) {
+    this.onChange?.(event, ...args);
+  }
+}
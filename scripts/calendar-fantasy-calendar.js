@@ -0,0 +1,423 @@
+// Easy Calendar - Fantasy-Calendar.com Format
+// Converts calendars exported from Fantasy-Calendar.com, with their date and events.
+// Fantasy-Calendar counts months (timespans) from 0 and days from 1, like Easy Calendar.
+
+import { DEFAULT_MOON, DEFAULT_ERA, DEFAULT_LEAP_YEAR_CONFIG, SEASON_ICONS, NOTE_CATEGORIES, NOTE_VISIBILITY, RECURRENCE_TYPES } from './constants.js';
+import { fitPhasesToCycle } from './calendar-schema.js';
+import { deepClone, randomID } from './calendar-utils.js';
+import * as CalendarTime from './calendar-time.js';
+
+// Fantasy-Calendar's interval rules written as the Gregorian leap rule
+const GREGORIAN_INTERVAL = '400,!100,4';
+
+// Moon phases for a granularity of 4
+const QUARTER_PHASES = [
+  { name: 'New Moon', icon: 'new' },
+  { name: 'First Quarter', icon: 'first-quarter' },
+  { name: 'Full Moon', icon: 'full' },
+  { name: 'Last Quarter', icon: 'last-quarter' }
+];
+
+/**
+ * Whether data is a Fantasy-Calendar.com export
+ * @param {Object} data - Parsed JSON
+ * @returns {boolean}
+ */
+export function isFantasyCalendar(data) {
+  return !!data?.static_data?.year_data;
+}
+
+/**
+ * Convert a Fantasy-Calendar.com export, with its date and events
+ * Everything that has no equivalent is listed in `unmapped` rather than dropped silently.
+ * @param {Object} data - Fantasy-Calendar.com export data
+ * @returns {{ config: Object, state: Object|null, notes: Object[], unmapped: Object[] }}
+ *   The configuration, the saved date (or null), notes ready for CalendarNotes, and what was left out
+ *   ({ path, message }, as for Simple Calendar imports)
+ */
+export function convertFantasyCalendar(data) {
+  if (!isFantasyCalendar(data)) {
+    throw new Error('Invalid Fantasy-Calendar export: no year data found');
+  }
+
+  const unmapped = [];
+  const skip = (path, message) => unmapped.push({ path, message });
+
+  const staticData = data.static_data;
+  const yearData = staticData.year_data;
+  const settings = staticData.settings ?? {};
+  const yearZeroExists = !!settings.year_zero_exists;
+
+  // Time: Fantasy-Calendar has no seconds
+  const clock = staticData.clock ?? {};
+  const time = {
+    hoursPerDay: Number(clock.hours) || 24,
+    minutesPerHour: Number(clock.minutes) || 60,
+    secondsPerMinute: 60
+  };
+  const secondsPerDay = time.hoursPerDay * time.minutesPerHour * time.secondsPerMinute;
+
+  // Weekdays
+  const weekdays = (yearData.global_week || []).map(name => ({
+    id: randomID(8),
+    name,
+    abbreviation: name.substring(0, 3)
+  }));
+  if (yearData.overflow === false) {
+    skip('year_data.overflow', 'Every month starts the week over in Fantasy-Calendar; here the week carries on from the month before.');
+  }
+
+  // Months; those that only appear every few years become leap rules (see below)
+  const months = (yearData.timespans || []).map((timespan, i) => {
+    if (timespan.week?.length) {
+      skip(`year_data.timespans[${i}].week`, `${timespan.name} has its own week; it uses the calendar's week here.`);
+    }
+    const intercalary = timespan.type === 'intercalary';
+    return {
+      id: randomID(8),
+      name: timespan.name,
+      abbreviation: timespan.name.substring(0, 3),
+      days: Number(timespan.length) || 0,
+      intercalary,
+      // Intercalary days are outside the week
+      skipWeekdays: intercalary
+    };
+  });
+
+  const leapYear = convertLeapRules(yearData, months, skip);
+
+  const yearConfig = {
+    startingYear: yearZeroExists ? 0 : 1,
+    yearZeroExists,
+    yearPrefix: '',
+    yearSuffix: '',
+    eras: convertEras(staticData.eras || [], months, skip),
+    reckonings: []
+  };
+
+  const config = {
+    id: randomID(),
+    name: data.name || 'Imported Calendar',
+    namePrefix: '',
+    nameSuffix: '',
+    weekdays,
+    firstWeekday: 0,
+    // first_day is the weekday, counted from 1, on which the first year starts
+    epochWeekday: Math.max(0, (Number(yearData.first_day) || 1) - 1),
+    months,
+    yearConfig,
+    time,
+    leapYear,
+    seasons: [],
+    moons: (staticData.moons || []).map((moon, i) => convertMoon(moon, i, yearConfig.startingYear, skip))
+  };
+  config.seasons = convertSeasons(staticData.seasons, config, secondsPerDay, skip);
+
+  if (staticData.cycles?.data?.length) {
+    skip('cycles', 'Cycles (such as zodiac years) are not supported.');
+  }
+
+  // Saved date
+  const dynamic = data.dynamic_data;
+  const state = dynamic ? {
+    year: Number(dynamic.year) || yearConfig.startingYear,
+    month: Number(dynamic.timespan) || 0,
+    day: Number(dynamic.day) || 1,
+    hour: Number(dynamic.hour) || 0,
+    minute: Number(dynamic.minute) || 0,
+    second: 0,
+    syncEnabled: false,
+    lastSyncedWorldTime: 0
+  } : null;
+
+  // Events
+  const categories = staticData.event_data?.categories ?? data.event_categories ?? [];
+  const events = staticData.event_data?.events ?? data.events ?? [];
+  const fallbackDate = state ?? { year: yearConfig.startingYear, month: 0, day: 1 };
+  const notes = events
+    .map((event, i) => convertEvent(event, config, categories, fallbackDate, (path, message) => skip(`events[${i}].${path}`, message)))
+    .filter(Boolean);
+
+  return { config, state, notes, unmapped };
+}
+
+/* -------------------------------------------- */
+/*  Helpers                                     */
+/* -------------------------------------------- */
+
+/**
+ * Leap days and months that appear every few years all have their own rule in Fantasy-Calendar; here there
+ * is one rule per calendar. The first rule is kept, with every leap day and month that follows it.
+ */
+function convertLeapRules(yearData, months, skip) {
+  const rules = [];
+  const ruleFor = (interval, offset) => {
+    const key = `${String(interval).replace(/\s/g, '')}|${Number(offset) || 0}`;
+    let rule = rules.find(r => r.key === key);
+    if (!rule) {
+      rule = { key, interval: String(interval).replace(/\s/g, ''), offset: Number(offset) || 0, extra: [] };
+      rules.push(rule);
+    }
+    return rule;
+  };
+
+  for (const [i, leapDay] of (yearData.leap_days || []).entries()) {
+    const month = months[leapDay.timespan];
+    const path = `year_data.leap_days[${i}]`;
+    if (!month) {
+      skip(path, `The leap day ${leapDay.name} belongs to a month that does not exist.`);
+      continue;
+    }
+
+    // Reported only if the leap day is kept
+    const warnings = [];
+    if (leapDay.adds_week_day) {
+      warnings.push([`${path}.adds_week_day`, `${leapDay.name} adds a weekday; leap days here are ordinary days.`]);
+    }
+    if (leapDay.intercalary && !month.intercalary) {
+      warnings.push([`${path}.intercalary`, `${leapDay.name} is a day outside the week; here it is an ordinary day of ${month.name}.`]);
+    }
+    if (Number(leapDay.day) > 0 && Number(leapDay.day) < month.days) {
+      warnings.push([`${path}.day`, `${leapDay.name} is added at the end of ${month.name} rather than after day ${leapDay.day}.`]);
+    }
+    ruleFor(leapDay.interval, leapDay.offset).extra.push({ month, days: 1, path, name: leapDay.name, warnings });
+  }
+
+  // A month that appears every N years has no days in the other years
+  for (const [i, timespan] of (yearData.timespans || []).entries()) {
+    if ((Number(timespan.interval) || 1) <= 1) continue;
+    ruleFor(timespan.interval, timespan.offset).extra.push({ month: months[i], days: months[i].days, path: `year_data.timespans[${i}].interval`, name: timespan.name, timespan: true, warnings: [] });
+  }
+
+  const [rule, ...others] = rules;
+  const leapYear = { ...deepClone(DEFAULT_LEAP_YEAR_CONFIG) };
+  if (!rule) return leapYear;
+
+  const clauses = rule.interval.split(',').filter(Boolean).map(item => ({
+    divisor: parseInt(item.replace(/[!+]/g, '')),
+    type: item.includes('!') ? 'exclude' : 'include',
+    ignoresOffset: item.includes('+')
+  }));
+  if (rule.offset && clauses.some(clause => clause.ignoresOffset)) {
+    skip('year_data.leap_days', `Parts of the leap rule "${rule.interval}" ignore its offset; here the offset applies to the whole rule.`);
+  }
+
+  leapYear.enabled = true;
+  leapYear.offset = rule.offset;
+  if (rule.interval === GREGORIAN_INTERVAL && !rule.offset) {
+    leapYear.rule = 'gregorian';
+  } else if (clauses.length === 1 && clauses[0].type === 'include') {
+    leapYear.rule = 'simple';
+    leapYear.interval = clauses[0].divisor;
+  } else {
+    // The first matching interval decides in Fantasy-Calendar, the last matching clause here
+    leapYear.rule = 'custom';
+    leapYear.clauses = clauses.reverse().map(({ divisor, type }) => ({ divisor, type }));
+  }
+
+  for (const extra of rule.extra) {
+    extra.warnings.forEach(([path, message]) => skip(path, message));
+    if (extra.timespan) extra.month.days = 0;
+    const entry = leapYear.months.find(m => m.monthId === extra.month.id);
+    if (entry) entry.extraDays += extra.days;
+    else leapYear.months.push({ monthId: extra.month.id, extraDays: extra.days });
+  }
+
+  for (const other of others) {
+    for (const extra of other.extra) {
+      skip(extra.path, extra.timespan
+        ? `${extra.name} appears on its own rule (${other.interval}); only one leap rule is supported, so it appears every year.`
+        : `${extra.name} follows its own rule (${other.interval}); only one leap rule is supported, so it is left out.`);
+    }
+  }
+
+  return leapYear;
+}
+
+function convertEras(eras, months, skip) {
+  return eras.map((era, i) => {
+    const date = era.date ?? {};
+    if ((Number(date.timespan) || 0) > 0 || (Number(date.day) || 1) > 1) {
+      skip(`eras[${i}].date`, `${era.name} starts partway through year ${date.year}; here it starts with the year.`);
+    }
+    if (era.settings?.use_custom_format) {
+      skip(`eras[${i}].formatting`, `${era.name} has its own date format; use the calendar's date formats instead.`);
+    }
+    const startingEra = !!era.settings?.starting_era;
+    const startYear = startingEra ? null : Number(date.year) || 0;
+    return {
+      ...DEFAULT_ERA,
+      id: randomID(8),
+      name: era.name,
+      abbreviation: era.abbreviation || '',
+      startYear,
+      // Eras that restart count their years from 1
+      startNumber: era.settings?.restart || startingEra ? 1 : startYear
+    };
+  });
+}
+
+/**
+ * Granularity is the number of phases a moon is shown with; 8 or more become the usual eight phases
+ */
+function convertMoon(moon, i, startingYear, skip) {
+  const cycleLength = Number(moon.cycle) || DEFAULT_MOON.cycleLength;
+  const granularity = Number(moon.granularity) || 8;
+
+  if (moon.custom_phase) {
+    skip(`moons[${i}].custom_cycle`, `${moon.name} has a custom phase pattern; its phases are spread evenly over the cycle here.`);
+  }
+  if (granularity > 8) {
+    skip(`moons[${i}].granularity`, `${moon.name} is shown with ${granularity} phases in Fantasy-Calendar; here it has the usual eight.`);
+  }
+
+  let phases;
+  if (granularity <= 4) {
+    phases = QUARTER_PHASES.map(phase => ({ ...phase, length: Math.round(cycleLength / 4 * 100000) / 100000, singleDay: false }));
+  } else {
+    phases = fitPhasesToCycle({ cycleLength, phases: DEFAULT_MOON.phases })
+      ?? DEFAULT_MOON.phases.map(phase => ({ ...phase, length: Math.round(cycleLength / 8 * 100000) / 100000, singleDay: false }));
+  }
+
+  return {
+    id: randomID(8),
+    name: moon.name,
+    cycleLength,
+    // Fantasy-Calendar counts the cycle from the first day of the first year, moved on by the shift
+    cycleOffset: 0 - (Number(moon.shift) || 0),
+    color: moon.color || '#ffffff',
+    phases,
+    referenceNewMoon: { year: startingYear, month: 0, day: 1 }
+  };
+}
+
+/**
+ * Seasons either start on a date or, when periodic, follow each other by length from the season offset
+ */
+function convertSeasons(seasons, config, secondsPerDay, skip) {
+  const list = seasons?.data ?? [];
+  const periodic = seasons?.global_settings?.periodic_seasons !== false;
+  const toSeconds = (t, fallback) => t ? ((Number(t.hour) || 0) * config.time.minutesPerHour + (Number(t.minute) || 0)) * config.time.secondsPerMinute : fallback;
+
+  let dayOfYear = Number(seasons?.global_settings?.season_offset) || 0;
+  if (periodic && list.length) {
+    skip('seasons', 'Periodic seasons start on fixed dates here, worked out from their lengths in a common year.');
+  }
+
+  return list.map((season, i) => {
+    let start;
+    if (periodic) {
+      start = dayOfYearToDate(dayOfYear, config);
+      dayOfYear += (Number(season.transition_length) || 0) + (Number(season.duration) || 0);
+    } else {
+      start = { month: Number(season.timespan) || 0, day: Number(season.day) || 1 };
+    }
+
+    const color = Array.isArray(season.color) ? season.color[0] : season.color;
+    return {
+      id: randomID(8),
+      name: season.name,
+      startingMonth: start.month,
+      startingDay: start.day,
+      color: typeof color === 'string' && color ? color : '#46b946',
+      icon: SEASON_ICONS.find(icon => season.name.toLowerCase().includes(icon))
+        ?? (season.name.toLowerCase().includes('autumn') ? 'fall' : SEASON_ICONS[i % SEASON_ICONS.length]),
+      sunriseTime: toSeconds(season.time?.sunrise, secondsPerDay / 4),
+      sunsetTime: toSeconds(season.time?.sunset, secondsPerDay * 3 / 4)
+    };
+  });
+}
+
+function dayOfYearToDate(dayOfYear, config) {
+  const yearLength = config.months.reduce((sum, month) => sum + month.days, 0);
+  let remaining = yearLength > 0 ? ((Math.round(dayOfYear) % yearLength) + yearLength) % yearLength : 0;
+  for (const [month, { days }] of config.months.entries()) {
+    if (remaining < days) return { month, day: remaining + 1 };
+    remaining -= days;
+  }
+  return { month: 0, day: 1 };
+}
+
+/**
+ * Events repeat by conditions; the common ones (a date, every year, every month, every week) become
+ * repeating notes. Others are kept once on their date.
+ */
+function convertEvent(event, config, categories, fallbackDate, skip) {
+  const name = event.name || 'Imported Event';
+  const eventData = event.data ?? {};
+  const conditions = (eventData.conditions || []).filter(c => Array.isArray(c) && c.length === 3);
+  const joins = (eventData.conditions || []).filter(c => Array.isArray(c) && c.length === 1).map(([join]) => join);
+  const values = Object.fromEntries(conditions.map(([type, operator, value]) => [type, operator === '0' ? value : null]));
+
+  let date = Array.isArray(eventData.date) && eventData.date.length === 3
+    ? { year: Number(eventData.date[0]), month: Number(eventData.date[1]), day: Number(eventData.date[2]) }
+    : null;
+  let recurrence = { type: RECURRENCE_TYPES.NONE };
+  const types = Object.keys(values).sort().join(',');
+  const simple = joins.every(join => join === '&&') && Object.values(values).every(Boolean);
+
+  if (simple && types === 'Date') {
+    const [year, month, day] = values.Date.map(Number);
+    date = { year, month, day };
+  } else if (simple && types === 'Day,Month') {
+    date = { year: date?.year ?? fallbackDate.year, month: Number(values.Month[0]), day: Number(values.Day[0]) };
+    recurrence = { type: RECURRENCE_TYPES.YEARLY, interval: 1 };
+  } else if (simple && types === 'Day') {
+    date = { year: date?.year ?? fallbackDate.year, month: date?.month ?? 0, day: Number(values.Day[0]) };
+    recurrence = { type: RECURRENCE_TYPES.MONTHLY, interval: 1 };
+  } else if (simple && types === 'Weekday') {
+    const [weekday] = values.Weekday;
+    const index = config.weekdays.findIndex(w => w.name === weekday);
+    const target = index >= 0 ? index : Number(weekday) - 1;
+    date = nextWeekday(date ?? fallbackDate, target, config);
+    recurrence = { type: RECURRENCE_TYPES.INTERVAL, interval: config.weekdays.length };
+  } else if (conditions.length) {
+    if (!date) {
+      skip('data.conditions', `"${name}" repeats by conditions that cannot be converted and has no date; it is left out.`);
+      return null;
+    }
+    skip('data.conditions', `"${name}" repeats by conditions that cannot be converted; it is kept once on its date.`);
+  }
+
+  if (!date) {
+    skip('data.date', `"${name}" has no date; it is left out.`);
+    return null;
+  }
+  if (eventData.has_duration && Number(eventData.duration) > 1) {
+    skip('data.duration', `"${name}" lasts ${eventData.duration} days; it is kept on its first day.`);
+  }
+  if (eventData.limited_repeat) {
+    skip('data.limited_repeat', `"${name}" repeats a limited number of times; here it repeats without end.`);
+  }
+
+  // Categories are matched to ours by name
+  const category = categories.find(c => c.id === event.event_category_id) ?? categories[event.event_category_id];
+  const match = category && NOTE_CATEGORIES.find(c => c.name.toLowerCase() === String(category.name).toLowerCase());
+  if (category && !match) {
+    skip('event_category_id', `"${name}" is in the category "${category.name}", filed under General here.`);
+  }
+
+  const hidden = event.settings?.hide || event.settings?.hide_full;
+  return {
+    title: name,
+    content: event.description || '',
+    date,
+    allDay: true,
+    startTime: 0,
+    endTime: 0,
+    category: match?.id ?? 'general',
+    visibility: hidden ? NOTE_VISIBILITY.GM : NOTE_VISIBILITY.PUBLIC,
+    recurrence
+  };
+}
+
+function nextWeekday(date, weekday, config) {
+  const start = { year: date.year, month: date.month, day: date.day };
+  for (let offset = 0; offset < 60; offset++) {
+    const candidate = CalendarTime.addDays(start, offset, config);
+    if (CalendarTime.calculateWeekday(candidate.year, candidate.month, candidate.day, config) === weekday) {
+      return candidate;
+    }
+  }
+  return start;
+}
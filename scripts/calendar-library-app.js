@@ -0,0 +1,238 @@
+// Easy Calendar - Calendar Library Application
+
+import { MODULE_ID, FLAGS } from './constants.js';
+import { CalendarData } from './calendar-data.js';
+import { CalendarLibrary } from './calendar-library.js';
+import { CalendarSocket } from './calendar-socket.js';
+import { getPresetChoices } from './calendar-presets.js';
+import * as CalendarTime from './calendar-time.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class CalendarLibraryApp extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  static DEFAULT_OPTIONS = {
+    id: 'easy-calendar-library',
+    classes: ['easy-calendar', 'easy-calendar-library'],
+    position: {
+      width: 520,
+      height: 'auto'
+    },
+    window: {
+      frame: true,
+      positioned: true,
+      resizable: true,
+      minimizable: true
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: `modules/${MODULE_ID}/templates/calendar-library.hbs`
+    }
+  };
+
+  /* -------------------------------------------- */
+  /*  Getters                                     */
+  /* -------------------------------------------- */
+
+  get title() {
+    return 'Calendar Library';
+  }
+
+  /* -------------------------------------------- */
+  /*  Context Preparation                         */
+  /* -------------------------------------------- */
+
+  async _prepareContext(options) {
+    const active = CalendarData.getConfig();
+    const state = CalendarData.getState();
+    const scene = game.scenes.viewed;
+
+    return {
+      calendars: CalendarLibrary.getCalendars().map(config => {
+        const isActive = config.id === active.id;
+        return {
+          id: config.id,
+          name: config.name,
+          isActive,
+          now: isActive
+            ? CalendarData.formatDate(state)
+            : CalendarTime.formatDate(CalendarLibrary.convert(state, active, config), config, 'date')
+        };
+      }),
+      presets: getPresetChoices(),
+      scene: scene ? {
+        name: scene.name,
+        calendarId: scene.getFlag(MODULE_ID, FLAGS.DISPLAY_CALENDAR) || ''
+      } : null
+    };
+  }
+
+  /* -------------------------------------------- */
+  /*  Rendering                                   */
+  /* -------------------------------------------- */
+
+  _onRender(context, options) {
+    this._activateListeners();
+  }
+
+  /* -------------------------------------------- */
+  /*  Event Listeners                             */
+  /* -------------------------------------------- */
+
+  _activateListeners() {
+    const el = this.element;
+    const calendarIdOf = (e) => e.currentTarget.closest('[data-calendar-id]').dataset.calendarId;
+
+    el.querySelectorAll('[data-action="activate-calendar"]').forEach(btn => {
+      btn.addEventListener('click', (e) => this._onActivateCalendar(calendarIdOf(e)));
+    });
+    el.querySelectorAll('[data-action="align-calendar"]').forEach(btn => {
+      btn.addEventListener('click', (e) => this._onAlignCalendar(calendarIdOf(e)));
+    });
+    el.querySelectorAll('[data-action="remove-calendar"]').forEach(btn => {
+      btn.addEventListener('click', (e) => this._onRemoveCalendar(calendarIdOf(e)));
+    });
+
+    el.querySelector('[data-action="add-preset"]')?.addEventListener('click', () => {
+      this._onAddCalendar(el.querySelector('[name="preset"]')?.value);
+    });
+    el.querySelector('[data-action="copy-active"]')?.addEventListener('click', () => {
+      const copy = CalendarData.getConfig();
+      this._onAddCalendar({ ...copy, id: null, name: `${copy.name} (Copy)` });
+    });
+
+    el.querySelector('[name="scene-calendar"]')?.addEventListener('change', (e) => this._onSetSceneCalendar(e.target.value));
+    el.querySelector('[data-action="cancel"]')?.addEventListener('click', () => this.close());
+  }
+
+  async _onAddCalendar(calendar) {
+    if (!calendar) return;
+
+    try {
+      const config = await CalendarSocket.execute('addCalendar', { calendar });
+      ui.notifications.info(`Added ${config.name} to the library. Line it up with the active calendar to choose how its dates match.`);
+    } catch (err) {
+      ui.notifications.error(err.message);
+    }
+  }
+
+  async _onActivateCalendar(calendarId) {
+    const config = CalendarLibrary.getCalendar(calendarId);
+    if (!config) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: 'Activate Calendar' },
+      content: `<p>Make <strong>${foundry.utils.escapeHTML(config.name)}</strong> the active calendar?</p>
+        <p>The date becomes the same moment in this calendar and reminders keep their moment.
+        Notes, weather and macro trigger dates are not converted.</p>`,
+      rejectClose: false
+    });
+    if (!confirmed) return;
+
+    try {
+      await CalendarSocket.execute('activateCalendar', { calendarId });
+    } catch (err) {
+      ui.notifications.error(err.message);
+    }
+  }
+
+  async _onAlignCalendar(calendarId) {
+    const config = CalendarLibrary.getCalendar(calendarId);
+    const active = CalendarData.getConfig();
+    if (!config) return;
+
+    const state = CalendarData.getState();
+    const now = CalendarLibrary.convert(state, active, config);
+    const dateFields = (prefix, calendar, date) => `
+      <div class="form-group">
+        <label>${foundry.utils.escapeHTML(calendar.name)}</label>
+        <div class="form-fields">
+          <input type="number" name="${prefix}-year" value="${date.year}" title="Year" />
+          <select name="${prefix}-month" title="Month">
+            ${calendar.months.map((m, i) => `<option value="${i}" ${i === date.month ? 'selected' : ''}>${m.name}</option>`).join('')}
+          </select>
+          <input type="number" name="${prefix}-day" value="${date.day}" min="1" title="Day" />
+        </div>
+      </div>
+    `;
+
+    const content = `
+      <form>
+        <p>Enter a day in each calendar; both calendars will treat them as the same day.</p>
+        ${dateFields('active', active, state)}
+        ${dateFields('other', config, now)}
+      </form>
+    `;
+
+    const result = await foundry.applications.api.DialogV2.wait({
+      window: { title: 'Line Up Calendars' },
+      content,
+      buttons: [
+        {
+          action: 'align',
+          label: 'Line Up',
+          icon: 'fas fa-check',
+          default: true,
+          callback: (event, button, dialog) => {
+            const form = button.form;
+            const read = (prefix) => ({
+              year: parseInt(form.querySelector(`[name="${prefix}-year"]`).value) || 0,
+              month: parseInt(form.querySelector(`[name="${prefix}-month"]`).value) || 0,
+              day: parseInt(form.querySelector(`[name="${prefix}-day"]`).value) || 1
+            });
+            return { activeDate: read('active'), otherDate: read('other') };
+          }
+        },
+        {
+          action: 'cancel',
+          label: 'Cancel',
+          icon: 'fas fa-times'
+        }
+      ],
+      rejectClose: false
+    });
+
+    if (result && result !== 'cancel') {
+      try {
+        await CalendarSocket.execute('alignCalendar', { calendarId, date: result.otherDate, otherId: active.id, otherDate: result.activeDate });
+      } catch (err) {
+        ui.notifications.error(err.message);
+      }
+    }
+  }
+
+  async _onRemoveCalendar(calendarId) {
+    const config = CalendarLibrary.getCalendar(calendarId);
+    if (!config) return;
+
+    const confirmed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: 'Remove Calendar' },
+      content: `<p>Remove <strong>${foundry.utils.escapeHTML(config.name)}</strong> from the library?</p>`,
+      rejectClose: false
+    });
+    if (!confirmed) return;
+
+    try {
+      await CalendarSocket.execute('removeCalendar', { calendarId });
+    } catch (err) {
+      ui.notifications.error(err.message);
+    }
+  }
+
+  async _onSetSceneCalendar(calendarId) {
+    const scene = game.scenes.viewed;
+    if (!scene) return;
+
+    try {
+      await CalendarSocket.execute('setSceneCalendar', { sceneId: scene.id, calendarId: calendarId || null });
+    } catch (err) {
+      ui.notifications.error(err.message);
+    }
+  }
+}
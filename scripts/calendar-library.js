@@ -0,0 +1,285 @@
+// Easy Calendar - Calendar Library
+
+import { MODULE_ID, SETTINGS, FLAGS, PERMISSIONS } from './constants.js';
+import { CalendarData } from './calendar-data.js';
+import { CalendarReminders } from './calendar-reminders.js';
+import { CalendarPermissions } from './calendar-permissions.js';
+import { getPreset } from './calendar-presets.js';
+import { assertValidConfig } from './calendar-schema.js';
+import * as CalendarTime from './calendar-time.js';
+
+/**
+ * CalendarLibrary keeps every calendar of the world and converts dates between them
+ * The active calendar is the calendar configuration setting and drives the date, notes and everything else;
+ * the other calendars are kept in the library setting. All calendars share one timeline: a calendar's
+ * world time (see CalendarTime.toWorldTime) plus its timelineOffset, in seconds. Users and scenes can show
+ * the current moment in another calendar.
+ */
+export class CalendarLibrary {
+
+  /**
+   * Get all calendars, the active one first
+   * @returns {Object[]} Calendar configurations
+   */
+  static getCalendars() {
+    const active = CalendarData.getConfig();
+    const others = Object.values(this._getLibrary()).filter(config => config.id !== active.id);
+    return [active, ...others];
+  }
+
+  /**
+   * Get a calendar by ID
+   * @param {string} calendarId - The calendar identifier
+   * @returns {Object|null} The calendar configuration
+   */
+  static getCalendar(calendarId) {
+    return this.getCalendars().find(config => config.id === calendarId) ?? null;
+  }
+
+  /**
+   * Check whether a calendar is the active one
+   * @param {string} calendarId - The calendar identifier
+   * @returns {boolean}
+   */
+  static isActive(calendarId) {
+    return CalendarData.getConfig().id === calendarId;
+  }
+
+  /**
+   * Add a calendar to the library
+   * Writes the library setting directly; other users go through CalendarSocket.execute('addCalendar').
+   * @param {Object|string} calendar - A calendar configuration, or a preset ID
+   * @param {User} [user] - The user adding the calendar (defaults to the current user)
+   * @returns {Promise<Object>} The added calendar, with a new ID if its own was taken
+   */
+  static async addCalendar(calendar, user = game.user) {
+    const config = typeof calendar === 'string' ? getPreset(calendar) : foundry.utils.deepClone(calendar);
+    if (!config) {
+      throw new Error(`Unknown preset: ${calendar}`);
+    }
+
+    if (!config.id || this.getCalendar(config.id)) {
+      config.id = foundry.utils.randomID();
+    }
+    config.timelineOffset = Number(config.timelineOffset) || 0;
+
+    return this.saveCalendar(config, user);
+  }
+
+  /**
+   * Save a calendar, which may be the active one
+   * @param {Object} config - The calendar configuration
+   * @param {User} [user] - The user saving the calendar (defaults to the current user)
+   * @returns {Promise<Object>} The saved calendar
+   */
+  static async saveCalendar(config, user = game.user) {
+    this._checkPermission(user);
+    if (!config?.id) {
+      throw new Error('A calendar needs an ID.');
+    }
+
+    if (this.isActive(config.id)) {
+      await CalendarData.setConfig(config);
+    } else {
+      assertValidConfig(config);
+      await this._setLibrary({ ...this._getLibrary(), [config.id]: config });
+    }
+    return config;
+  }
+
+  /**
+   * Remove a calendar from the library; the active calendar cannot be removed
+   * @param {string} calendarId - The calendar identifier
+   * @param {User} [user] - The user removing the calendar (defaults to the current user)
+   * @returns {Promise<boolean>} True if a calendar was removed
+   */
+  static async removeCalendar(calendarId, user = game.user) {
+    this._checkPermission(user);
+    if (this.isActive(calendarId)) {
+      throw new Error('The active calendar cannot be removed.');
+    }
+
+    const library = this._getLibrary();
+    if (!library[calendarId]) return false;
+
+    delete library[calendarId];
+    await this._setLibrary(library);
+    return true;
+  }
+
+  /**
+   * Make another calendar the active one
+   * The current moment carries over, so the date becomes the same moment in the new calendar, and reminders
+   * keep their moment. Notes, weather and macro trigger dates are not converted.
+   * @param {string} calendarId - The calendar identifier
+   * @param {User} [user] - The user switching calendars (defaults to the current user)
+   * @returns {Promise<Object>} The new calendar state
+   */
+  static async activateCalendar(calendarId, user = game.user) {
+    this._checkPermission(user);
+    const previous = CalendarData.getConfig();
+    const config = this.getCalendar(calendarId);
+    if (!config) {
+      throw new Error(`Unknown calendar: ${calendarId}`);
+    }
+    if (config.id === previous.id) return CalendarData.getState();
+
+    const state = CalendarData.getState();
+    const newState = this.convert(state, previous, config);
+
+    // Move the reminders first; they only fire in the calendar they belong to
+    const shift = (Number(previous.timelineOffset) || 0) - (Number(config.timelineOffset) || 0);
+    await CalendarReminders.moveReminders(previous.id, config.id, shift, user);
+
+    const library = this._getLibrary();
+    delete library[config.id];
+    library[previous.id] = previous;
+    await this._setLibrary(library);
+
+    await CalendarData.setConfig(config);
+    const saved = await CalendarData.setState({
+      ...newState,
+      syncEnabled: state.syncEnabled,
+      lastSyncedWorldTime: state.lastSyncedWorldTime
+    }, { updateWorldTime: false });
+
+    Hooks.callAll('easyCalendarActivated', config, previous);
+    return saved;
+  }
+
+  /* -------------------------------------------- */
+  /*  Timeline                                    */
+  /* -------------------------------------------- */
+
+  /**
+   * Get the shared timeline time of a date
+   * @param {Object} state - Date and time { year, month, day, hour?, minute?, second? }
+   * @param {Object|string} calendar - The calendar the date is in, or its ID
+   * @returns {number} Timeline time in seconds
+   */
+  static toTimeline(state, calendar) {
+    const config = this._resolve(calendar);
+    const { year, month, day, hour = 0, minute = 0, second = 0 } = state;
+    return CalendarTime.toWorldTime({ year, month, day, hour, minute, second }, config) + (Number(config.timelineOffset) || 0);
+  }
+
+  /**
+   * Get the date at a shared timeline time
+   * @param {number} time - Timeline time in seconds
+   * @param {Object|string} calendar - The calendar, or its ID
+   * @returns {Object} Date and time { year, month, day, hour, minute, second }
+   */
+  static fromTimeline(time, calendar) {
+    const config = this._resolve(calendar);
+    return CalendarTime.fromWorldTime(time - (Number(config.timelineOffset) || 0), config);
+  }
+
+  /**
+   * Convert a date from one calendar to another
+   * @param {Object} state - Date and time { year, month, day, hour?, minute?, second? }
+   * @param {Object|string} from - The calendar the date is in, or its ID
+   * @param {Object|string} to - The calendar to convert to, or its ID
+   * @returns {Object} The same moment in the other calendar { year, month, day, hour, minute, second }
+   */
+  static convert(state, from, to) {
+    return this.fromTimeline(this.toTimeline(state, from), to);
+  }
+
+  /**
+   * Line a calendar up with another so that two dates are the same day
+   * @param {string} calendarId - The calendar to move on the timeline
+   * @param {Object} date - A date in that calendar { year, month, day }
+   * @param {string} otherId - The calendar it is lined up with
+   * @param {Object} otherDate - The date in the other calendar that is the same day { year, month, day }
+   * @param {User} [user] - The user moving the calendar (defaults to the current user)
+   * @returns {Promise<Object>} The saved calendar
+   */
+  static async alignCalendar(calendarId, date, otherId, otherDate, user = game.user) {
+    const config = foundry.utils.deepClone(this._resolve(calendarId));
+    const other = this._resolve(otherId);
+    const start = (d) => ({ year: d.year, month: d.month, day: d.day, hour: 0, minute: 0, second: 0 });
+
+    config.timelineOffset = this.toTimeline(start(otherDate), other) - CalendarTime.toWorldTime(start(date), config);
+    return this.saveCalendar(config, user);
+  }
+
+  /* -------------------------------------------- */
+  /*  Displayed Calendar                          */
+  /* -------------------------------------------- */
+
+  /**
+   * Get the calendar shown to a user: their own choice, else the scene's, else the active calendar
+   * @param {User} [user] - The user (defaults to the current user)
+   * @param {Scene} [scene] - The scene (defaults to the viewed scene)
+   * @returns {Object} Calendar configuration
+   */
+  static getDisplayCalendar(user = game.user, scene = game.scenes?.viewed) {
+    const calendarId = user?.getFlag(MODULE_ID, FLAGS.DISPLAY_CALENDAR) || scene?.getFlag(MODULE_ID, FLAGS.DISPLAY_CALENDAR);
+    return (calendarId && this.getCalendar(calendarId)) || CalendarData.getConfig();
+  }
+
+  /**
+   * Get the current moment in the calendar shown to the current user
+   * @returns {Object} { config, state, isActive }
+   */
+  static getDisplay() {
+    const active = CalendarData.getConfig();
+    const state = CalendarData.getState();
+    const config = this.getDisplayCalendar();
+    if (config.id === active.id) {
+      return { config, state, isActive: true };
+    }
+
+    const converted = this.convert(state, active, config);
+    converted.weekday = CalendarTime.calculateWeekday(converted.year, converted.month, converted.day, config);
+    return { config, state: { ...state, ...converted }, isActive: false };
+  }
+
+  /**
+   * Choose the calendar shown to the current user
+   * @param {string|null} calendarId - The calendar, or null to follow the scene and the active calendar
+   */
+  static async setUserCalendar(calendarId) {
+    if (calendarId) await game.user.setFlag(MODULE_ID, FLAGS.DISPLAY_CALENDAR, calendarId);
+    else await game.user.unsetFlag(MODULE_ID, FLAGS.DISPLAY_CALENDAR);
+  }
+
+  /**
+   * Choose the calendar shown on a scene
+   * @param {Scene} scene - The scene
+   * @param {string|null} calendarId - The calendar, or null to show the active calendar
+   * @param {User} [user] - The user choosing (defaults to the current user)
+   */
+  static async setSceneCalendar(scene, calendarId, user = game.user) {
+    this._checkPermission(user);
+    if (calendarId) await scene.setFlag(MODULE_ID, FLAGS.DISPLAY_CALENDAR, calendarId);
+    else await scene.unsetFlag(MODULE_ID, FLAGS.DISPLAY_CALENDAR);
+  }
+
+  /* -------------------------------------------- */
+  /*  Helpers                                     */
+  /* -------------------------------------------- */
+
+  static _getLibrary() {
+    return foundry.utils.deepClone(game.settings.get(MODULE_ID, SETTINGS.CALENDAR_LIBRARY) || {});
+  }
+
+  static async _setLibrary(library) {
+    await game.settings.set(MODULE_ID, SETTINGS.CALENDAR_LIBRARY, library);
+    Hooks.callAll('easyCalendarLibraryChanged', this.getCalendars());
+  }
+
+  static _resolve(calendar) {
+    const config = typeof calendar === 'string' ? this.getCalendar(calendar) : calendar;
+    if (!config) {
+      throw new Error(`Unknown calendar: ${calendar}`);
+    }
+    return config;
+  }
+
+  static _checkPermission(user) {
+    if (!CalendarPermissions.can(PERMISSIONS.MANAGE_LIBRARY, user)) {
+      throw new Error('You do not have permission to manage calendars.');
+    }
+  }
+}
@@ -0,0 +1,118 @@
+// Easy Calendar - Migrations
+// Brings calendar configurations and states saved by older versions of the module up to date
+
+import { DEFAULT_YEAR_CONFIG, DEFAULT_LEAP_YEAR_CONFIG, DEFAULT_FORMATS } from './constants.js';
+import { deepClone } from './calendar-utils.js';
+import * as CalendarTime from './calendar-time.js';
+
+/** Version of the configuration and state shape; stored with the world's settings and written to exports */
+export const SCHEMA_VERSION = 2;
+
+/**
+ * Migration steps, in order
+ * Each step brings data from the version before it to its own `version`, changing the copy it is given.
+ * Config steps are also given the saved state (unchanged, or null if there is none).
+ * Add a step (and raise SCHEMA_VERSION) whenever the shape or meaning of the configuration or state changes.
+ * @type {{ version: number, description: string, config?: function(Object, Object|null), state?: function(Object) }[]}
+ */
+const MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Fill in the fields added for eras, reckonings, leap rules, intercalary months, moon offsets and date formats, and keep the year 0 and weekdays the calendar had',
+    config: (config, state) => {
+      config.namePrefix ??= '';
+      config.nameSuffix ??= '';
+      config.firstWeekday ??= 0;
+      config.yearConfig = { ...deepClone(DEFAULT_YEAR_CONFIG), ...config.yearConfig };
+      // Days were counted with a year 0 whatever the setting said, so saved dates (and a starting year of 0) keep their day
+      config.yearConfig.yearZeroExists = true;
+      config.leapYear = { ...deepClone(DEFAULT_LEAP_YEAR_CONFIG), ...config.leapYear };
+      config.formats = { ...DEFAULT_FORMATS, ...config.formats };
+      for (const month of config.months ?? []) {
+        month.intercalary ??= false;
+        month.skipWeekdays ??= false;
+      }
+      config.seasons ??= [];
+      config.moons ??= [];
+      for (const moon of config.moons) {
+        moon.cycleOffset ??= 0;
+      }
+      config.epochWeekday ??= getLegacyEpochWeekday(config, state);
+    }
+  }
+];
+
+/**
+ * The migration steps a version still needs
+ * @param {number} fromVersion - Version the data was saved with
+ * @returns {{ version: number, description: string }[]} Steps, in order
+ * @throws {Error} If the data is from a newer version of the module
+ */
+export function getPendingMigrations(fromVersion) {
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`This calendar was saved by a newer version of Easy Calendar (data version ${fromVersion}, this version reads up to ${SCHEMA_VERSION}). Update the module first.`);
+  }
+  return MIGRATIONS
+    .filter(step => step.version > fromVersion)
+    .map(({ version, description }) => ({ version, description }));
+}
+
+/**
+ * Bring a calendar configuration up to the current version
+ * @param {Object} config - Calendar configuration (not changed)
+ * @param {number} fromVersion - Version it was saved with
+ * @param {Object|null} [state=null] - The state saved with it, used to keep the weekdays it shows
+ * @returns {Object} The migrated copy
+ */
+export function migrateConfig(config, fromVersion, state = null) {
+  return runMigrations('config', config, fromVersion, state);
+}
+
+/**
+ * Bring a calendar state up to the current version
+ * @param {Object} state - Calendar state (not changed)
+ * @param {number} fromVersion - Version it was saved with
+ * @returns {Object} The migrated copy
+ */
+export function migrateState(state, fromVersion) {
+  return runMigrations('state', state, fromVersion);
+}
+
+/**
+ * Bring an export file ({ version, config, state }) up to the current version
+ * Files without a version are from before versions were written, which is version 1.
+ * @param {Object} data - Export data (not changed)
+ * @returns {Object} The migrated copy, with `version` set to SCHEMA_VERSION
+ */
+export function migrateExport(data) {
+  const fromVersion = Number(data.version) || 1;
+  const migrated = { ...data, version: SCHEMA_VERSION };
+  if (data.config) migrated.config = migrateConfig(data.config, fromVersion, data.state ?? null);
+  if (data.state) migrated.state = migrateState(data.state, fromVersion);
+  return migrated;
+}
+
+/* -------------------------------------------- */
+/*  Helpers                                     */
+/* -------------------------------------------- */
+
+function runMigrations(kind, data, fromVersion, ...args) {
+  getPendingMigrations(fromVersion);
+  const migrated = deepClone(data);
+  for (const step of MIGRATIONS) {
+    if (step.version > fromVersion) step[kind]?.(migrated, ...args);
+  }
+  return migrated;
+}
+
+/**
+ * The weekday the first day of the starting year needs so the saved date keeps the weekday saved with it
+ * Before version 2 weekdays were counted from the starting year with no way to set the first one,
+ * so the state's weekday is the one the world shows.
+ */
+function getLegacyEpochWeekday(config, state) {
+  const weekdayCount = config.weekdays?.length;
+  if (!weekdayCount || !Number.isInteger(state?.weekday) || !config.months?.[state.month]) return 0;
+  const weekday = CalendarTime.calculateWeekday(state.year, state.month, state.day, { ...config, epochWeekday: 0 });
+  return (((state.weekday - weekday) % weekdayCount) + weekdayCount) % weekdayCount;
+}
@@ -0,0 +1,225 @@
+// Easy Calendar - Note Editor Application
+
+import { MODULE_ID, NOTE_VISIBILITY, NOTE_CATEGORIES, DEFAULT_NOTE, DEFAULT_RECURRENCE, RECURRENCE_TYPES } from './constants.js';
+import { CalendarData } from './calendar-data.js';
+import { CalendarNotes } from './calendar-notes.js';
+import { CalendarSocket } from './calendar-socket.js';
+import * as CalendarTime from './calendar-time.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class CalendarNoteApp extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  /**
+   * @param {Object} options - Application options
+   * @param {string} [options.noteId] - The note to edit (omit to create a new note)
+   * @param {Object} [options.date] - The date for a new note { year, month, day }
+   */
+  constructor(options = {}) {
+    super(options);
+    this._noteId = options.noteId ?? null;
+    this._date = options.date ?? null;
+  }
+
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  static DEFAULT_OPTIONS = {
+    classes: ['easy-calendar', 'easy-calendar-note'],
+    position: {
+      width: 480,
+      height: 'auto'
+    },
+    window: {
+      frame: true,
+      positioned: true,
+      resizable: true,
+      minimizable: true
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: `modules/${MODULE_ID}/templates/calendar-note.hbs`
+    }
+  };
+
+  /* -------------------------------------------- */
+  /*  Getters                                     */
+  /* -------------------------------------------- */
+
+  get title() {
+    return this._noteId ? 'Edit Note' : 'New Note';
+  }
+
+  /* -------------------------------------------- */
+  /*  Context Preparation                         */
+  /* -------------------------------------------- */
+
+  async _prepareContext(options) {
+    const config = CalendarData.getConfig();
+    const state = CalendarData.getState();
+
+    const existing = this._noteId ? CalendarNotes.getNote(this._noteId) : null;
+    const note = existing ?? {
+      ...foundry.utils.deepClone(DEFAULT_NOTE),
+      date: this._date ?? { year: state.year, month: state.month, day: state.day }
+    };
+
+    const recurrence = { ...DEFAULT_RECURRENCE, ...note.recurrence };
+    const moonPhaseOptions = (config.moons || []).map(moon => ({
+      moonName: moon.name,
+      phases: (moon.phases || []).map((phase, index) => ({
+        value: `${moon.id}:${index}`,
+        label: phase.name,
+        selected: moon.id === recurrence.moonId && index === recurrence.phaseIndex
+      }))
+    }));
+
+    return {
+      note,
+      recurrence,
+      recurrenceTypes: {
+        [RECURRENCE_TYPES.NONE]: 'Does not repeat',
+        [RECURRENCE_TYPES.INTERVAL]: 'Every N days',
+        [RECURRENCE_TYPES.MONTHLY]: 'Same day every N months',
+        [RECURRENCE_TYPES.YEARLY]: 'Same date every N years',
+        [RECURRENCE_TYPES.WEEKDAY]: 'Nth weekday of a month',
+        [RECURRENCE_TYPES.MOON]: 'Moon phase'
+      },
+      nthOptions: [
+        { value: 1, label: '1st' },
+        { value: 2, label: '2nd' },
+        { value: 3, label: '3rd' },
+        { value: 4, label: '4th' },
+        { value: 5, label: '5th' },
+        { value: -1, label: 'Last' }
+      ],
+      moonPhaseOptions,
+      hasUntil: !!recurrence.until,
+      until: recurrence.until ?? note.date,
+      weekdays: config.weekdays,
+      isNew: !existing,
+      months: config.months,
+      categories: NOTE_CATEGORIES,
+      visibilities: {
+        [NOTE_VISIBILITY.PUBLIC]: 'Everyone',
+        [NOTE_VISIBILITY.GM]: 'GM Only',
+        [NOTE_VISIBILITY.PRIVATE]: 'Only Me'
+      },
+      startTime: CalendarTime.formatSecondsToTime(note.startTime, config),
+      endTime: CalendarTime.formatSecondsToTime(note.endTime, config)
+    };
+  }
+
+  /* -------------------------------------------- */
+  /*  Rendering                                   */
+  /* -------------------------------------------- */
+
+  _onRender(context, options) {
+    this._activateListeners();
+  }
+
+  /* -------------------------------------------- */
+  /*  Event Listeners                             */
+  /* -------------------------------------------- */
+
+  _activateListeners() {
+    const el = this.element;
+
+    el.querySelector('[data-action="save"]')?.addEventListener('click', () => this._onSave());
+    el.querySelector('[data-action="cancel"]')?.addEventListener('click', () => this.close());
+
+    // Time inputs only matter for notes that are not all-day
+    el.querySelector('[name="allDay"]')?.addEventListener('change', (e) => {
+      el.querySelector('.note-time-range')?.classList.toggle('hidden', e.target.checked);
+    });
+
+    // Only show the fields used by the selected recurrence type
+    const typeSelect = el.querySelector('[name="recurrence.type"]');
+    typeSelect?.addEventListener('change', () => this._updateRecurrenceFields());
+    this._updateRecurrenceFields();
+  }
+
+  _updateRecurrenceFields() {
+    const el = this.element;
+    const type = el.querySelector('[name="recurrence.type"]')?.value || RECURRENCE_TYPES.NONE;
+    el.querySelectorAll('[data-recurrence]').forEach(field => {
+      field.classList.toggle('hidden', !field.dataset.recurrence.split(' ').includes(type));
+    });
+  }
+
+  _getRecurrenceFromForm() {
+    const el = this.element;
+    const type = el.querySelector('[name="recurrence.type"]')?.value || RECURRENCE_TYPES.NONE;
+    if (type === RECURRENCE_TYPES.NONE) {
+      return { ...DEFAULT_RECURRENCE };
+    }
+
+    const [moonId = null, phaseIndex = '0'] = (el.querySelector('[name="recurrence.moonPhase"]')?.value || '').split(':');
+    const monthValue = el.querySelector('[name="recurrence.month"]')?.value;
+    const hasUntil = el.querySelector('[name="recurrence.hasUntil"]')?.checked;
+
+    return {
+      type,
+      interval: parseInt(el.querySelector('[name="recurrence.interval"]')?.value) || 1,
+      nth: parseInt(el.querySelector('[name="recurrence.nth"]')?.value) || 1,
+      weekday: parseInt(el.querySelector('[name="recurrence.weekday"]')?.value) || 0,
+      month: monthValue === '' || monthValue === undefined ? null : parseInt(monthValue),
+      moonId: moonId || null,
+      phaseIndex: parseInt(phaseIndex) || 0,
+      until: hasUntil ? {
+        year: parseInt(el.querySelector('[name="recurrence.until.year"]')?.value) || 0,
+        month: parseInt(el.querySelector('[name="recurrence.until.month"]')?.value) || 0,
+        day: parseInt(el.querySelector('[name="recurrence.until.day"]')?.value) || 1
+      } : null
+    };
+  }
+
+  _getNoteFromForm() {
+    const el = this.element;
+    const config = CalendarData.getConfig();
+
+    return {
+      title: el.querySelector('[name="title"]')?.value.trim() || DEFAULT_NOTE.title,
+      content: el.querySelector('[name="content"]')?.value || '',
+      date: {
+        year: parseInt(el.querySelector('[name="year"]')?.value) || 0,
+        month: parseInt(el.querySelector('[name="month"]')?.value) || 0,
+        day: parseInt(el.querySelector('[name="day"]')?.value) || 1
+      },
+      allDay: el.querySelector('[name="allDay"]')?.checked ?? true,
+      startTime: CalendarTime.parseTimeString(el.querySelector('[name="startTime"]')?.value, config),
+      endTime: CalendarTime.parseTimeString(el.querySelector('[name="endTime"]')?.value, config),
+      category: el.querySelector('[name="category"]')?.value || DEFAULT_NOTE.category,
+      visibility: el.querySelector('[name="visibility"]')?.value || NOTE_VISIBILITY.PUBLIC,
+      recurrence: this._getRecurrenceFromForm()
+    };
+  }
+
+  async _onSave() {
+    const data = this._getNoteFromForm();
+    const config = CalendarData.getConfig();
+
+    // Validate the day against the selected month
+    const daysInMonth = CalendarTime.getDaysInMonth(data.date.year, data.date.month, config);
+    if (data.date.day < 1 || data.date.day > daysInMonth) {
+      ui.notifications.error(`Day must be between 1 and ${daysInMonth}.`);
+      return;
+    }
+
+    try {
+      if (this._noteId) {
+        await CalendarSocket.execute('updateNote', { noteId: this._noteId, changes: data });
+      } else {
+        await CalendarSocket.execute('createNote', { data });
+      }
+    } catch (err) {
+      ui.notifications.error(err.message);
+      return;
+    }
+
+    this.close();
+  }
+}
@@ -0,0 +1,314 @@
+// Easy Calendar - Notes and Events
+
+import { MODULE_ID, SETTINGS, NOTE_VISIBILITY, NOTE_CATEGORIES, DEFAULT_NOTE, DEFAULT_RECURRENCE, RECURRENCE_TYPES, PERMISSIONS } from './constants.js';
+import { CalendarData } from './calendar-data.js';
+import { CalendarPermissions } from './calendar-permissions.js';
+import * as CalendarTime from './calendar-time.js';
+import * as CalendarRecurrence from './calendar-recurrence.js';
+
+// Elements removed from note details: they could run script or load pages when another user's panel shows the note
+const UNSAFE_ELEMENTS = 'script, noscript, template, style, iframe, frame, frameset, object, embed, applet, link, meta, base, form, input, button, textarea, select, svg, math';
+
+// Attributes that take a URL, which must not be a script
+const URL_ATTRIBUTES = ['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'background'];
+
+/**
+ * CalendarNotes handles notes and events attached to calendar dates
+ */
+export class CalendarNotes {
+
+  /**
+   * Get every stored note, regardless of visibility
+   * @returns {Object[]} All notes
+   */
+  static getAllNotes() {
+    return game.settings.get(MODULE_ID, SETTINGS.CALENDAR_NOTES) || [];
+  }
+
+  /**
+   * Get all notes the given user is allowed to see
+   * @param {User} [user] - The user (defaults to the current user)
+   * @returns {Object[]} Visible notes
+   */
+  static getNotes(user = game.user) {
+    return this.getAllNotes().filter(note => this.canView(note, user));
+  }
+
+  /**
+   * Get a single note by ID
+   * @param {string} noteId - The note identifier
+   * @returns {Object|null} The note, or null if not found or not visible
+   */
+  static getNote(noteId) {
+    const note = this.getAllNotes().find(n => n.id === noteId);
+    return note && this.canView(note) ? note : null;
+  }
+
+  /**
+   * Get visible notes for a specific date, sorted by start time
+   * @param {Object} date - Date { year, month, day }
+   * @returns {Object[]} Notes on that date
+   */
+  static getNotesForDate(date) {
+    return this.getNotesInRange(date, date);
+  }
+
+  /**
+   * Get visible notes between two dates (inclusive), sorted chronologically
+   * Recurring notes are expanded into one entry per occurrence, with `date` set to the
+   * occurrence and `originDate` holding the date the series starts on.
+   * @param {Object} start - Start date { year, month, day }
+   * @param {Object} end - End date { year, month, day }
+   * @returns {Object[]} Notes within the range
+   */
+  static getNotesInRange(start, end) {
+    const config = CalendarData.getConfig();
+    const weekdayOffset = game.settings.get(MODULE_ID, SETTINGS.WEEKDAY_OFFSET) || 0;
+
+    const results = [];
+    for (const note of this.getNotes()) {
+      const occurrences = CalendarRecurrence.getOccurrences(note.recurrence, note.date, start, end, config, { weekdayOffset });
+      for (const date of occurrences) {
+        results.push({ ...note, date, originDate: note.date });
+      }
+    }
+
+    return results.sort((a, b) => this._sortNotes(a, b));
+  }
+
+  /**
+   * Create a new note
+   * Writes the notes setting directly; players go through CalendarSocket.execute('createNote').
+   * @param {Object} data - Note data (see DEFAULT_NOTE)
+   * @param {User} [user] - The user creating the note (defaults to the current user)
+   * @returns {Promise<Object>} The created note
+   */
+  static async createNote(data, user = game.user) {
+    if (!this.canCreate(user)) {
+      throw new Error('You do not have permission to create calendar notes.');
+    }
+
+    const note = this._cleanNote({
+      ...foundry.utils.deepClone(DEFAULT_NOTE),
+      ...data,
+      id: foundry.utils.randomID(),
+      author: user.id
+    });
+
+    await this._saveNotes([...this.getAllNotes(), note]);
+    Hooks.callAll('easyCalendarNoteCreated', note);
+    return note;
+  }
+
+  /**
+   * Create several notes at once, e.g. from an import
+   * @param {Object[]} notes - Note data (see DEFAULT_NOTE)
+   * @param {User} [user] - The user creating the notes (defaults to the current user)
+   * @returns {Promise<Object[]>} The created notes
+   */
+  static async importNotes(notes, user = game.user) {
+    if (!this.canCreate(user)) {
+      throw new Error('You do not have permission to create calendar notes.');
+    }
+
+    const created = notes.map(data => this._cleanNote({
+      ...foundry.utils.deepClone(DEFAULT_NOTE),
+      ...data,
+      id: foundry.utils.randomID(),
+      author: user.id
+    }));
+
+    await this._saveNotes([...this.getAllNotes(), ...created]);
+    for (const note of created) {
+      Hooks.callAll('easyCalendarNoteCreated', note);
+    }
+    return created;
+  }
+
+  /**
+   * Update an existing note
+   * @param {string} noteId - The note identifier
+   * @param {Object} changes - Fields to update
+   * @param {User} [user] - The user editing the note (defaults to the current user)
+   * @returns {Promise<Object>} The updated note
+   */
+  static async updateNote(noteId, changes, user = game.user) {
+    const notes = this.getAllNotes();
+    const index = notes.findIndex(n => n.id === noteId);
+    if (index === -1) {
+      throw new Error(`Unknown note: ${noteId}`);
+    }
+    if (!this.canEdit(notes[index], user)) {
+      throw new Error('You do not have permission to edit this note.');
+    }
+
+    const note = this._cleanNote({
+      ...notes[index],
+      ...changes,
+      id: noteId,
+      author: notes[index].author
+    });
+    notes[index] = note;
+
+    await this._saveNotes(notes);
+    Hooks.callAll('easyCalendarNoteUpdated', note);
+    return note;
+  }
+
+  /**
+   * Delete a note
+   * @param {string} noteId - The note identifier
+   * @param {User} [user] - The user deleting the note (defaults to the current user)
+   * @returns {Promise<boolean>} True if a note was deleted
+   */
+  static async deleteNote(noteId, user = game.user) {
+    const notes = this.getAllNotes();
+    const note = notes.find(n => n.id === noteId);
+    if (!note) return false;
+    if (!this.canEdit(note, user)) {
+      throw new Error('You do not have permission to delete this note.');
+    }
+
+    await this._saveNotes(notes.filter(n => n.id !== noteId));
+    Hooks.callAll('easyCalendarNoteDeleted', note);
+    return true;
+  }
+
+  /* -------------------------------------------- */
+  /*  Permissions                                 */
+  /* -------------------------------------------- */
+
+  /**
+   * Check whether a user may see a note
+   * @param {Object} note - The note
+   * @param {User} [user] - The user (defaults to the current user)
+   * @returns {boolean}
+   */
+  static canView(note, user = game.user) {
+    if (note.author === user.id) return true;
+    if (note.visibility === NOTE_VISIBILITY.GM) return CalendarPermissions.can(PERMISSIONS.VIEW_HIDDEN_NOTES, user);
+    if (note.visibility === NOTE_VISIBILITY.PRIVATE) return CalendarPermissions.can(PERMISSIONS.VIEW_PRIVATE_NOTES, user);
+    return true;
+  }
+
+  /**
+   * Check whether a user may create notes
+   * @param {User} [user] - The user (defaults to the current user)
+   * @returns {boolean}
+   */
+  static canCreate(user = game.user) {
+    return CalendarPermissions.can(PERMISSIONS.CREATE_NOTES, user);
+  }
+
+  /**
+   * Check whether a user may edit or delete a note
+   * @param {Object} note - The note
+   * @param {User} [user] - The user (defaults to the current user)
+   * @returns {boolean}
+   */
+  static canEdit(note, user = game.user) {
+    if (CalendarPermissions.can(PERMISSIONS.EDIT_NOTES, user)) return true;
+    return note.author === user.id && this.canCreate(user);
+  }
+
+  /* -------------------------------------------- */
+  /*  Helpers                                     */
+  /* -------------------------------------------- */
+
+  /**
+   * Remove anything that could run script from note details
+   * Notes are shown to every user allowed to see them, so one user's HTML must not run in another's client.
+   * @param {string} html - Note details
+   * @returns {string} The details without scripts, frames, event handlers or script URLs
+   */
+  static sanitizeContent(html) {
+    if (!html) return '';
+
+    // Parsed documents do not run scripts or load anything
+    const doc = new DOMParser().parseFromString(`<body>${html}</body>`, 'text/html');
+    doc.body.querySelectorAll(UNSAFE_ELEMENTS).forEach(el => el.remove());
+    for (const el of doc.body.querySelectorAll('*')) {
+      for (const { name, value } of [...el.attributes]) {
+        const attribute = name.toLowerCase();
+        const url = value.replace(/[\s\u0000-\u001f]/g, '').toLowerCase();
+        const unsafeUrl = URL_ATTRIBUTES.includes(attribute) && /^(javascript|vbscript|data):/.test(url) && !url.startsWith('data:image/');
+        if (attribute.startsWith('on') || attribute === 'srcdoc' || unsafeUrl) el.removeAttribute(name);
+      }
+    }
+    return doc.body.innerHTML;
+  }
+
+  /**
+   * Get the category definition for a note
+   * @param {Object} note - The note
+   * @returns {Object} Category { id, name, color }
+   */
+  static getCategory(note) {
+    return NOTE_CATEGORIES.find(c => c.id === note.category) ?? NOTE_CATEGORIES[0];
+  }
+
+  /**
+   * Coerce note fields into their stored shape
+   * @param {Object} note - Raw note data
+   * @returns {Object} Clean note
+   * @private
+   */
+  static _cleanNote(note) {
+    const visibility = Object.values(NOTE_VISIBILITY).includes(note.visibility)
+      ? note.visibility
+      : NOTE_VISIBILITY.PUBLIC;
+
+    return {
+      id: note.id,
+      title: String(note.title || DEFAULT_NOTE.title),
+      content: this.sanitizeContent(String(note.content || '')),
+      date: {
+        year: Number(note.date?.year) || 0,
+        month: Number(note.date?.month) || 0,
+        day: Number(note.date?.day) || 1
+      },
+      allDay: note.allDay !== false,
+      startTime: Number(note.startTime) || 0,
+      endTime: Math.max(Number(note.endTime) || 0, Number(note.startTime) || 0),
+      category: note.category || DEFAULT_NOTE.category,
+      visibility,
+      recurrence: this._cleanRecurrence(note.recurrence),
+      author: note.author ?? null
+    };
+  }
+
+  static _cleanRecurrence(recurrence) {
+    const rule = { ...DEFAULT_RECURRENCE, ...recurrence };
+    if (!Object.values(RECURRENCE_TYPES).includes(rule.type)) {
+      rule.type = RECURRENCE_TYPES.NONE;
+    }
+
+    const month = rule.month === null || rule.month === '' ? null : parseInt(rule.month);
+    return {
+      type: rule.type,
+      interval: Math.max(1, parseInt(rule.interval) || 1),
+      nth: parseInt(rule.nth) || 1,
+      weekday: parseInt(rule.weekday) || 0,
+      month: Number.isNaN(month) ? null : month,
+      moonId: rule.moonId || null,
+      phaseIndex: parseInt(rule.phaseIndex) || 0,
+      until: rule.until ? {
+        year: Number(rule.until.year) || 0,
+        month: Number(rule.until.month) || 0,
+        day: Number(rule.until.day) || 1
+      } : null
+    };
+  }
+
+  static _sortNotes(a, b) {
+    const byDate = CalendarTime.compareDates(a.date, b.date);
+    if (byDate !== 0) return byDate;
+    if (a.allDay !== b.allDay) return a.allDay ? -1 : 1;
+    return a.startTime - b.startTime;
+  }
+
+  static async _saveNotes(notes) {
+    await game.settings.set(MODULE_ID, SETTINGS.CALENDAR_NOTES, notes);
+    Hooks.callAll('easyCalendarNotesChanged', notes);
+  }
+}
@@ -0,0 +1,114 @@
+// Easy Calendar - Permissions Application
+
+import { MODULE_ID, PERMISSIONS, PERMISSION_ROLES } from './constants.js';
+import { CalendarPermissions } from './calendar-permissions.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class CalendarPermissionsApp extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  static DEFAULT_OPTIONS = {
+    id: 'easy-calendar-permissions',
+    classes: ['easy-calendar', 'easy-calendar-permissions'],
+    position: {
+      width: 520,
+      height: 'auto'
+    },
+    window: {
+      frame: true,
+      positioned: true,
+      resizable: false,
+      minimizable: true
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: `modules/${MODULE_ID}/templates/calendar-permissions.hbs`
+    }
+  };
+
+  static ROLE_LABELS = {
+    PLAYER: 'Player',
+    TRUSTED: 'Trusted Player',
+    ASSISTANT: 'Assistant GM'
+  };
+
+  /** Labels for each permission, in display order */
+  static PERMISSION_LABELS = {
+    [PERMISSIONS.VIEW_PANEL]: 'View calendar panel',
+    [PERMISSIONS.VIEW_HIDDEN_NOTES]: 'View GM-only notes',
+    [PERMISSIONS.VIEW_PRIVATE_NOTES]: 'View other users\' private notes',
+    [PERMISSIONS.CREATE_NOTES]: 'Create notes',
+    [PERMISSIONS.EDIT_NOTES]: 'Edit and delete other users\' notes',
+    [PERMISSIONS.ADVANCE_TIME]: 'Advance time',
+    [PERMISSIONS.SET_DATE]: 'Set date and time',
+    [PERMISSIONS.TOGGLE_SYNC]: 'Toggle world time sync',
+    [PERMISSIONS.CONTROL_CLOCK]: 'Start and stop the real-time clock',
+    [PERMISSIONS.EDIT_WEATHER]: 'Reroll and set the weather',
+    [PERMISSIONS.MANAGE_REMINDERS]: 'Manage reminders',
+    [PERMISSIONS.MANAGE_LIBRARY]: 'Manage the calendar library',
+    [PERMISSIONS.EDIT_CONFIG]: 'Edit calendar configuration'
+  };
+
+  /* -------------------------------------------- */
+  /*  Getters                                     */
+  /* -------------------------------------------- */
+
+  get title() {
+    return 'Calendar Permissions';
+  }
+
+  /* -------------------------------------------- */
+  /*  Context Preparation                         */
+  /* -------------------------------------------- */
+
+  async _prepareContext(options) {
+    const matrix = CalendarPermissions.getMatrix();
+
+    return {
+      roles: PERMISSION_ROLES.map(role => ({ id: role, name: CalendarPermissionsApp.ROLE_LABELS[role] })),
+      permissions: Object.entries(CalendarPermissionsApp.PERMISSION_LABELS).map(([id, label]) => ({
+        id,
+        label,
+        roles: PERMISSION_ROLES.map(role => ({ role, granted: matrix[id][role] }))
+      }))
+    };
+  }
+
+  /* -------------------------------------------- */
+  /*  Rendering                                   */
+  /* -------------------------------------------- */
+
+  _onRender(context, options) {
+    this._activateListeners();
+  }
+
+  /* -------------------------------------------- */
+  /*  Event Listeners                             */
+  /* -------------------------------------------- */
+
+  _activateListeners() {
+    const el = this.element;
+
+    el.querySelector('[data-action="save"]')?.addEventListener('click', () => this._onSave());
+    el.querySelector('[data-action="cancel"]')?.addEventListener('click', () => this.close());
+  }
+
+  async _onSave() {
+    const matrix = {};
+    this.element.querySelectorAll('[data-permission][data-role]').forEach(input => {
+      const { permission, role } = input.dataset;
+      matrix[permission] = matrix[permission] || {};
+      matrix[permission][role] = input.checked;
+    });
+
+    await CalendarPermissions.setMatrix(matrix);
+    ui.notifications.info('Calendar permissions saved.');
+    this.close();
+  }
+}
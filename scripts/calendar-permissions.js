@@ -0,0 +1,88 @@
+// Easy Calendar - Permissions
+
+import { MODULE_ID, SETTINGS, PERMISSIONS, PERMISSION_ROLES } from './constants.js';
+
+/**
+ * CalendarPermissions maps user roles to the calendar actions they may perform
+ */
+export class CalendarPermissions {
+
+  /**
+   * Get the default permission matrix
+   * Players and Trusted Players start from the older "Players Can Advance Time" and
+   * "Players Can Create Notes" settings; Assistant GMs may do everything.
+   * @returns {Object} Matrix { [permission]: { PLAYER, TRUSTED, ASSISTANT } }
+   */
+  static getDefaults() {
+    const canAdvance = !!game.settings.get(MODULE_ID, SETTINGS.PLAYERS_CAN_ADVANCE);
+    const canCreateNotes = !!game.settings.get(MODULE_ID, SETTINGS.PLAYERS_CAN_CREATE_NOTES);
+    const grant = (player, trusted = player, assistant = true) => ({ PLAYER: player, TRUSTED: trusted, ASSISTANT: assistant });
+
+    return {
+      [PERMISSIONS.VIEW_PANEL]: grant(true),
+      [PERMISSIONS.VIEW_HIDDEN_NOTES]: grant(false),
+      [PERMISSIONS.VIEW_PRIVATE_NOTES]: grant(false),
+      [PERMISSIONS.CREATE_NOTES]: grant(canCreateNotes),
+      [PERMISSIONS.EDIT_NOTES]: grant(false),
+      [PERMISSIONS.ADVANCE_TIME]: grant(canAdvance),
+      [PERMISSIONS.SET_DATE]: grant(false),
+      [PERMISSIONS.TOGGLE_SYNC]: grant(false),
+      [PERMISSIONS.CONTROL_CLOCK]: grant(false),
+      [PERMISSIONS.EDIT_WEATHER]: grant(false),
+      [PERMISSIONS.MANAGE_REMINDERS]: grant(false),
+      [PERMISSIONS.MANAGE_LIBRARY]: grant(false),
+      [PERMISSIONS.EDIT_CONFIG]: grant(false)
+    };
+  }
+
+  /**
+   * Get the permission matrix, with defaults for anything not saved yet
+   * @returns {Object} Matrix { [permission]: { PLAYER, TRUSTED, ASSISTANT } }
+   */
+  static getMatrix() {
+    const defaults = this.getDefaults();
+    const stored = game.settings.get(MODULE_ID, SETTINGS.PERMISSIONS) || {};
+
+    const matrix = {};
+    for (const permission of Object.values(PERMISSIONS)) {
+      matrix[permission] = {};
+      for (const role of PERMISSION_ROLES) {
+        matrix[permission][role] = stored[permission]?.[role] ?? defaults[permission][role];
+      }
+    }
+    return matrix;
+  }
+
+  /**
+   * Save the permission matrix
+   * @param {Object} matrix - Matrix { [permission]: { PLAYER, TRUSTED, ASSISTANT } }
+   * @returns {Promise<Object>} The saved matrix
+   */
+  static async setMatrix(matrix) {
+    const clean = {};
+    for (const permission of Object.values(PERMISSIONS)) {
+      clean[permission] = {};
+      for (const role of PERMISSION_ROLES) {
+        clean[permission][role] = !!matrix[permission]?.[role];
+      }
+    }
+    await game.settings.set(MODULE_ID, SETTINGS.PERMISSIONS, clean);
+    return clean;
+  }
+
+  /**
+   * Check whether a user may perform a calendar action
+   * @param {string} permission - One of PERMISSIONS
+   * @param {User} [user] - The user (defaults to the current user)
+   * @returns {boolean}
+   */
+  static can(permission, user = game.user) {
+    if (!user) return false;
+    if (user.role >= CONST.USER_ROLES.GAMEMASTER) return true;
+
+    const role = PERMISSION_ROLES.find(r => CONST.USER_ROLES[r] === user.role);
+    if (!role) return false;
+
+    return !!this.getMatrix()[permission]?.[role];
+  }
+}
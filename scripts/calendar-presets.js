@@ -1,6 +1,90 @@
 // Easy Calendar - Built-in Calendar Presets
 
 import { DEFAULT_TIME_CONFIG, DEFAULT_YEAR_CONFIG, DEFAULT_MOON } from './constants.js';
+import { deepClone } from './calendar-utils.js';
+
+/**
+ * Build the standard 8-phase cycle for a moon, with single-day quarter phases
+ * @param {number} cycleLength - Length of the lunar cycle in days
+ * @returns {Object[]} Moon phases
+ */
+function moonPhases(cycleLength) {
+  const length = (cycleLength - 4) / 4;
+  return DEFAULT_MOON.phases.map(phase => ({
+    ...phase,
+    length: phase.singleDay ? 1 : length
+  }));
+}
+
+/**
+ * Build a moon configuration
+ * @param {string} id - Moon identifier
+ * @param {string} name - Moon name
+ * @param {number} cycleLength - Length of the lunar cycle in days
+ * @param {string} color - Display color
+ * @param {Object} referenceNewMoon - A date with a new moon { year, month, day }
+ * @returns {Object} Moon configuration
+ */
+function moon(id, name, cycleLength, color, referenceNewMoon) {
+  return { id, name, cycleLength, color, phases: moonPhases(cycleLength), referenceNewMoon };
+}
+
+/**
+ * Before Christ and Anno Domini, with no year zero between 1 BC and AD 1
+ * @param {string} adSuffix - Suffix for AD years
+ * @returns {Object[]} Eras
+ */
+function christianEras(adSuffix) {
+  return [
+    { id: 'bc', name: 'Before Christ', abbreviation: 'BC', startYear: null, startNumber: 1, countDown: true, prefix: '', suffix: ' BC' },
+    { id: 'ad', name: 'Anno Domini', abbreviation: 'AD', startYear: 1, startNumber: 1, countDown: false, prefix: '', suffix: adSuffix }
+  ];
+}
+
+const GREGORIAN_MONTHS = [
+  { id: 'jan', name: 'January', abbreviation: 'Jan', days: 31 },
+  { id: 'feb', name: 'February', abbreviation: 'Feb', days: 28 },
+  { id: 'mar', name: 'March', abbreviation: 'Mar', days: 31 },
+  { id: 'apr', name: 'April', abbreviation: 'Apr', days: 30 },
+  { id: 'may', name: 'May', abbreviation: 'May', days: 31 },
+  { id: 'jun', name: 'June', abbreviation: 'Jun', days: 30 },
+  { id: 'jul', name: 'July', abbreviation: 'Jul', days: 31 },
+  { id: 'aug', name: 'August', abbreviation: 'Aug', days: 31 },
+  { id: 'sep', name: 'September', abbreviation: 'Sep', days: 30 },
+  { id: 'oct', name: 'October', abbreviation: 'Oct', days: 31 },
+  { id: 'nov', name: 'November', abbreviation: 'Nov', days: 30 },
+  { id: 'dec', name: 'December', abbreviation: 'Dec', days: 31 }
+];
+
+const GREGORIAN_WEEKDAYS = [
+  { id: 'sun', name: 'Sunday', abbreviation: 'Sun' },
+  { id: 'mon', name: 'Monday', abbreviation: 'Mon' },
+  { id: 'tue', name: 'Tuesday', abbreviation: 'Tue' },
+  { id: 'wed', name: 'Wednesday', abbreviation: 'Wed' },
+  { id: 'thu', name: 'Thursday', abbreviation: 'Thu' },
+  { id: 'fri', name: 'Friday', abbreviation: 'Fri' },
+  { id: 'sat', name: 'Saturday', abbreviation: 'Sat' }
+];
+
+const GREGORIAN_SEASONS = [
+  { id: 'spring', name: 'Spring', startingMonth: 2, startingDay: 20, color: '#46b946', icon: 'spring', sunriseTime: 21600, sunsetTime: 68400 },
+  { id: 'summer', name: 'Summer', startingMonth: 5, startingDay: 21, color: '#e0c40b', icon: 'summer', sunriseTime: 18000, sunsetTime: 75600 },
+  { id: 'fall', name: 'Fall', startingMonth: 8, startingDay: 22, color: '#ff8e47', icon: 'fall', sunriseTime: 23400, sunsetTime: 66600 },
+  { id: 'winter', name: 'Winter', startingMonth: 11, startingDay: 21, color: '#479dff', icon: 'winter', sunriseTime: 27000, sunsetTime: 61200 }
+];
+
+/**
+ * Build four seasons starting on the given dates, with sunrise/sunset times for a 24-hour day
+ * @param {Array<[number, number]>} starts - [month, day] for spring, summer, fall and winter
+ * @returns {Object[]} Seasons
+ */
+function fourSeasons(starts) {
+  return GREGORIAN_SEASONS.map((season, index) => ({
+    ...season,
+    startingMonth: starts[index][0],
+    startingDay: starts[index][1]
+  }));
+}
 
 export const PRESETS = {
   gregorian: {
@@ -9,35 +93,16 @@ export const PRESETS = {
     namePrefix: '',
     nameSuffix: '',
 
-    weekdays: [
-      { id: 'sun', name: 'Sunday', abbreviation: 'Sun' },
-      { id: 'mon', name: 'Monday', abbreviation: 'Mon' },
-      { id: 'tue', name: 'Tuesday', abbreviation: 'Tue' },
-      { id: 'wed', name: 'Wednesday', abbreviation: 'Wed' },
-      { id: 'thu', name: 'Thursday', abbreviation: 'Thu' },
-      { id: 'fri', name: 'Friday', abbreviation: 'Fri' },
-      { id: 'sat', name: 'Saturday', abbreviation: 'Sat' }
-    ],
+    weekdays: GREGORIAN_WEEKDAYS,
     firstWeekday: 0,  // Sunday
+    epochWeekday: 1,  // January 1, 2024 was a Monday
 
-    months: [
-      { id: 'jan', name: 'January', abbreviation: 'Jan', days: 31 },
-      { id: 'feb', name: 'February', abbreviation: 'Feb', days: 28 },
-      { id: 'mar', name: 'March', abbreviation: 'Mar', days: 31 },
-      { id: 'apr', name: 'April', abbreviation: 'Apr', days: 30 },
-      { id: 'may', name: 'May', abbreviation: 'May', days: 31 },
-      { id: 'jun', name: 'June', abbreviation: 'Jun', days: 30 },
-      { id: 'jul', name: 'July', abbreviation: 'Jul', days: 31 },
-      { id: 'aug', name: 'August', abbreviation: 'Aug', days: 31 },
-      { id: 'sep', name: 'September', abbreviation: 'Sep', days: 30 },
-      { id: 'oct', name: 'October', abbreviation: 'Oct', days: 31 },
-      { id: 'nov', name: 'November', abbreviation: 'Nov', days: 30 },
-      { id: 'dec', name: 'December', abbreviation: 'Dec', days: 31 }
-    ],
+    months: GREGORIAN_MONTHS,
 
     yearConfig: {
       ...DEFAULT_YEAR_CONFIG,
-      startingYear: 2024
+      startingYear: 2024,
+      eras: christianEras('')
     },
 
     time: { ...DEFAULT_TIME_CONFIG },
@@ -49,12 +114,7 @@ export const PRESETS = {
       months: [{ monthId: 'feb', extraDays: 1 }]
     },
 
-    seasons: [
-      { id: 'spring', name: 'Spring', startingMonth: 2, startingDay: 20, color: '#46b946', icon: 'spring', sunriseTime: 21600, sunsetTime: 68400 },
-      { id: 'summer', name: 'Summer', startingMonth: 5, startingDay: 21, color: '#e0c40b', icon: 'summer', sunriseTime: 18000, sunsetTime: 75600 },
-      { id: 'fall', name: 'Fall', startingMonth: 8, startingDay: 22, color: '#ff8e47', icon: 'fall', sunriseTime: 23400, sunsetTime: 66600 },
-      { id: 'winter', name: 'Winter', startingMonth: 11, startingDay: 21, color: '#479dff', icon: 'winter', sunriseTime: 27000, sunsetTime: 61200 }
-    ],
+    seasons: GREGORIAN_SEASONS,
 
     moons: [
       {
@@ -75,6 +135,604 @@ export const PRESETS = {
         referenceNewMoon: { year: 2000, month: 0, day: 6 }
       }
     ]
+  },
+
+  harptos: {
+    id: 'harptos',
+    name: 'Calendar of Harptos',
+    namePrefix: '',
+    nameSuffix: '',
+
+    // Tendays; festivals fall outside the tenday, so every month starts on First-day
+    weekdays: [
+      { id: 'd1', name: 'First-day', abbreviation: '1st' },
+      { id: 'd2', name: 'Second-day', abbreviation: '2nd' },
+      { id: 'd3', name: 'Third-day', abbreviation: '3rd' },
+      { id: 'd4', name: 'Fourth-day', abbreviation: '4th' },
+      { id: 'd5', name: 'Fifth-day', abbreviation: '5th' },
+      { id: 'd6', name: 'Sixth-day', abbreviation: '6th' },
+      { id: 'd7', name: 'Seventh-day', abbreviation: '7th' },
+      { id: 'd8', name: 'Eighth-day', abbreviation: '8th' },
+      { id: 'd9', name: 'Ninth-day', abbreviation: '9th' },
+      { id: 'd10', name: 'Tenth-day', abbreviation: '10th' }
+    ],
+    firstWeekday: 0,
+    epochWeekday: 0,
+
+    months: [
+      { id: 'hammer', name: 'Hammer', abbreviation: 'Ham', days: 30 },
+      { id: 'midwinter', name: 'Midwinter', abbreviation: 'MW', days: 1, intercalary: true, skipWeekdays: true },
+      { id: 'alturiak', name: 'Alturiak', abbreviation: 'Alt', days: 30 },
+      { id: 'ches', name: 'Ches', abbreviation: 'Che', days: 30 },
+      { id: 'tarsakh', name: 'Tarsakh', abbreviation: 'Tar', days: 30 },
+      { id: 'greengrass', name: 'Greengrass', abbreviation: 'GG', days: 1, intercalary: true, skipWeekdays: true },
+      { id: 'mirtul', name: 'Mirtul', abbreviation: 'Mir', days: 30 },
+      { id: 'kythorn', name: 'Kythorn', abbreviation: 'Kyt', days: 30 },
+      { id: 'flamerule', name: 'Flamerule', abbreviation: 'Fla', days: 30 },
+      { id: 'midsummer', name: 'Midsummer', abbreviation: 'MS', days: 1, intercalary: true, skipWeekdays: true },
+      { id: 'shieldmeet', name: 'Shieldmeet', abbreviation: 'SM', days: 0, intercalary: true, skipWeekdays: true },
+      { id: 'eleasis', name: 'Eleasis', abbreviation: 'Ela', days: 30 },
+      { id: 'eleint', name: 'Eleint', abbreviation: 'Ele', days: 30 },
+      { id: 'highharvestide', name: 'Highharvestide', abbreviation: 'HH', days: 1, intercalary: true, skipWeekdays: true },
+      { id: 'marpenoth', name: 'Marpenoth', abbreviation: 'Mar', days: 30 },
+      { id: 'uktar', name: 'Uktar', abbreviation: 'Ukt', days: 30 },
+      { id: 'feastmoon', name: 'Feast of the Moon', abbreviation: 'FM', days: 1, intercalary: true, skipWeekdays: true },
+      { id: 'nightal', name: 'Nightal', abbreviation: 'Nig', days: 30 }
+    ],
+
+    yearConfig: {
+      ...DEFAULT_YEAR_CONFIG,
+      startingYear: 1492,
+      yearSuffix: ' DR'
+    },
+
+    time: { ...DEFAULT_TIME_CONFIG },
+
+    // Shieldmeet occurs every four years
+    leapYear: {
+      enabled: true,
+      rule: 'simple',
+      interval: 4,
+      months: [{ monthId: 'shieldmeet', extraDays: 1 }]
+    },
+
+    seasons: fourSeasons([[3, 19], [7, 20], [12, 21], [17, 20]]),
+
+    // Selûne was full on Hammer 1, 1372 DR
+    moons: [
+      moon('selune', 'Selûne', 30.4375, '#ffffff', { year: 1371, month: 17, day: 15 })
+    ]
+  },
+
+  golarion: {
+    id: 'golarion',
+    name: 'Absalom Reckoning (Golarion)',
+    namePrefix: '',
+    nameSuffix: '',
+
+    weekdays: [
+      { id: 'moonday', name: 'Moonday', abbreviation: 'Moo' },
+      { id: 'toilday', name: 'Toilday', abbreviation: 'Toi' },
+      { id: 'wealday', name: 'Wealday', abbreviation: 'Wea' },
+      { id: 'oathday', name: 'Oathday', abbreviation: 'Oat' },
+      { id: 'fireday', name: 'Fireday', abbreviation: 'Fir' },
+      { id: 'starday', name: 'Starday', abbreviation: 'Sta' },
+      { id: 'sunday', name: 'Sunday', abbreviation: 'Sun' }
+    ],
+    firstWeekday: 0,
+    epochWeekday: 0,
+
+    months: [
+      { id: 'abadius', name: 'Abadius', abbreviation: 'Aba', days: 31 },
+      { id: 'calistril', name: 'Calistril', abbreviation: 'Cal', days: 28 },
+      { id: 'pharast', name: 'Pharast', abbreviation: 'Pha', days: 31 },
+      { id: 'gozran', name: 'Gozran', abbreviation: 'Goz', days: 30 },
+      { id: 'desnus', name: 'Desnus', abbreviation: 'Des', days: 31 },
+      { id: 'sarenith', name: 'Sarenith', abbreviation: 'Sar', days: 30 },
+      { id: 'erastus', name: 'Erastus', abbreviation: 'Era', days: 31 },
+      { id: 'arodus', name: 'Arodus', abbreviation: 'Aro', days: 31 },
+      { id: 'rova', name: 'Rova', abbreviation: 'Rov', days: 30 },
+      { id: 'lamashan', name: 'Lamashan', abbreviation: 'Lam', days: 31 },
+      { id: 'neth', name: 'Neth', abbreviation: 'Net', days: 30 },
+      { id: 'kuthona', name: 'Kuthona', abbreviation: 'Kut', days: 31 }
+    ],
+
+    yearConfig: {
+      ...DEFAULT_YEAR_CONFIG,
+      startingYear: 4724,
+      yearSuffix: ' AR'
+    },
+
+    time: { ...DEFAULT_TIME_CONFIG },
+
+    // Calistril gains a day every eight years
+    leapYear: {
+      enabled: true,
+      rule: 'simple',
+      interval: 8,
+      months: [{ monthId: 'calistril', extraDays: 1 }]
+    },
+
+    seasons: fourSeasons([[2, 20], [5, 21], [8, 22], [11, 21]]),
+
+    moons: [
+      moon('somal', 'Somal', 29.53059, '#ffffff', { year: 4724, month: 0, day: 11 })
+    ]
+  },
+
+  greyhawk: {
+    id: 'greyhawk',
+    name: 'Common Year (Greyhawk)',
+    namePrefix: '',
+    nameSuffix: '',
+
+    weekdays: [
+      { id: 'starday', name: 'Starday', abbreviation: 'Sta' },
+      { id: 'sunday', name: 'Sunday', abbreviation: 'Sun' },
+      { id: 'moonday', name: 'Moonday', abbreviation: 'Moo' },
+      { id: 'godsday', name: 'Godsday', abbreviation: 'God' },
+      { id: 'waterday', name: 'Waterday', abbreviation: 'Wat' },
+      { id: 'earthday', name: 'Earthday', abbreviation: 'Ear' },
+      { id: 'freeday', name: 'Freeday', abbreviation: 'Fre' }
+    ],
+    firstWeekday: 0,
+    epochWeekday: 0,
+
+    // Festivals are full weeks, so they keep counting weekdays
+    months: [
+      { id: 'needfest', name: 'Needfest', abbreviation: 'Nee', days: 7, intercalary: true, skipWeekdays: false },
+      { id: 'fireseek', name: 'Fireseek', abbreviation: 'Fir', days: 28 },
+      { id: 'readying', name: 'Readying', abbreviation: 'Rea', days: 28 },
+      { id: 'coldeven', name: 'Coldeven', abbreviation: 'Col', days: 28 },
+      { id: 'growfest', name: 'Growfest', abbreviation: 'Gro', days: 7, intercalary: true, skipWeekdays: false },
+      { id: 'planting', name: 'Planting', abbreviation: 'Pla', days: 28 },
+      { id: 'flocktime', name: 'Flocktime', abbreviation: 'Flo', days: 28 },
+      { id: 'wealsun', name: 'Wealsun', abbreviation: 'Wea', days: 28 },
+      { id: 'richfest', name: 'Richfest', abbreviation: 'Ric', days: 7, intercalary: true, skipWeekdays: false },
+      { id: 'reaping', name: 'Reaping', abbreviation: 'Rpg', days: 28 },
+      { id: 'goodmonth', name: 'Goodmonth', abbreviation: 'Goo', days: 28 },
+      { id: 'harvester', name: 'Harvester', abbreviation: 'Har', days: 28 },
+      { id: 'brewfest', name: 'Brewfest', abbreviation: 'Bre', days: 7, intercalary: true, skipWeekdays: false },
+      { id: 'patchwall', name: 'Patchwall', abbreviation: 'Pat', days: 28 },
+      { id: 'readyreat', name: 'Ready\'reat', abbreviation: 'RdR', days: 28 },
+      { id: 'sunsebb', name: 'Sunsebb', abbreviation: 'Sun', days: 28 }
+    ],
+
+    yearConfig: {
+      ...DEFAULT_YEAR_CONFIG,
+      startingYear: 576,
+      yearSuffix: ' CY'
+    },
+
+    time: { ...DEFAULT_TIME_CONFIG },
+
+    leapYear: {
+      enabled: false,
+      rule: 'simple',
+      interval: 4,
+      months: []
+    },
+
+    seasons: [
+      { id: 'spring', name: 'Spring', startingMonth: 2, startingDay: 1, color: '#46b946', icon: 'spring', sunriseTime: 21600, sunsetTime: 68400 },
+      { id: 'low-summer', name: 'Low Summer', startingMonth: 5, startingDay: 1, color: '#e0c40b', icon: 'summer', sunriseTime: 18000, sunsetTime: 75600 },
+      { id: 'high-summer', name: 'High Summer', startingMonth: 9, startingDay: 1, color: '#e09b0b', icon: 'summer', sunriseTime: 19800, sunsetTime: 73800 },
+      { id: 'autumn', name: 'Autumn', startingMonth: 13, startingDay: 1, color: '#ff8e47', icon: 'fall', sunriseTime: 23400, sunsetTime: 66600 },
+      { id: 'winter', name: 'Winter', startingMonth: 15, startingDay: 1, color: '#479dff', icon: 'winter', sunriseTime: 27000, sunsetTime: 61200 }
+    ],
+
+    // Luna is new on the 25th of each month; Celene is full on the 4th day of each festival
+    moons: [
+      moon('luna', 'Luna', 28, '#ffffff', { year: 576, month: 1, day: 25 }),
+      moon('celene', 'Celene', 91, '#9fd8ff', { year: 576, month: 2, day: 14 })
+    ]
+  },
+
+  eberron: {
+    id: 'eberron',
+    name: 'Galifar Calendar (Eberron)',
+    namePrefix: '',
+    nameSuffix: '',
+
+    weekdays: [
+      { id: 'sul', name: 'Sul', abbreviation: 'Sul' },
+      { id: 'mol', name: 'Mol', abbreviation: 'Mol' },
+      { id: 'zol', name: 'Zol', abbreviation: 'Zol' },
+      { id: 'wir', name: 'Wir', abbreviation: 'Wir' },
+      { id: 'zor', name: 'Zor', abbreviation: 'Zor' },
+      { id: 'far', name: 'Far', abbreviation: 'Far' },
+      { id: 'sar', name: 'Sar', abbreviation: 'Sar' }
+    ],
+    firstWeekday: 0,
+    epochWeekday: 0,
+
+    // Every month is exactly four weeks
+    months: [
+      { id: 'zarantyr', name: 'Zarantyr', abbreviation: 'Zar', days: 28 },
+      { id: 'olarune', name: 'Olarune', abbreviation: 'Ola', days: 28 },
+      { id: 'therendor', name: 'Therendor', abbreviation: 'The', days: 28 },
+      { id: 'eyre', name: 'Eyre', abbreviation: 'Eyr', days: 28 },
+      { id: 'dravago', name: 'Dravago', abbreviation: 'Dra', days: 28 },
+      { id: 'nymm', name: 'Nymm', abbreviation: 'Nym', days: 28 },
+      { id: 'lharvion', name: 'Lharvion', abbreviation: 'Lha', days: 28 },
+      { id: 'barrakas', name: 'Barrakas', abbreviation: 'Bar', days: 28 },
+      { id: 'rhaan', name: 'Rhaan', abbreviation: 'Rha', days: 28 },
+      { id: 'sypheros', name: 'Sypheros', abbreviation: 'Syp', days: 28 },
+      { id: 'aryth', name: 'Aryth', abbreviation: 'Ary', days: 28 },
+      { id: 'vult', name: 'Vult', abbreviation: 'Vul', days: 28 }
+    ],
+
+    yearConfig: {
+      ...DEFAULT_YEAR_CONFIG,
+      startingYear: 998,
+      yearSuffix: ' YK'
+    },
+
+    time: { ...DEFAULT_TIME_CONFIG },
+
+    leapYear: {
+      enabled: false,
+      rule: 'simple',
+      interval: 4,
+      months: []
+    },
+
+    seasons: fourSeasons([[2, 20], [5, 21], [8, 22], [11, 21]]),
+
+    // Each of the twelve moons is associated with a month; cycles lengthen by a week per moon
+    moons: [
+      moon('zarantyr', 'Zarantyr', 28, '#f5f5f0', { year: 998, month: 0, day: 1 }),
+      moon('olarune', 'Olarune', 35, '#f4c68a', { year: 998, month: 0, day: 1 }),
+      moon('therendor', 'Therendor', 42, '#c8c8c8', { year: 998, month: 0, day: 1 }),
+      moon('eyre', 'Eyre', 49, '#b0b8c0', { year: 998, month: 0, day: 1 }),
+      moon('dravago', 'Dravago', 56, '#d8c8f0', { year: 998, month: 0, day: 1 }),
+      moon('nymm', 'Nymm', 63, '#f5eda0', { year: 998, month: 0, day: 1 }),
+      moon('lharvion', 'Lharvion', 70, '#e8e8e0', { year: 998, month: 0, day: 1 }),
+      moon('barrakas', 'Barrakas', 77, '#d0d0d0', { year: 998, month: 0, day: 1 }),
+      moon('rhaan', 'Rhaan', 84, '#a8c8f0', { year: 998, month: 0, day: 1 }),
+      moon('sypheros', 'Sypheros', 91, '#909090', { year: 998, month: 0, day: 1 }),
+      moon('aryth', 'Aryth', 98, '#f08050', { year: 998, month: 0, day: 1 }),
+      moon('vult', 'Vult', 105, '#a0a0a0', { year: 998, month: 0, day: 1 })
+    ]
+  },
+
+  exandrian: {
+    id: 'exandrian',
+    name: 'Exandrian Calendar',
+    namePrefix: '',
+    nameSuffix: '',
+
+    weekdays: [
+      { id: 'miresen', name: 'Miresen', abbreviation: 'Mir' },
+      { id: 'grissen', name: 'Grissen', abbreviation: 'Gri' },
+      { id: 'whelsen', name: 'Whelsen', abbreviation: 'Whe' },
+      { id: 'conthsen', name: 'Conthsen', abbreviation: 'Con' },
+      { id: 'folsen', name: 'Folsen', abbreviation: 'Fol' },
+      { id: 'yulisen', name: 'Yulisen', abbreviation: 'Yul' },
+      { id: 'daleysen', name: 'Da\'leysen', abbreviation: 'Dal' }
+    ],
+    firstWeekday: 0,
+    epochWeekday: 0,
+
+    months: [
+      { id: 'horisal', name: 'Horisal', abbreviation: 'Hor', days: 29 },
+      { id: 'misuthar', name: 'Misuthar', abbreviation: 'Mis', days: 30 },
+      { id: 'dualahei', name: 'Dualahei', abbreviation: 'Dua', days: 30 },
+      { id: 'thunsheer', name: 'Thunsheer', abbreviation: 'Thu', days: 31 },
+      { id: 'unndilar', name: 'Unndilar', abbreviation: 'Unn', days: 28 },
+      { id: 'brussendar', name: 'Brussendar', abbreviation: 'Bru', days: 31 },
+      { id: 'sydenstar', name: 'Sydenstar', abbreviation: 'Syd', days: 32 },
+      { id: 'fessuran', name: 'Fessuran', abbreviation: 'Fes', days: 29 },
+      { id: 'quenpillar', name: 'Quen\'pillar', abbreviation: 'Que', days: 27 },
+      { id: 'cuersaar', name: 'Cuersaar', abbreviation: 'Cue', days: 29 },
+      { id: 'duscar', name: 'Duscar', abbreviation: 'Dus', days: 32 }
+    ],
+
+    yearConfig: {
+      ...DEFAULT_YEAR_CONFIG,
+      startingYear: 836,
+      yearSuffix: ' PD'
+    },
+
+    time: { ...DEFAULT_TIME_CONFIG },
+
+    leapYear: {
+      enabled: false,
+      rule: 'simple',
+      interval: 4,
+      months: []
+    },
+
+    seasons: fourSeasons([[2, 13], [4, 26], [7, 3], [10, 2]]),
+
+    // Ruidus, the red moon, is small and slow
+    moons: [
+      moon('catha', 'Catha', 33, '#ffffff', { year: 836, month: 0, day: 1 }),
+      moon('ruidus', 'Ruidus', 328, '#c0392b', { year: 836, month: 0, day: 1 })
+    ]
+  },
+
+  warhammer: {
+    id: 'warhammer',
+    name: 'Imperial Calendar (Warhammer)',
+    namePrefix: '',
+    nameSuffix: '',
+
+    weekdays: [
+      { id: 'wellentag', name: 'Wellentag', abbreviation: 'Wel' },
+      { id: 'aubentag', name: 'Aubentag', abbreviation: 'Aub' },
+      { id: 'marktag', name: 'Marktag', abbreviation: 'Mar' },
+      { id: 'backertag', name: 'Backertag', abbreviation: 'Bac' },
+      { id: 'bezahltag', name: 'Bezahltag', abbreviation: 'Bez' },
+      { id: 'konistag', name: 'Konistag', abbreviation: 'Kon' },
+      { id: 'angestag', name: 'Angestag', abbreviation: 'Ang' },
+      { id: 'festag', name: 'Festag', abbreviation: 'Fes' }
+    ],
+    firstWeekday: 0,
+    epochWeekday: 0,
+
+    // The six holidays are not part of any week
+    months: [
+      { id: 'hexenstag', name: 'Hexenstag', abbreviation: 'Hex', days: 1, intercalary: true, skipWeekdays: true },
+      { id: 'nachexen', name: 'Nachexen', abbreviation: 'Nac', days: 32 },
+      { id: 'jahrdrung', name: 'Jahrdrung', abbreviation: 'Jah', days: 33 },
+      { id: 'mitterfruhl', name: 'Mitterfruhl', abbreviation: 'Mit', days: 1, intercalary: true, skipWeekdays: true },
+      { id: 'pflugzeit', name: 'Pflugzeit', abbreviation: 'Pfl', days: 33 },
+      { id: 'sigmarzeit', name: 'Sigmarzeit', abbreviation: 'Sig', days: 33 },
+      { id: 'sommerzeit', name: 'Sommerzeit', abbreviation: 'Som', days: 33 },
+      { id: 'sonnstill', name: 'Sonnstill', abbreviation: 'Son', days: 1, intercalary: true, skipWeekdays: true },
+      { id: 'vorgeheim', name: 'Vorgeheim', abbreviation: 'Vor', days: 33 },
+      { id: 'geheimnistag', name: 'Geheimnistag', abbreviation: 'Geh', days: 1, intercalary: true, skipWeekdays: true },
+      { id: 'nachgeheim', name: 'Nachgeheim', abbreviation: 'Ngh', days: 32 },
+      { id: 'erntezeit', name: 'Erntezeit', abbreviation: 'Ern', days: 33 },
+      { id: 'mittherbst', name: 'Mittherbst', abbreviation: 'Mth', days: 1, intercalary: true, skipWeekdays: true },
+      { id: 'brauzeit', name: 'Brauzeit', abbreviation: 'Bra', days: 33 },
+      { id: 'kaldezeit', name: 'Kaldezeit', abbreviation: 'Kal', days: 33 },
+      { id: 'ulriczeit', name: 'Ulriczeit', abbreviation: 'Ulr', days: 33 },
+      { id: 'mondstille', name: 'Mondstille', abbreviation: 'Mon', days: 1, intercalary: true, skipWeekdays: true },
+      { id: 'vorhexen', name: 'Vorhexen', abbreviation: 'Vhx', days: 33 }
+    ],
+
+    yearConfig: {
+      ...DEFAULT_YEAR_CONFIG,
+      startingYear: 2522,
+      yearSuffix: ' IC'
+    },
+
+    time: { ...DEFAULT_TIME_CONFIG },
+
+    leapYear: {
+      enabled: false,
+      rule: 'simple',
+      interval: 4,
+      months: []
+    },
+
+    seasons: fourSeasons([[3, 1], [7, 1], [12, 1], [16, 1]]),
+
+    // Morrslieb is erratic; a fixed cycle is only an approximation
+    moons: [
+      moon('mannslieb', 'Mannslieb', 25, '#f0f0ff', { year: 2522, month: 0, day: 1 }),
+      moon('morrslieb', 'Morrslieb', 33, '#7cbf5a', { year: 2522, month: 1, day: 13 })
+    ]
+  },
+
+  julian: {
+    id: 'julian',
+    name: 'Julian Calendar',
+    namePrefix: '',
+    nameSuffix: '',
+
+    weekdays: GREGORIAN_WEEKDAYS,
+    firstWeekday: 0,
+    epochWeekday: 6,  // January 1, AD 1 (Julian) was a Saturday
+
+    months: GREGORIAN_MONTHS,
+
+    yearConfig: {
+      ...DEFAULT_YEAR_CONFIG,
+      startingYear: 1,
+      yearSuffix: ' AD',
+      eras: christianEras(' AD')
+    },
+
+    time: { ...DEFAULT_TIME_CONFIG },
+
+    // Every fourth year, without the Gregorian century exceptions
+    leapYear: {
+      enabled: true,
+      rule: 'simple',
+      interval: 4,
+      months: [{ monthId: 'feb', extraDays: 1 }]
+    },
+
+    seasons: GREGORIAN_SEASONS,
+
+    moons: [
+      moon('moon', 'Moon', 29.53059, '#ffffff', { year: 1, month: 0, day: 2 })
+    ]
+  },
+
+  roman: {
+    id: 'roman',
+    name: 'Roman Republican Calendar',
+    namePrefix: '',
+    nameSuffix: '',
+
+    // The nundinal cycle: an eight-day market week
+    weekdays: [
+      { id: 'a', name: 'A', abbreviation: 'A' },
+      { id: 'b', name: 'B', abbreviation: 'B' },
+      { id: 'c', name: 'C', abbreviation: 'C' },
+      { id: 'd', name: 'D', abbreviation: 'D' },
+      { id: 'e', name: 'E', abbreviation: 'E' },
+      { id: 'f', name: 'F', abbreviation: 'F' },
+      { id: 'g', name: 'G', abbreviation: 'G' },
+      { id: 'h', name: 'H', abbreviation: 'H' }
+    ],
+    firstWeekday: 0,
+    epochWeekday: 0,
+
+    // Mercedonius is inserted after Februarius every other year
+    months: [
+      { id: 'ianuarius', name: 'Ianuarius', abbreviation: 'Ian', days: 29 },
+      { id: 'februarius', name: 'Februarius', abbreviation: 'Feb', days: 28 },
+      { id: 'mercedonius', name: 'Mercedonius', abbreviation: 'Mer', days: 0, intercalary: true, skipWeekdays: false },
+      { id: 'martius', name: 'Martius', abbreviation: 'Mar', days: 31 },
+      { id: 'aprilis', name: 'Aprilis', abbreviation: 'Apr', days: 29 },
+      { id: 'maius', name: 'Maius', abbreviation: 'Mai', days: 31 },
+      { id: 'iunius', name: 'Iunius', abbreviation: 'Iun', days: 29 },
+      { id: 'quintilis', name: 'Quintilis', abbreviation: 'Qui', days: 31 },
+      { id: 'sextilis', name: 'Sextilis', abbreviation: 'Sex', days: 29 },
+      { id: 'september', name: 'September', abbreviation: 'Sep', days: 29 },
+      { id: 'october', name: 'October', abbreviation: 'Oct', days: 31 },
+      { id: 'november', name: 'November', abbreviation: 'Nov', days: 29 },
+      { id: 'december', name: 'December', abbreviation: 'Dec', days: 29 }
+    ],
+
+    yearConfig: {
+      ...DEFAULT_YEAR_CONFIG,
+      startingYear: 700,
+      yearSuffix: ' AUC'
+    },
+
+    time: { ...DEFAULT_TIME_CONFIG },
+
+    leapYear: {
+      enabled: true,
+      rule: 'simple',
+      interval: 2,
+      months: [{ monthId: 'mercedonius', extraDays: 22 }]
+    },
+
+    seasons: fourSeasons([[3, 20], [6, 21], [9, 22], [12, 21]]),
+
+    moons: [
+      moon('luna', 'Luna', 29.53059, '#ffffff', { year: 700, month: 0, day: 1 })
+    ]
+  },
+
+  frenchRepublican: {
+    id: 'frenchRepublican',
+    name: 'French Republican Calendar',
+    namePrefix: '',
+    nameSuffix: '',
+
+    // Décades; the complementary days are not part of any décade
+    weekdays: [
+      { id: 'primidi', name: 'Primidi', abbreviation: 'Pri' },
+      { id: 'duodi', name: 'Duodi', abbreviation: 'Duo' },
+      { id: 'tridi', name: 'Tridi', abbreviation: 'Tri' },
+      { id: 'quartidi', name: 'Quartidi', abbreviation: 'Qua' },
+      { id: 'quintidi', name: 'Quintidi', abbreviation: 'Qui' },
+      { id: 'sextidi', name: 'Sextidi', abbreviation: 'Sex' },
+      { id: 'septidi', name: 'Septidi', abbreviation: 'Sep' },
+      { id: 'octidi', name: 'Octidi', abbreviation: 'Oct' },
+      { id: 'nonidi', name: 'Nonidi', abbreviation: 'Non' },
+      { id: 'decadi', name: 'Décadi', abbreviation: 'Déc' }
+    ],
+    firstWeekday: 0,
+    epochWeekday: 0,
+
+    months: [
+      { id: 'vendemiaire', name: 'Vendémiaire', abbreviation: 'Ven', days: 30 },
+      { id: 'brumaire', name: 'Brumaire', abbreviation: 'Bru', days: 30 },
+      { id: 'frimaire', name: 'Frimaire', abbreviation: 'Fri', days: 30 },
+      { id: 'nivose', name: 'Nivôse', abbreviation: 'Niv', days: 30 },
+      { id: 'pluviose', name: 'Pluviôse', abbreviation: 'Plu', days: 30 },
+      { id: 'ventose', name: 'Ventôse', abbreviation: 'Vnt', days: 30 },
+      { id: 'germinal', name: 'Germinal', abbreviation: 'Ger', days: 30 },
+      { id: 'floreal', name: 'Floréal', abbreviation: 'Flo', days: 30 },
+      { id: 'prairial', name: 'Prairial', abbreviation: 'Pra', days: 30 },
+      { id: 'messidor', name: 'Messidor', abbreviation: 'Mes', days: 30 },
+      { id: 'thermidor', name: 'Thermidor', abbreviation: 'The', days: 30 },
+      { id: 'fructidor', name: 'Fructidor', abbreviation: 'Fru', days: 30 },
+      { id: 'sansculottides', name: 'Sansculottides', abbreviation: 'San', days: 5, intercalary: true, skipWeekdays: true }
+    ],
+
+    yearConfig: {
+      ...DEFAULT_YEAR_CONFIG,
+      startingYear: 1,
+      yearPrefix: 'An '
+    },
+
+    time: { ...DEFAULT_TIME_CONFIG },
+
+    // Sextile years III, VII and XI, then every fourth year
+    leapYear: {
+      enabled: true,
+      rule: 'simple',
+      interval: 4,
+      offset: 3,
+      months: [{ monthId: 'sansculottides', extraDays: 1 }]
+    },
+
+    // The year begins at the autumn equinox
+    seasons: [
+      { id: 'autumn', name: 'Autumn', startingMonth: 0, startingDay: 1, color: '#ff8e47', icon: 'fall', sunriseTime: 23400, sunsetTime: 66600 },
+      { id: 'winter', name: 'Winter', startingMonth: 3, startingDay: 1, color: '#479dff', icon: 'winter', sunriseTime: 27000, sunsetTime: 61200 },
+      { id: 'spring', name: 'Spring', startingMonth: 6, startingDay: 1, color: '#46b946', icon: 'spring', sunriseTime: 21600, sunsetTime: 68400 },
+      { id: 'summer', name: 'Summer', startingMonth: 9, startingDay: 1, color: '#e0c40b', icon: 'summer', sunriseTime: 18000, sunsetTime: 75600 }
+    ],
+
+    moons: [
+      moon('moon', 'Moon', 29.53059, '#ffffff', { year: 1, month: 0, day: 24 })
+    ]
+  },
+
+  fantasy360: {
+    id: 'fantasy360',
+    name: 'Generic Fantasy (360 Days)',
+    namePrefix: '',
+    nameSuffix: '',
+
+    // Six-day weeks fit each 30-day month exactly
+    weekdays: [
+      { id: 'firstday', name: 'Firstday', abbreviation: 'Fir' },
+      { id: 'secondday', name: 'Secondday', abbreviation: 'Sec' },
+      { id: 'midweek', name: 'Midweek', abbreviation: 'Mid' },
+      { id: 'fourthday', name: 'Fourthday', abbreviation: 'Fou' },
+      { id: 'fifthday', name: 'Fifthday', abbreviation: 'Fif' },
+      { id: 'restday', name: 'Restday', abbreviation: 'Res' }
+    ],
+    firstWeekday: 0,
+    epochWeekday: 0,
+
+    months: [
+      { id: 'deepwinter', name: 'Deepwinter', abbreviation: 'Dwi', days: 30 },
+      { id: 'thawing', name: 'Thawing', abbreviation: 'Tha', days: 30 },
+      { id: 'seedtime', name: 'Seedtime', abbreviation: 'See', days: 30 },
+      { id: 'rainfall', name: 'Rainfall', abbreviation: 'Rai', days: 30 },
+      { id: 'blossom', name: 'Blossom', abbreviation: 'Blo', days: 30 },
+      { id: 'highsun', name: 'Highsun', abbreviation: 'Hig', days: 30 },
+      { id: 'goldfire', name: 'Goldfire', abbreviation: 'Gol', days: 30 },
+      { id: 'harvest', name: 'Harvest', abbreviation: 'Har', days: 30 },
+      { id: 'leaffall', name: 'Leaffall', abbreviation: 'Lea', days: 30 },
+      { id: 'mistmoon', name: 'Mistmoon', abbreviation: 'Mis', days: 30 },
+      { id: 'frostfall', name: 'Frostfall', abbreviation: 'Fro', days: 30 },
+      { id: 'longnight', name: 'Longnight', abbreviation: 'Lon', days: 30 }
+    ],
+
+    yearConfig: {
+      ...DEFAULT_YEAR_CONFIG,
+      startingYear: 1000
+    },
+
+    time: { ...DEFAULT_TIME_CONFIG },
+
+    leapYear: {
+      enabled: false,
+      rule: 'simple',
+      interval: 4,
+      months: []
+    },
+
+    seasons: fourSeasons([[2, 1], [5, 1], [8, 1], [11, 1]]),
+
+    // One lunar cycle per month, full at mid-month
+    moons: [
+      moon('moon', 'Moon', 30, '#ffffff', { year: 1000, month: 0, day: 1 })
+    ]
   }
 };
 
@@ -84,7 +742,7 @@ export const PRESETS = {
  * @returns {Object|null} The preset configuration or null if not found
  */
 export function getPreset(presetId) {
-  return PRESETS[presetId] ? foundry.utils.deepClone(PRESETS[presetId]) : null;
+  return PRESETS[presetId] ? deepClone(PRESETS[presetId]) : null;
 }
 
 /**
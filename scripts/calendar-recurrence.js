@@ -0,0 +1,241 @@
+// Easy Calendar - Recurrence Rules
+
+import { RECURRENCE_TYPES } from './constants.js';
+import * as CalendarTime from './calendar-time.js';
+
+const ORDINALS = ['1st', '2nd', '3rd', '4th', '5th'];
+
+/**
+ * Check whether a recurrence rule repeats at all
+ * @param {Object} rule - Recurrence rule
+ * @returns {boolean}
+ */
+export function isRecurring(rule) {
+  return !!rule && rule.type !== RECURRENCE_TYPES.NONE && Object.values(RECURRENCE_TYPES).includes(rule.type);
+}
+
+/**
+ * Expand a recurrence rule into concrete dates within a range
+ * @param {Object} rule - Recurrence rule (see DEFAULT_RECURRENCE)
+ * @param {Object} anchor - First occurrence { year, month, day }; nothing occurs before it
+ * @param {Object} start - Range start { year, month, day } (inclusive)
+ * @param {Object} end - Range end { year, month, day } (inclusive)
+ * @param {Object} config - Calendar configuration
+ * @param {Object} [options]
+ * @param {number} [options.weekdayOffset=0] - Display weekday offset, so weekday rules match what the panel shows
+ * @returns {Object[]} Occurrence dates in chronological order
+ */
+export function getOccurrences(rule, anchor, start, end, config, { weekdayOffset = 0 } = {}) {
+  if (!isRecurring(rule)) {
+    const inRange = CalendarTime.compareDates(anchor, start) >= 0 && CalendarTime.compareDates(anchor, end) <= 0;
+    return inRange ? [{ ...anchor }] : [];
+  }
+
+  // Clip the range to [anchor, until]
+  const from = CalendarTime.compareDates(start, anchor) < 0 ? anchor : start;
+  const to = rule.until && CalendarTime.compareDates(rule.until, end) < 0 ? rule.until : end;
+  if (CalendarTime.compareDates(from, to) > 0) return [];
+
+  switch (rule.type) {
+    case RECURRENCE_TYPES.INTERVAL:
+      return getIntervalOccurrences(rule, anchor, from, to, config);
+    case RECURRENCE_TYPES.MONTHLY:
+      return getMonthlyOccurrences(rule, anchor, from, to, config);
+    case RECURRENCE_TYPES.YEARLY:
+      return getYearlyOccurrences(rule, anchor, from, to, config);
+    case RECURRENCE_TYPES.WEEKDAY:
+      return getWeekdayOccurrences(rule, from, to, config, weekdayOffset);
+    case RECURRENCE_TYPES.MOON:
+      return getMoonOccurrences(rule, from, to, config);
+  }
+
+  return [];
+}
+
+/**
+ * Every N days, counted from the anchor
+ */
+function getIntervalOccurrences(rule, anchor, from, to, config) {
+  const interval = Math.max(1, parseInt(rule.interval) || 1);
+  const offset = CalendarTime.daysBetween(from, anchor, config);
+  const steps = Math.ceil(offset / interval);
+
+  const results = [];
+  let date = CalendarTime.addDays(anchor, steps * interval, config);
+  while (CalendarTime.compareDates(date, to) <= 0) {
+    results.push(date);
+    date = CalendarTime.addDays(date, interval, config);
+  }
+  return results;
+}
+
+/**
+ * Same day every N months, clamped to the last day of shorter months
+ * Only regular months are counted; intercalary months are skipped. A note on an intercalary month
+ * occurs on its own date, then counts on from the regular month before it.
+ */
+function getMonthlyOccurrences(rule, anchor, from, to, config) {
+  const interval = Math.max(1, parseInt(rule.interval) || 1);
+  const regularMonths = config.months.map((month, index) => index).filter(index => !config.months[index].intercalary);
+  const regularCount = regularMonths.length;
+
+  const results = isWithin(anchor, from, to) ? [{ ...anchor }] : [];
+  if (regularCount === 0) return results;
+
+  // Position among regular months; an intercalary month takes the position of the regular month before it
+  const regularIndex = (date) => {
+    const position = regularMonths.filter(index => index <= date.month).length - 1;
+    return CalendarTime.toAstronomicalYear(date.year, config) * regularCount + position;
+  };
+  const anchorIndex = regularIndex(anchor);
+  const toIndex = regularIndex(to);
+
+  // The anchor is already in the results
+  const firstStep = Math.max(1, Math.ceil((regularIndex(from) - anchorIndex) / interval));
+  for (let index = anchorIndex + firstStep * interval; index <= toIndex; index += interval) {
+    const astronomicalYear = Math.floor(index / regularCount);
+    const month = regularMonths[index - astronomicalYear * regularCount];
+    const year = CalendarTime.fromAstronomicalYear(astronomicalYear, config);
+
+    const daysInMonth = CalendarTime.getDaysInMonth(year, month, config);
+    if (daysInMonth === 0) continue;
+
+    const date = { year, month, day: Math.min(anchor.day, daysInMonth) };
+    if (isWithin(date, from, to)) results.push(date);
+  }
+  return results;
+}
+
+/**
+ * Same month and day every N years; days that only exist in leap years are skipped otherwise
+ */
+function getYearlyOccurrences(rule, anchor, from, to, config) {
+  const interval = Math.max(1, parseInt(rule.interval) || 1);
+
+  const results = [];
+  for (let year = from.year; year <= to.year; year = CalendarTime.addYears(year, 1, config)) {
+    if (CalendarTime.yearsBetween(anchor.year, year, config) % interval !== 0) continue;
+    if (anchor.day > CalendarTime.getDaysInMonth(year, anchor.month, config)) continue;
+
+    const date = { year, month: anchor.month, day: anchor.day };
+    if (isWithin(date, from, to)) results.push(date);
+  }
+  return results;
+}
+
+/**
+ * Nth (or last) weekday of every month, or of one specific month each year
+ * Months whose days have no weekday never match.
+ */
+function getWeekdayOccurrences(rule, from, to, config, weekdayOffset) {
+  const weekdayCount = config.weekdays.length;
+  const nth = parseInt(rule.nth) || 1;
+  const weekday = parseInt(rule.weekday) || 0;
+  const onlyMonth = rule.month === null || rule.month === undefined || rule.month === '' ? null : parseInt(rule.month);
+
+  const results = [];
+  let year = from.year;
+  let month = from.month;
+  while (year < to.year || (year === to.year && month <= to.month)) {
+    const hasWeekdays = !CalendarTime.monthSkipsWeekdays(config.months[month]);
+    if (hasWeekdays && (onlyMonth === null || onlyMonth === month)) {
+      const daysInMonth = CalendarTime.getDaysInMonth(year, month, config);
+      let day;
+
+      if (nth > 0) {
+        const firstWeekday = CalendarTime.calculateWeekday(year, month, 1, config, weekdayOffset);
+        day = 1 + ((weekday - firstWeekday + weekdayCount) % weekdayCount) + (nth - 1) * weekdayCount;
+      } else {
+        const lastWeekday = CalendarTime.calculateWeekday(year, month, daysInMonth, config, weekdayOffset);
+        day = daysInMonth - ((lastWeekday - weekday + weekdayCount) % weekdayCount);
+      }
+
+      const date = { year, month, day };
+      if (day >= 1 && day <= daysInMonth && isWithin(date, from, to)) results.push(date);
+    }
+
+    month++;
+    if (month >= config.months.length) {
+      month = 0;
+      year = CalendarTime.addYears(year, 1, config);
+    }
+  }
+  return results;
+}
+
+/**
+ * First day of a given phase of a given moon
+ */
+function getMoonOccurrences(rule, from, to, config) {
+  const moon = (config.moons || []).find(m => m.id === rule.moonId) ?? config.moons?.[0];
+  if (!moon) return [];
+
+  const phaseIndex = parseInt(rule.phaseIndex) || 0;
+
+  const results = [];
+  let date = { ...from };
+  let previous = CalendarTime.getMoonPhase(CalendarTime.addDays(from, -1, config), moon, config);
+  while (CalendarTime.compareDates(date, to) <= 0) {
+    const current = CalendarTime.getMoonPhase(date, moon, config);
+    if (current?.phaseIndex === phaseIndex && previous?.phaseIndex !== phaseIndex) {
+      results.push(date);
+    }
+    previous = current;
+    date = CalendarTime.addDays(date, 1, config);
+  }
+  return results;
+}
+
+function isWithin(date, from, to) {
+  return CalendarTime.compareDates(date, from) >= 0 && CalendarTime.compareDates(date, to) <= 0;
+}
+
+/**
+ * Describe a recurrence rule in plain words
+ * @param {Object} rule - Recurrence rule
+ * @param {Object} anchor - First occurrence { year, month, day }
+ * @param {Object} config - Calendar configuration
+ * @returns {string} Description, or an empty string for one-off notes
+ */
+export function describeRecurrence(rule, anchor, config) {
+  if (!isRecurring(rule)) return '';
+
+  const interval = Math.max(1, parseInt(rule.interval) || 1);
+  let text = '';
+
+  switch (rule.type) {
+    case RECURRENCE_TYPES.INTERVAL:
+      text = interval === 1 ? 'Every day' : `Every ${interval} days`;
+      break;
+    case RECURRENCE_TYPES.MONTHLY:
+      text = interval === 1 ? `Day ${anchor.day} of every month` : `Day ${anchor.day} of every ${interval} months`;
+      break;
+    case RECURRENCE_TYPES.YEARLY: {
+      const monthName = config.months[anchor.month]?.name || '';
+      text = interval === 1 ? `Every ${monthName} ${anchor.day}` : `Every ${interval} years on ${monthName} ${anchor.day}`;
+      break;
+    }
+    case RECURRENCE_TYPES.WEEKDAY: {
+      const nth = parseInt(rule.nth) || 1;
+      const position = nth > 0 ? ORDINALS[nth - 1] : 'Last';
+      const weekdayName = config.weekdays[parseInt(rule.weekday) || 0]?.name || '';
+      const hasMonth = rule.month !== null && rule.month !== undefined && rule.month !== '';
+      const monthName = hasMonth ? config.months[parseInt(rule.month)]?.name : 'every month';
+      text = `${position} ${weekdayName} of ${monthName}`;
+      break;
+    }
+    case RECURRENCE_TYPES.MOON: {
+      const moon = (config.moons || []).find(m => m.id === rule.moonId) ?? config.moons?.[0];
+      const phaseName = moon?.phases?.[parseInt(rule.phaseIndex) || 0]?.name || 'phase';
+      text = `Every ${phaseName} of ${moon?.name || 'the moon'}`;
+      break;
+    }
+  }
+
+  if (rule.until) {
+    const untilMonth = config.months[rule.until.month]?.name || '';
+    text += ` until ${untilMonth} ${rule.until.day}, ${rule.until.year}`;
+  }
+
+  return text;
+}
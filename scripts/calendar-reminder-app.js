@@ -0,0 +1,198 @@
+// Easy Calendar - Reminders Application
+
+import { MODULE_ID, REMINDER_ACTIONS, DEFAULT_REMINDER } from './constants.js';
+import { CalendarData } from './calendar-data.js';
+import { CalendarReminders } from './calendar-reminders.js';
+import { CalendarSocket } from './calendar-socket.js';
+import * as CalendarTime from './calendar-time.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class CalendarReminderApp extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  static DEFAULT_OPTIONS = {
+    id: 'easy-calendar-reminders',
+    classes: ['easy-calendar', 'easy-calendar-reminders'],
+    position: {
+      width: 520,
+      height: 'auto'
+    },
+    window: {
+      frame: true,
+      positioned: true,
+      resizable: true,
+      minimizable: true
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: `modules/${MODULE_ID}/templates/calendar-reminders.hbs`
+    }
+  };
+
+  static ACTION_LABELS = {
+    [REMINDER_ACTIONS.HOOK]: 'Hook only',
+    [REMINDER_ACTIONS.CHAT]: 'Chat message',
+    [REMINDER_ACTIONS.WHISPER]: 'Whisper to GM',
+    [REMINDER_ACTIONS.MACRO]: 'Run macro'
+  };
+
+  /* -------------------------------------------- */
+  /*  Getters                                     */
+  /* -------------------------------------------- */
+
+  get title() {
+    return 'Reminders';
+  }
+
+  /* -------------------------------------------- */
+  /*  Context Preparation                         */
+  /* -------------------------------------------- */
+
+  async _prepareContext(options) {
+    const config = CalendarData.getConfig();
+    const state = CalendarData.getState();
+
+    return {
+      reminders: CalendarReminders.getReminders().map(reminder => ({
+        ...reminder,
+        due: CalendarReminders.describeTime(reminder),
+        actionLabel: CalendarReminderApp.ACTION_LABELS[reminder.action]
+      })),
+      units: {
+        year: 'Years',
+        month: 'Months',
+        week: 'Weeks',
+        day: 'Days',
+        hour: 'Hours',
+        minute: 'Minutes',
+        second: 'Seconds'
+      },
+      months: config.months,
+      date: { year: state.year, month: state.month, day: state.day },
+      time: CalendarTime.formatSecondsToTime(0, config),
+      actions: CalendarReminderApp.ACTION_LABELS,
+      defaultAction: DEFAULT_REMINDER.action
+    };
+  }
+
+  /* -------------------------------------------- */
+  /*  Rendering                                   */
+  /* -------------------------------------------- */
+
+  _onRender(context, options) {
+    this._activateListeners();
+  }
+
+  /* -------------------------------------------- */
+  /*  Event Listeners                             */
+  /* -------------------------------------------- */
+
+  _activateListeners() {
+    const el = this.element;
+
+    el.querySelector('[data-action="add-reminder"]')?.addEventListener('click', () => this._onAddReminder());
+    el.querySelector('[data-action="cancel"]')?.addEventListener('click', () => this.close());
+    el.querySelectorAll('[data-action="remove-reminder"]').forEach(btn => {
+      btn.addEventListener('click', (e) => this._onRemoveReminder(e.currentTarget.closest('[data-reminder-id]').dataset.reminderId));
+    });
+
+    // Only show the fields used by the chosen target and action
+    el.querySelector('[name="when"]')?.addEventListener('change', () => this._updateFields());
+    el.querySelector('[name="timeOfDay"]')?.addEventListener('change', () => this._updateFields());
+    el.querySelector('[name="action"]')?.addEventListener('change', () => this._updateFields());
+    this._updateFields();
+
+    // Accept a macro dragged from the hotbar or the sidebar
+    el.querySelector('[name="macro"]')?.addEventListener('drop', (e) => {
+      const data = foundry.applications.ux.TextEditor.implementation.getDragEventData(e);
+      if (data?.type !== 'Macro' || !data.uuid) return;
+      e.preventDefault();
+      e.currentTarget.value = data.uuid;
+    });
+  }
+
+  _updateFields() {
+    const el = this.element;
+    const when = el.querySelector('[name="when"]')?.value;
+    el.querySelectorAll('[data-when]').forEach(field => {
+      field.classList.toggle('hidden', field.dataset.when !== when);
+    });
+
+    const timeOfDay = el.querySelector('[name="timeOfDay"]')?.value;
+    el.querySelector('[name="time"]')?.classList.toggle('hidden', timeOfDay !== 'time');
+
+    const action = el.querySelector('[name="action"]')?.value;
+    el.querySelector('.reminder-macro')?.classList.toggle('hidden', action !== REMINDER_ACTIONS.MACRO);
+  }
+
+  _getTargetFromForm() {
+    const el = this.element;
+    const config = CalendarData.getConfig();
+
+    if (el.querySelector('[name="when"]')?.value === 'in') {
+      return {
+        in: {
+          amount: parseFloat(el.querySelector('[name="amount"]')?.value) || 0,
+          unit: el.querySelector('[name="unit"]')?.value || 'hour'
+        }
+      };
+    }
+
+    const date = {
+      year: parseInt(el.querySelector('[name="year"]')?.value) || 0,
+      month: parseInt(el.querySelector('[name="month"]')?.value) || 0,
+      day: parseInt(el.querySelector('[name="day"]')?.value) || 1
+    };
+
+    const daysInMonth = CalendarTime.getDaysInMonth(date.year, date.month, config);
+    if (date.day < 1 || date.day > daysInMonth) {
+      throw new Error(`Day must be between 1 and ${daysInMonth}.`);
+    }
+
+    const timeOfDay = el.querySelector('[name="timeOfDay"]')?.value;
+    const seconds = timeOfDay === 'time'
+      ? CalendarTime.parseTimeString(el.querySelector('[name="time"]')?.value, config)
+      : CalendarTime.getSunTimes(date, config)[timeOfDay];
+
+    return { time: CalendarReminders.getTimeAt(date) + seconds };
+  }
+
+  async _onAddReminder() {
+    const el = this.element;
+    const action = el.querySelector('[name="action"]')?.value || DEFAULT_REMINDER.action;
+    const macro = el.querySelector('[name="macro"]')?.value.trim() || null;
+
+    if (action === REMINDER_ACTIONS.MACRO && !macro) {
+      ui.notifications.error('Choose a macro to run.');
+      return;
+    }
+
+    try {
+      await CalendarSocket.execute('addReminder', {
+        data: {
+          title: el.querySelector('[name="title"]')?.value.trim() || DEFAULT_REMINDER.title,
+          message: el.querySelector('[name="message"]')?.value.trim() || '',
+          action,
+          macro,
+          ...this._getTargetFromForm()
+        }
+      });
+    } catch (err) {
+      ui.notifications.error(err.message);
+    }
+  }
+
+  async _onRemoveReminder(reminderId) {
+    try {
+      await CalendarSocket.execute('removeReminder', { reminderId });
+    } catch (err) {
+      ui.notifications.error(err.message);
+    }
+  }
+}
@@ -0,0 +1,306 @@
+// Easy Calendar - Reminders and Alarms
+
+import { MODULE_ID, SETTINGS, PERMISSIONS, DEFAULT_REMINDER, REMINDER_ACTIONS } from './constants.js';
+import { CalendarData } from './calendar-data.js';
+import { CalendarPermissions } from './calendar-permissions.js';
+import * as CalendarTime from './calendar-time.js';
+
+/**
+ * CalendarReminders fires alarms when game time passes a point
+ * Each reminder stores its target as calendar world time (see CalendarTime.toWorldTime). Whenever the
+ * calendar state or the reminders change, the active GM fires every reminder whose time has been reached,
+ * in order, so reminders skipped over by a large jump (or set in the past) still fire. Fired reminders are removed.
+ * Reminders belong to the calendar that was active when they were set, and only fire while it is active.
+ */
+export class CalendarReminders {
+
+  /** @type {Promise} Pending check, so overlapping state changes cannot fire a reminder twice */
+  static _queue = Promise.resolve();
+
+  /**
+   * Get all reminders, soonest first
+   * @returns {Object[]} Reminders
+   */
+  static getReminders() {
+    const reminders = game.settings.get(MODULE_ID, SETTINGS.REMINDERS) || [];
+    return [...reminders].sort((a, b) => a.time - b.time);
+  }
+
+  /**
+   * Get a single reminder by ID
+   * @param {string} reminderId - The reminder identifier
+   * @returns {Object|null}
+   */
+  static getReminder(reminderId) {
+    return this.getReminders().find(r => r.id === reminderId) ?? null;
+  }
+
+  /**
+   * Get the world time a duration after a calendar state
+   * Months and years are added to the date like CalendarData.advance does, so they follow the calendar's month lengths.
+   * @param {number} amount - Amount of time
+   * @param {string} unit - Unit: 'second', 'minute', 'hour', 'day', 'week', 'month', 'year'
+   * @param {Object} [state] - Starting state (defaults to the current state)
+   * @returns {number} World time in seconds
+   */
+  static getTimeAfter(amount, unit, state = CalendarData.getState()) {
+    const config = CalendarData.getConfig();
+    const { hoursPerDay, minutesPerHour, secondsPerMinute } = config.time;
+    const now = CalendarTime.toWorldTime(state, config);
+
+    const seconds = {
+      second: 1,
+      minute: secondsPerMinute,
+      hour: minutesPerHour * secondsPerMinute,
+      day: hoursPerDay * minutesPerHour * secondsPerMinute,
+      week: config.weekdays.length * hoursPerDay * minutesPerHour * secondsPerMinute
+    }[unit];
+    if (seconds) return now + amount * seconds;
+
+    if (unit === 'month' || unit === 'year') {
+      const target = unit === 'year'
+        ? { ...state, year: CalendarTime.addYears(state.year, amount, config) }
+        : { ...state, month: state.month + amount };
+      return CalendarTime.toWorldTime(CalendarTime.normalizeDate(target, config), config);
+    }
+
+    throw new Error(`Unknown time unit: ${unit}`);
+  }
+
+  /**
+   * Get the world time of a date and time of day
+   * @param {Object} date - Date { year, month, day, hour?, minute?, second? }
+   * @returns {number} World time in seconds
+   */
+  static getTimeAt(date) {
+    const { year, month, day, hour = 0, minute = 0, second = 0 } = date;
+    return CalendarTime.toWorldTime({ year, month, day, hour, minute, second }, CalendarData.getConfig());
+  }
+
+  /**
+   * Add a reminder
+   * Writes the reminders setting directly; other users go through CalendarSocket.execute('addReminder').
+   * @param {Object} data - Reminder data (see DEFAULT_REMINDER); set the target with one of:
+   * @param {number} [data.time] - World time in seconds
+   * @param {Object} [data.date] - Date and time { year, month, day, hour?, minute?, second? }
+   * @param {Object} [data.in] - Duration from now { amount, unit }
+   * @param {User} [user] - The user setting the reminder (defaults to the current user)
+   * @returns {Promise<Object>} The created reminder
+   */
+  static async addReminder(data, user = game.user) {
+    this._checkPermission(user, data);
+
+    const reminder = this._cleanReminder({
+      ...foundry.utils.deepClone(DEFAULT_REMINDER),
+      ...data,
+      time: this._resolveTime(data),
+      calendarId: CalendarData.getConfig().id,
+      id: foundry.utils.randomID()
+    });
+
+    await this._saveReminders([...this.getReminders(), reminder]);
+    Hooks.callAll('easyCalendarReminderCreated', reminder);
+    return reminder;
+  }
+
+  /**
+   * Update a reminder
+   * @param {string} reminderId - The reminder identifier
+   * @param {Object} changes - Fields to update; the target may be changed with time, date or in
+   * @param {User} [user] - The user changing the reminder (defaults to the current user)
+   * @returns {Promise<Object>} The updated reminder
+   */
+  static async updateReminder(reminderId, changes, user = game.user) {
+    this._checkPermission(user);
+
+    const reminders = this.getReminders();
+    const index = reminders.findIndex(r => r.id === reminderId);
+    if (index === -1) {
+      throw new Error(`Unknown reminder: ${reminderId}`);
+    }
+    // Checked on the result, so a macro reminder cannot be pointed at another macro on its own
+    this._checkPermission(user, { ...reminders[index], ...changes });
+
+    const hasTarget = ['time', 'date', 'in'].some(key => changes[key] !== undefined);
+    const reminder = this._cleanReminder({
+      ...reminders[index],
+      ...changes,
+      time: hasTarget ? this._resolveTime(changes) : reminders[index].time,
+      id: reminderId
+    });
+    reminders[index] = reminder;
+
+    await this._saveReminders(reminders);
+    return reminder;
+  }
+
+  /**
+   * Remove a reminder without firing it
+   * @param {string} reminderId - The reminder identifier
+   * @param {User} [user] - The user removing the reminder (defaults to the current user)
+   * @returns {Promise<boolean>} True if a reminder was removed
+   */
+  static async removeReminder(reminderId, user = game.user) {
+    this._checkPermission(user);
+
+    const reminders = this.getReminders();
+    if (!reminders.some(r => r.id === reminderId)) return false;
+
+    await this._saveReminders(reminders.filter(r => r.id !== reminderId));
+    return true;
+  }
+
+  /**
+   * Move reminders to another calendar, keeping their moment on the shared timeline
+   * Called by CalendarLibrary.activateCalendar before the active calendar changes, so it needs the library permission.
+   * @param {string} fromId - The calendar the reminders belong to
+   * @param {string} toId - The calendar they move to
+   * @param {number} shift - Seconds to add to their times
+   * @param {User} [user] - The user switching calendars (defaults to the current user)
+   * @returns {Promise<Object[]>} The moved reminders
+   */
+  static async moveReminders(fromId, toId, shift, user = game.user) {
+    if (!CalendarPermissions.can(PERMISSIONS.MANAGE_LIBRARY, user)) {
+      throw new Error('You do not have permission to manage calendars.');
+    }
+
+    const reminders = this.getReminders();
+    const moved = reminders.filter(r => this._belongsTo(r, fromId));
+    if (moved.length === 0) return [];
+
+    for (const reminder of moved) {
+      reminder.time += shift;
+      reminder.calendarId = toId;
+    }
+    await this._saveReminders(reminders);
+    return moved;
+  }
+
+  /**
+   * Fire every reminder whose time has been reached (active GM only)
+   * @param {Object} [state] - The calendar state to check against (defaults to the current state)
+   * @returns {Promise<Object[]>} The reminders that fired
+   */
+  static check(state = CalendarData.getState()) {
+    this._queue = this._queue.then(() => this._check(state), () => this._check(state));
+    return this._queue;
+  }
+
+  /**
+   * Fire a reminder: call the hook, then post to chat or run the macro
+   * @param {Object} reminder - The reminder
+   * @param {Object} [state] - The calendar state it fired at (defaults to the current state)
+   */
+  static async fire(reminder, state = CalendarData.getState()) {
+    Hooks.callAll('easyCalendarReminder', reminder, state);
+
+    switch (reminder.action) {
+      case REMINDER_ACTIONS.CHAT:
+      case REMINDER_ACTIONS.WHISPER:
+        await this._postToChat(reminder);
+        break;
+      case REMINDER_ACTIONS.MACRO: {
+        const macro = reminder.macro ? await fromUuid(reminder.macro) : null;
+        if (!macro) {
+          ui.notifications.warn(`Reminder "${reminder.title}": macro not found.`);
+          break;
+        }
+        await macro.execute({ reminder, state });
+        break;
+      }
+    }
+  }
+
+  /**
+   * Describe when a reminder is due
+   * @param {Object} reminder - The reminder
+   * @returns {string} e.g. "Hammer 3, 1490 06:00:00"
+   */
+  static describeTime(reminder) {
+    const date = CalendarTime.fromWorldTime(reminder.time, CalendarData.getConfig());
+    return `${CalendarData.formatDate(date)} ${CalendarData.formatDate(date, 'time')}`;
+  }
+
+  /* -------------------------------------------- */
+  /*  Helpers                                     */
+  /* -------------------------------------------- */
+
+  static async _check(state) {
+    if (game.user !== game.users.activeGM) return [];
+
+    const config = CalendarData.getConfig();
+    const now = CalendarTime.toWorldTime(state, config);
+    const reminders = this.getReminders();
+    const due = reminders.filter(r => r.time <= now && this._belongsTo(r, config.id));
+    if (due.length === 0) return [];
+
+    // Remove before firing, so a macro that changes the date cannot fire them again
+    await this._saveReminders(reminders.filter(r => !due.includes(r)));
+    for (const reminder of due) {
+      try {
+        await this.fire(reminder, state);
+      } catch (err) {
+        ui.notifications.error(`Reminder "${reminder.title}" failed: ${err.message}`);
+      }
+    }
+    return due;
+  }
+
+  // Macro reminders run on the GM's client, so only users who may write script macros can set them
+  static _checkPermission(user, data = {}) {
+    if (!CalendarPermissions.can(PERMISSIONS.MANAGE_REMINDERS, user)) {
+      throw new Error('You do not have permission to manage reminders.');
+    }
+    if (data.action === REMINDER_ACTIONS.MACRO && !user.can('MACRO_SCRIPT')) {
+      throw new Error('You do not have permission to set reminders that run macros.');
+    }
+  }
+
+  // Reminders from before calendars had a library belong to the active calendar
+  static _belongsTo(reminder, calendarId) {
+    return !reminder.calendarId || reminder.calendarId === calendarId;
+  }
+
+  static _resolveTime({ time, date, in: duration }) {
+    if (typeof time === 'number' && Number.isFinite(time)) return time;
+    if (date) return this.getTimeAt(date);
+    if (duration) return this.getTimeAfter(Number(duration.amount) || 0, duration.unit || 'hour');
+    throw new Error('A reminder needs a time, a date or a duration.');
+  }
+
+  static _postToChat(reminder) {
+    const escape = (text) => foundry.utils.escapeHTML(String(text));
+    const content = `<div class="easy-calendar-chat-reminder">
+      <h3><i class="fas fa-bell"></i> ${escape(reminder.title)}</h3>
+      <p>${escape(this.describeTime(reminder))}</p>
+      ${reminder.message ? `<p>${escape(reminder.message)}</p>` : ''}
+    </div>`;
+
+    return ChatMessage.create({
+      content,
+      speaker: { alias: CalendarData.getConfig().name || 'Easy Calendar' },
+      whisper: reminder.action === REMINDER_ACTIONS.WHISPER ? ChatMessage.getWhisperRecipients('GM') : []
+    });
+  }
+
+  static _cleanReminder(reminder) {
+    const action = Object.values(REMINDER_ACTIONS).includes(reminder.action)
+      ? reminder.action
+      : DEFAULT_REMINDER.action;
+
+    return {
+      id: reminder.id,
+      title: String(reminder.title || DEFAULT_REMINDER.title),
+      message: String(reminder.message || ''),
+      time: Math.round(Number(reminder.time) || 0),
+      action,
+      macro: reminder.macro || null,
+      calendarId: reminder.calendarId || null
+    };
+  }
+
+  static async _saveReminders(reminders) {
+    await game.settings.set(MODULE_ID, SETTINGS.REMINDERS, reminders);
+    Hooks.callAll('easyCalendarRemindersChanged', reminders);
+  }
+}
@@ -0,0 +1,537 @@
+// Easy Calendar - Configuration Schema
+
+import { DEFAULT_TIME_CONFIG, DEFAULT_FORMATS, SEASON_ICONS } from './constants.js';
+import { deepClone, randomID } from './calendar-utils.js';
+
+const LEAP_YEAR_RULES = ['gregorian', 'simple', 'custom', 'list'];
+const LEAP_CLAUSE_TYPES = ['include', 'exclude'];
+
+// How far a moon's phases may differ from its cycle, in days
+const PHASE_TOLERANCE = 0.01;
+
+/**
+ * A problem found in a calendar configuration
+ * @typedef {Object} ConfigProblem
+ * @property {string} path - Where the problem is, e.g. "months[3].days"
+ * @property {string} message - What is wrong
+ * @property {string} severity - 'error' (the configuration cannot be saved) or 'warning'
+ * @property {string|null} suggestion - How repairConfig would fix it, or null if it has to be fixed by hand
+ * @property {Object|null} fix - { value } to set at the path, or { remove: true } to remove the list entry
+ */
+
+/**
+ * Check a calendar configuration against the schema
+ * Every problem is reported with its path, not just the first one.
+ * @param {Object} config - Calendar configuration
+ * @returns {{ valid: boolean, errors: ConfigProblem[], warnings: ConfigProblem[] }} Report; valid when there are no errors
+ */
+export function validateConfig(config) {
+  const problems = [];
+  const report = (path, message, { fix = null, suggestion = null, severity = 'error' } = {}) => {
+    problems.push({ path, message, severity, suggestion: fix ? suggestion ?? describeFix(fix) : null, fix });
+  };
+
+  if (!isObject(config)) {
+    report('', 'The configuration must be an object.');
+    return toReport(problems);
+  }
+
+  checkString(config, 'id', report, { required: true, fix: { value: randomID() } });
+  checkString(config, 'name', report, { required: true, fix: { value: 'Calendar' } });
+  checkString(config, 'namePrefix', report);
+  checkString(config, 'nameSuffix', report);
+  if (config.timelineOffset !== undefined && !Number.isFinite(config.timelineOffset)) {
+    report('timelineOffset', 'Must be a number of seconds.', { fix: { value: 0 } });
+  }
+
+  validateTime(config, report);
+  const weekdayCount = validateList(config, 'weekdays', 'weekday', report, validateWeekday);
+  const months = validateList(config, 'months', 'month', report, validateMonth) ? config.months : [];
+
+  for (const key of ['firstWeekday', 'epochWeekday']) {
+    const value = config[key];
+    if (value === undefined) continue;
+    if (!Number.isInteger(value) || value < 0 || (weekdayCount && value >= weekdayCount)) {
+      report(key, `Must be the index of a weekday (0 to ${Math.max(0, weekdayCount - 1)}).`, { fix: { value: 0 } });
+    }
+  }
+
+  validateYearConfig(config, report);
+  validateLeapYear(config, months, report);
+
+  if (months.length && !months.some(month => Number.isInteger(month?.days) && month.days > 0)) {
+    report('months', 'At least one month must have days.');
+  }
+
+  if (config.seasons !== undefined) {
+    validateList(config, 'seasons', 'season', report, (season, path) => validateSeason(season, path, config, months, report), { required: false });
+  }
+  if (config.moons !== undefined) {
+    validateList(config, 'moons', 'moon', report, (moon, path) => validateMoon(moon, path, months, report), { required: false });
+  }
+
+  if (config.formats !== undefined) {
+    if (!isObject(config.formats)) {
+      report('formats', 'Must be an object of format strings.', { fix: { value: { ...DEFAULT_FORMATS } } });
+    } else {
+      for (const [name, format] of Object.entries(config.formats)) {
+        if (typeof format !== 'string') {
+          report(`formats.${name}`, 'Must be a format string.', { fix: DEFAULT_FORMATS[name] ? { value: DEFAULT_FORMATS[name] } : { remove: true } });
+        }
+      }
+    }
+  }
+
+  return toReport(problems);
+}
+
+/**
+ * Apply the suggested fixes of every problem that has one
+ * Problems without a fix (e.g. a calendar without months) are left in the report.
+ * @param {Object} config - Calendar configuration (not changed)
+ * @returns {{ config: Object, repaired: ConfigProblem[], report: Object }} The repaired copy, the problems fixed
+ *   and a new report of what is left
+ */
+export function repairConfig(config) {
+  const repairedConfig = deepClone(config);
+  const repaired = [];
+
+  // A fix can uncover another problem (a removed month leaves a season pointing past the end), so repeat a few times
+  for (let pass = 0; pass < 5; pass++) {
+    const { errors, warnings } = validateConfig(repairedConfig);
+    const fixable = [...errors, ...warnings].filter(p => p.fix);
+    if (fixable.length === 0) break;
+
+    for (const problem of fixable.filter(p => !p.fix.remove)) {
+      setPath(repairedConfig, problem.path, deepClone(problem.fix.value));
+    }
+    // Remove list entries last to first, so the other paths stay correct, and each entry only once
+    const removals = [...new Set(fixable.filter(p => p.fix.remove).map(p => entryPath(p.path)))]
+      .sort((a, b) => comparePaths(b, a));
+    for (const path of removals) {
+      removePath(repairedConfig, path);
+    }
+    repaired.push(...fixable);
+  }
+
+  return { config: repairedConfig, repaired, report: validateConfig(repairedConfig) };
+}
+
+/**
+ * Throw if a calendar configuration has errors
+ * The error's message lists the first few problems and its `report` property has the full report.
+ * @param {Object} config - Calendar configuration
+ * @returns {Object} The report, which may have warnings
+ */
+export function assertValidConfig(config) {
+  const report = validateConfig(config);
+  if (!report.valid) {
+    const lines = describeProblems({ errors: report.errors, warnings: [] });
+    const more = lines.length > 3 ? ` (and ${lines.length - 3} more)` : '';
+    const error = new Error(`Invalid calendar configuration: ${lines.slice(0, 3).join('; ')}${more}`);
+    error.report = report;
+    throw error;
+  }
+  return report;
+}
+
+/**
+ * Describe a report for people, one problem per line
+ * @param {Object} report - A report from validateConfig
+ * @returns {string[]} Lines like "months[3].days: Must be a whole number of 0 or more. (Set to 0)"
+ */
+export function describeProblems(report) {
+  return [...report.errors, ...report.warnings].map(problem => {
+    const where = problem.path ? `${problem.path}: ` : '';
+    const suggestion = problem.suggestion ? ` (${problem.suggestion})` : '';
+    return `${where}${problem.message}${suggestion}`;
+  });
+}
+
+/* -------------------------------------------- */
+/*  Moon Phases                                 */
+/* -------------------------------------------- */
+
+/**
+ * Total length of a moon's phases in days
+ * @param {Object} moon - Moon configuration
+ * @returns {number}
+ */
+export function getPhaseTotal(moon) {
+  return (moon.phases || []).reduce((sum, phase) => sum + (Number(phase.length) || 0), 0);
+}
+
+/**
+ * Whether a moon's phases fill its cycle, allowing for rounding
+ * @param {Object} moon - Moon configuration
+ * @returns {boolean}
+ */
+export function phasesFitCycle(moon) {
+  return Math.abs(getPhaseTotal(moon) - moon.cycleLength) < PHASE_TOLERANCE;
+}
+
+/**
+ * Stretch a moon's phases longer than a day so that all phases fill its cycle
+ * Single-day phases get exactly one day; the others keep their share of the rest.
+ * @param {Object} moon - Moon configuration
+ * @returns {Object[]|null} The fitted phases, or null if there is no room for phases longer than a day
+ */
+export function fitPhasesToCycle(moon) {
+  const phases = deepClone(moon.phases || []);
+  const flexible = phases.filter(phase => !phase.singleDay);
+  // Single-day phases are set back to one day, whatever length they were saved with
+  for (const phase of phases) {
+    if (phase.singleDay) phase.length = 1;
+  }
+  const fixedTotal = phases.length - flexible.length;
+  const remaining = moon.cycleLength - fixedTotal;
+  if (flexible.length === 0 || remaining <= 0) return null;
+
+  const flexibleTotal = flexible.reduce((sum, phase) => sum + (Number(phase.length) || 0), 0);
+  for (const phase of flexible) {
+    const share = flexibleTotal > 0 ? (Number(phase.length) || 0) / flexibleTotal : 1 / flexible.length;
+    phase.length = Math.round(remaining * share * 100000) / 100000;
+  }
+  return phases;
+}
+
+/* -------------------------------------------- */
+/*  Sections                                    */
+/* -------------------------------------------- */
+
+function validateTime(config, report) {
+  if (!isObject(config.time)) {
+    report('time', 'Must be an object with hoursPerDay, minutesPerHour and secondsPerMinute.', { fix: { value: { ...DEFAULT_TIME_CONFIG } } });
+    return;
+  }
+  for (const key of Object.keys(DEFAULT_TIME_CONFIG)) {
+    const value = config.time[key];
+    if (!Number.isInteger(value) || value < 1) {
+      report(`time.${key}`, 'Must be a whole number of 1 or more.', { fix: { value: DEFAULT_TIME_CONFIG[key] } });
+    }
+  }
+}
+
+function validateWeekday(weekday, path, index, report) {
+  checkString(weekday, 'name', report, { path, required: true, fix: { value: `Day ${index + 1}` } });
+  checkString(weekday, 'abbreviation', report, { path });
+}
+
+function validateMonth(month, path, index, report) {
+  checkString(month, 'name', report, { path, required: true, fix: { value: `Month ${index + 1}` } });
+  checkString(month, 'abbreviation', report, { path });
+  if (!Number.isInteger(month.days) || month.days < 0) {
+    const days = Math.max(0, Math.round(Number(month.days) || 0));
+    report(`${path}.days`, 'Must be a whole number of 0 or more.', { fix: { value: days } });
+  }
+  for (const key of ['intercalary', 'skipWeekdays']) {
+    if (month[key] !== undefined && typeof month[key] !== 'boolean') {
+      report(`${path}.${key}`, 'Must be true or false.', { fix: { value: !!month[key] } });
+    }
+  }
+}
+
+function validateYearConfig(config, report) {
+  const yearConfig = config.yearConfig;
+  if (!isObject(yearConfig)) {
+    report('yearConfig', 'Must be an object.', { fix: { value: { startingYear: 1, yearZeroExists: false } } });
+    return;
+  }
+
+  const yearZeroExists = !!yearConfig.yearZeroExists;
+  if (!Number.isInteger(yearConfig.startingYear)) {
+    report('yearConfig.startingYear', 'Must be a whole number.', { fix: { value: Math.round(Number(yearConfig.startingYear)) || 1 } });
+  } else if (!yearZeroExists && yearConfig.startingYear === 0) {
+    // Calendars saved before year zero was honored could start in year 0; keep their dates where they are
+    report('yearConfig.yearZeroExists', 'The calendar starts in year 0 but has no year 0.', { severity: 'warning', fix: { value: true } });
+  }
+  if (yearConfig.yearZeroExists !== undefined && typeof yearConfig.yearZeroExists !== 'boolean') {
+    report('yearConfig.yearZeroExists', 'Must be true or false.', { fix: { value: yearZeroExists } });
+  }
+  checkString(yearConfig, 'yearPrefix', report, { path: 'yearConfig' });
+  checkString(yearConfig, 'yearSuffix', report, { path: 'yearConfig' });
+
+  if (yearConfig.eras !== undefined) {
+    const startYears = new Set();
+    validateList(yearConfig, 'eras', 'era', report, (era, path) => {
+      checkString(era, 'name', report, { path, required: true, fix: { value: 'Era' } });
+      checkString(era, 'abbreviation', report, { path });
+      if (era.startYear !== null && era.startYear !== undefined) {
+        if (!Number.isInteger(era.startYear)) {
+          report(`${path}.startYear`, 'Must be a whole number, or empty for an era that covers every earlier year.', { fix: { value: null } });
+        } else if (!yearZeroExists && era.startYear === 0) {
+          report(`${path}.startYear`, 'The calendar has no year 0.', { fix: { value: 1 } });
+        }
+      }
+      const startKey = era.startYear ?? null;
+      if (startYears.has(startKey)) {
+        report(`${path}.startYear`, 'Another era starts in the same year; only one of them is used.', { severity: 'warning' });
+      }
+      startYears.add(startKey);
+      if (era.startNumber !== undefined && !Number.isInteger(era.startNumber)) {
+        report(`${path}.startNumber`, 'Must be a whole number.', { fix: { value: 1 } });
+      }
+    }, { path: 'yearConfig.eras', required: false });
+  }
+
+  if (yearConfig.reckonings !== undefined) {
+    validateList(yearConfig, 'reckonings', 'reckoning', report, (reckoning, path) => {
+      checkString(reckoning, 'name', report, { path, required: true, fix: { value: 'Reckoning' } });
+      checkString(reckoning, 'abbreviation', report, { path });
+      if (!Number.isInteger(reckoning.offset)) {
+        report(`${path}.offset`, 'Must be a whole number of years.', { fix: { value: Math.round(Number(reckoning.offset)) || 0 } });
+      }
+    }, { path: 'yearConfig.reckonings', required: false });
+  }
+}
+
+function validateLeapYear(config, months, report) {
+  const leapYear = config.leapYear;
+  if (leapYear === undefined || leapYear === null) return;
+  if (!isObject(leapYear)) {
+    report('leapYear', 'Must be an object.', { fix: { value: { enabled: false, rule: 'gregorian', months: [] } } });
+    return;
+  }
+
+  if (!LEAP_YEAR_RULES.includes(leapYear.rule)) {
+    report('leapYear.rule', `Must be one of ${LEAP_YEAR_RULES.join(', ')}.`, { fix: { value: 'gregorian' } });
+  }
+  if (leapYear.interval !== undefined && (!Number.isInteger(leapYear.interval) || leapYear.interval < 1)) {
+    report('leapYear.interval', 'Must be a whole number of 1 or more.', { fix: { value: 4 } });
+  }
+  if (leapYear.offset !== undefined && !Number.isInteger(leapYear.offset)) {
+    report('leapYear.offset', 'Must be a whole number.', { fix: { value: 0 } });
+  }
+
+  if (leapYear.clauses !== undefined) {
+    validateList(leapYear, 'clauses', 'rule', report, (clause, path) => {
+      if (!Number.isInteger(clause.divisor) || clause.divisor < 1) {
+        report(`${path}.divisor`, 'Must be a whole number of 1 or more.', { fix: { remove: true }, suggestion: 'Remove the rule' });
+      }
+      if (!LEAP_CLAUSE_TYPES.includes(clause.type)) {
+        report(`${path}.type`, 'Must be include or exclude.', { fix: { value: 'include' } });
+      }
+    }, { path: 'leapYear.clauses', required: false, ids: false });
+    if (leapYear.enabled && leapYear.rule === 'custom' && Array.isArray(leapYear.clauses) && leapYear.clauses.length === 0) {
+      report('leapYear.clauses', 'The custom rule has no rules, so there are no leap years.', { severity: 'warning' });
+    }
+  }
+
+  if (leapYear.years !== undefined) {
+    if (!Array.isArray(leapYear.years)) {
+      report('leapYear.years', 'Must be a list of years.', { fix: { value: [] } });
+    } else {
+      leapYear.years.forEach((year, index) => {
+        if (!Number.isInteger(year)) {
+          report(`leapYear.years[${index}]`, 'Must be a whole number.', { fix: { remove: true }, suggestion: 'Remove it' });
+        }
+      });
+    }
+  }
+
+  if (leapYear.months !== undefined) {
+    const monthIds = new Set(months.map(month => month?.id));
+    validateList(leapYear, 'months', 'leap month', report, (leapMonth, path) => {
+      const month = months.find(m => m?.id === leapMonth.monthId);
+      if (!monthIds.has(leapMonth.monthId)) {
+        report(`${path}.monthId`, `No month has the ID "${leapMonth.monthId}".`, { fix: { remove: true }, suggestion: 'Remove the leap month' });
+      } else if (!Number.isInteger(leapMonth.extraDays)) {
+        report(`${path}.extraDays`, 'Must be a whole number.', { fix: { value: Math.round(Number(leapMonth.extraDays)) || 1 } });
+      } else if (Number.isInteger(month.days) && month.days + leapMonth.extraDays < 0) {
+        report(`${path}.extraDays`, `${month.name} would have fewer than 0 days in leap years.`, { fix: { value: -month.days } });
+      }
+    }, { path: 'leapYear.months', required: false, ids: false });
+    if (leapYear.enabled && Array.isArray(leapYear.months) && leapYear.months.length === 0) {
+      report('leapYear.months', 'Leap years are on, but no month gets extra days.', { severity: 'warning' });
+    }
+  }
+}
+
+function validateSeason(season, path, config, months, report) {
+  checkString(season, 'name', report, { path, required: true, fix: { value: 'Season' } });
+
+  const month = months[season.startingMonth];
+  if (!Number.isInteger(season.startingMonth) || !month) {
+    report(`${path}.startingMonth`, `Must be the index of a month (0 to ${Math.max(0, months.length - 1)}).`, { fix: { value: 0 }, suggestion: 'Start in the first month' });
+  } else if (!Number.isInteger(season.startingDay) || season.startingDay < 1 || (month.days > 0 && season.startingDay > month.days)) {
+    report(`${path}.startingDay`, `Must be a day of ${month.name} (1 to ${Math.max(1, month.days)}).`, { fix: { value: 1 } });
+  }
+
+  if (season.icon !== undefined && !SEASON_ICONS.includes(season.icon)) {
+    report(`${path}.icon`, `Should be one of ${SEASON_ICONS.join(', ')}.`, { severity: 'warning', fix: { value: 'spring' } });
+  }
+
+  const secondsPerDay = getSecondsPerDay(config);
+  for (const key of ['sunriseTime', 'sunsetTime']) {
+    const value = season[key];
+    if (value === undefined) continue;
+    if (!Number.isFinite(value) || value < 0 || value > secondsPerDay) {
+      const fixed = Number.isFinite(value) ? Math.min(Math.max(0, Math.round(value)), secondsPerDay) : Math.round(secondsPerDay * (key === 'sunriseTime' ? 0.25 : 0.75));
+      report(`${path}.${key}`, `Must be seconds since midnight (0 to ${secondsPerDay}).`, { fix: { value: fixed } });
+    }
+  }
+  if (Number.isFinite(season.sunriseTime) && Number.isFinite(season.sunsetTime) && season.sunriseTime > season.sunsetTime) {
+    report(`${path}.sunsetTime`, 'The sun sets before it rises.', { severity: 'warning' });
+  }
+}
+
+function validateMoon(moon, path, months, report) {
+  checkString(moon, 'name', report, { path, required: true, fix: { value: 'Moon' } });
+
+  if (!Number.isFinite(moon.cycleLength) || moon.cycleLength <= 0) {
+    report(`${path}.cycleLength`, 'Must be a number of days greater than 0.', { fix: { value: 29.53059 } });
+    return;
+  }
+  if (moon.cycleOffset !== undefined && !Number.isFinite(moon.cycleOffset)) {
+    report(`${path}.cycleOffset`, 'Must be a number of days.', { fix: { value: 0 } });
+  }
+
+  if (!Array.isArray(moon.phases) || moon.phases.length === 0) {
+    report(`${path}.phases`, `${moon.name || 'The moon'} must have at least one phase.`);
+  } else {
+    let lengthsValid = true;
+    moon.phases.forEach((phase, index) => {
+      const phasePath = `${path}.phases[${index}]`;
+      if (!isObject(phase)) {
+        report(phasePath, 'Must be an object.', { fix: { remove: true }, suggestion: 'Remove it' });
+        lengthsValid = false;
+        return;
+      }
+      checkString(phase, 'name', report, { path: phasePath, required: true, fix: { value: `Phase ${index + 1}` } });
+      if (!Number.isFinite(phase.length) || phase.length <= 0) {
+        report(`${phasePath}.length`, 'Must be a number of days greater than 0.', { fix: { value: 1 } });
+        lengthsValid = false;
+      }
+    });
+
+    if (lengthsValid && !phasesFitCycle(moon)) {
+      const total = Math.round(getPhaseTotal(moon) * 100) / 100;
+      const fitted = fitPhasesToCycle(moon);
+      report(`${path}.phases`, `The phases of ${moon.name} add up to ${total} days, but its cycle is ${moon.cycleLength} days.`, fitted
+        ? { fix: { value: fitted }, suggestion: 'Fit the phases to the cycle' }
+        : {});
+    }
+  }
+
+  const reference = moon.referenceNewMoon;
+  if (!isObject(reference) || !Number.isInteger(reference.year)) {
+    report(`${path}.referenceNewMoon`, 'Must be a date { year, month, day }.', { fix: { value: { year: 2000, month: 0, day: 1 } } });
+  } else if (!Number.isInteger(reference.month) || !months[reference.month]) {
+    report(`${path}.referenceNewMoon.month`, `Must be the index of a month (0 to ${Math.max(0, months.length - 1)}).`, { fix: { value: 0 } });
+  } else if (!Number.isInteger(reference.day) || reference.day < 1) {
+    report(`${path}.referenceNewMoon.day`, 'Must be a day of the month (1 or more).', { fix: { value: 1 } });
+  }
+}
+
+/* -------------------------------------------- */
+/*  Helpers                                     */
+/* -------------------------------------------- */
+
+/**
+ * Check a list of objects with unique IDs
+ * @returns {number} The number of entries, or 0 if it is not a list
+ */
+function validateList(parent, key, label, report, validateEntry, { path = key, required = true, ids = true } = {}) {
+  const list = parent[key];
+  if (!Array.isArray(list)) {
+    report(path, `Must be a list of ${label}s.`, required ? {} : { fix: { value: [] } });
+    return 0;
+  }
+  if (required && list.length === 0) {
+    report(path, `The calendar must have at least one ${label}.`);
+  }
+
+  const seen = new Set();
+  list.forEach((entry, index) => {
+    const entryPath = `${path}[${index}]`;
+    if (!isObject(entry)) {
+      report(entryPath, 'Must be an object.', { fix: { remove: true }, suggestion: 'Remove it' });
+      return;
+    }
+    if (ids) {
+      if (typeof entry.id !== 'string' || !entry.id) {
+        report(`${entryPath}.id`, 'Must be a non-empty ID.', { fix: { value: randomID(8) } });
+      } else if (seen.has(entry.id)) {
+        report(`${entryPath}.id`, `The ID "${entry.id}" is used more than once.`, { fix: { value: randomID(8) } });
+      }
+      seen.add(entry.id);
+    }
+    validateEntry(entry, entryPath, index, report);
+  });
+  return list.length;
+}
+
+function checkString(parent, key, report, { path = '', required = false, fix = { value: '' } } = {}) {
+  const value = parent[key];
+  const fullPath = path ? `${path}.${key}` : key;
+  if (value === undefined || value === null) {
+    if (required) report(fullPath, 'Is required.', { fix });
+  } else if (typeof value !== 'string') {
+    report(fullPath, 'Must be text.', { fix: { value: String(value) } });
+  } else if (required && !value.trim()) {
+    report(fullPath, 'Must not be empty.', { fix });
+  }
+}
+
+function toReport(problems) {
+  const errors = problems.filter(p => p.severity === 'error');
+  const warnings = problems.filter(p => p.severity === 'warning');
+  return { valid: errors.length === 0, errors, warnings };
+}
+
+function describeFix(fix) {
+  if (fix.remove) return 'Remove it';
+  const value = fix.value;
+  if (value === null) return 'Clear it';
+  if (typeof value === 'object') return 'Reset it';
+  return `Set to ${JSON.stringify(value)}`;
+}
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+// "months[3].days" -> ['months', 3, 'days']
+function parsePath(path) {
+  return path.split(/\.|(?=\[)/).map(part => part.startsWith('[') ? Number(part.slice(1, -1)) : part);
+}
+
+function setPath(object, path, value) {
+  const parts = parsePath(path);
+  const last = parts.pop();
+  const parent = parts.reduce((target, part) => target?.[part], object);
+  if (parent) parent[last] = value;
+}
+
+// The list entry a path is in, e.g. "leapYear.months[2].monthId" -> "leapYear.months[2]"
+function entryPath(path) {
+  return path.replace(/(\[\d+\])(?!.*\[\d+\]).*$/, '$1');
+}
+
+function removePath(object, path) {
+  const parts = parsePath(path);
+  const index = parts.pop();
+  const list = parts.reduce((target, part) => target?.[part], object);
+  if (Array.isArray(list) && typeof index === 'number') list.splice(index, 1);
+}
+
+// Seconds in a day, falling back on the default for invalid time settings
+function getSecondsPerDay(config) {
+  const time = isObject(config.time) ? config.time : {};
+  return Object.keys(DEFAULT_TIME_CONFIG).reduce((seconds, key) => {
+    const value = Number.isInteger(time[key]) && time[key] > 0 ? time[key] : DEFAULT_TIME_CONFIG[key];
+    return seconds * value;
+  }, 1);
+}
+
+// Order paths so that later list entries come last
+function comparePaths(a, b) {
+  const partsA = parsePath(a);
+  const partsB = parsePath(b);
+  for (let i = 0; i < Math.min(partsA.length, partsB.length); i++) {
+    if (partsA[i] === partsB[i]) continue;
+    if (typeof partsA[i] === 'number' && typeof partsB[i] === 'number') return partsA[i] - partsB[i];
+    return String(partsA[i]).localeCompare(String(partsB[i]));
+  }
+  return partsA.length - partsB.length;
+}
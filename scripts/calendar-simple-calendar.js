@@ -0,0 +1,592 @@
+// Easy Calendar - Simple Calendar Format
+// Converts between Easy Calendar and the export files of the Simple Calendar module, in both directions.
+// Simple Calendar counts months and days from 0 and numbers every year, year 0 included.
+
+import { SEASON_ICONS, MOON_PHASE_ICONS, NOTE_CATEGORIES, NOTE_VISIBILITY, RECURRENCE_TYPES, DEFAULT_ERA, DEFAULT_LEAP_YEAR_CONFIG } from './constants.js';
+import { randomID } from './calendar-utils.js';
+
+// Module ID of Simple Calendar, under which its notes keep their data
+const SC_MODULE_ID = 'foundryvtt-simple-calendar';
+
+// How often a Simple Calendar note repeats
+const SC_REPEATS = {
+  NEVER: 0,
+  WEEKLY: 1,
+  MONTHLY: 2,
+  YEARLY: 3
+};
+
+// Simple Calendar's ownership level at which players see a note (Observer)
+const SC_OBSERVER = 2;
+
+// Simple Calendar date format tokens and their Easy Calendar equivalents
+const SC_FORMAT_TOKENS = [
+  ['YAYYYYYZ', '{year}'],
+  ['YYYY', '{year:number}'],
+  ['YN', '{era:long}'],
+  ['MMMM', '{month}'],
+  ['MMM', '{month:short}'],
+  ['MM', '{month:pad}'],
+  ['M', '{month:number}'],
+  ['DD', '{day:pad}'],
+  ['Do', '{day:ordinal}'],
+  ['D', '{day}'],
+  ['EEEE', '{weekday}'],
+  ['EEE', '{weekday:short}'],
+  ['E', '{weekday:number}'],
+  ['HH', '{hour:pad}'],
+  ['H', '{hour}'],
+  ['hh', '{hour12:pad}'],
+  ['h', '{hour12}'],
+  ['mm', '{minute:pad}'],
+  ['m', '{minute}'],
+  ['ss', '{second:pad}'],
+  ['s', '{second}'],
+  ['A', '{ampm}'],
+  ['a', '{ampm:lower}']
+];
+
+// Tokens Easy Calendar has no equivalent for
+const SC_UNSUPPORTED_TOKENS = ['YY', 'YA', 'YZ', 'EE'];
+
+const SC_TOKENS = Object.fromEntries(SC_FORMAT_TOKENS);
+const EC_TOKENS = Object.fromEntries(SC_FORMAT_TOKENS.map(([sc, ec]) => [ec, sc]));
+
+// Any Simple Calendar token, longest first
+const SC_TOKEN_PATTERN = new RegExp([...SC_FORMAT_TOKENS.map(([token]) => token), ...SC_UNSUPPORTED_TOKENS]
+  .sort((a, b) => b.length - a.length).join('|'), 'g');
+
+/**
+ * Something in a file that could not be carried over
+ * @typedef {Object} UnmappedField
+ * @property {string} path - Where it is, e.g. "months[3].startingWeekday"
+ * @property {string} message - What was left out, and what was done instead
+ */
+
+/**
+ * List the calendars in a Simple Calendar export
+ * @param {Object} data - Simple Calendar export data
+ * @returns {{ index: number, id: string|null, name: string, notes: number, hasDate: boolean }[]} One entry per calendar
+ */
+export function getSimpleCalendars(data) {
+  if (!Array.isArray(data?.calendars)) return [];
+  return data.calendars.map((sc, index) => ({
+    index,
+    id: sc.id ?? null,
+    name: sc.name || `Calendar ${index + 1}`,
+    notes: getNotes(data, sc, index).length,
+    hasDate: !!sc.currentDate
+  }));
+}
+
+/**
+ * Convert a calendar of a Simple Calendar export, with its date and notes
+ * Everything that has no equivalent is listed in `unmapped` rather than dropped silently.
+ * @param {Object} data - Simple Calendar export data
+ * @param {number|string} [calendar=0] - Index or ID of the calendar in the file
+ * @returns {{ config: Object, state: Object|null, notes: Object[], unmapped: UnmappedField[] }}
+ *   The configuration, the saved date (or null), notes ready for CalendarNotes, and what was left out
+ */
+export function convertSimpleCalendar(data, calendar = 0) {
+  const calendars = Array.isArray(data?.calendars) ? data.calendars : [];
+  if (calendars.length === 0) {
+    throw new Error('Invalid Simple Calendar export: no calendars found');
+  }
+
+  const index = typeof calendar === 'number' ? calendar : calendars.findIndex(sc => sc.id === calendar);
+  const sc = calendars[index];
+  if (!sc) {
+    throw new Error(`The Simple Calendar export has no calendar ${calendar}.`);
+  }
+
+  const unmapped = [];
+  const skip = (path, message) => unmapped.push({ path, message });
+
+  const year = sc.year ?? {};
+  const time = {
+    hoursPerDay: sc.time?.hoursInDay || 24,
+    minutesPerHour: sc.time?.minutesInHour || 60,
+    secondsPerMinute: sc.time?.secondsInMinute || 60
+  };
+
+  const weekdays = (sc.weekdays || []).map((wd, i) => {
+    if (wd.description) skip(`weekdays[${i}].description`, `The description of ${wd.name} is not kept.`);
+    return {
+      id: wd.id || randomID(8),
+      name: wd.name,
+      abbreviation: wd.abbreviation || wd.name.substring(0, 3)
+    };
+  });
+
+  const leapMonths = [];
+  const months = (sc.months || []).map((m, i) => {
+    const id = m.id || randomID(8);
+    const days = m.numberOfDays ?? m.days ?? 30;
+    const leapDays = m.numberOfLeapYearDays ?? days;
+    if (leapDays !== days) leapMonths.push({ monthId: id, extraDays: leapDays - days });
+
+    if (m.description) skip(`months[${i}].description`, `The description of ${m.name} is not kept.`);
+    if (m.startingWeekday !== null && m.startingWeekday !== undefined) {
+      skip(`months[${i}].startingWeekday`, `${m.name} always starts on the same weekday in Simple Calendar; here the week carries on from the month before.`);
+    }
+    if (m.numericRepresentationOffset) {
+      skip(`months[${i}].numericRepresentationOffset`, `${m.name} is numbered by its position; its number offset is not kept.`);
+    }
+
+    return {
+      id,
+      name: m.name,
+      abbreviation: m.abbreviation || m.name.substring(0, 3),
+      days,
+      intercalary: !!m.intercalary,
+      // intercalaryInclude means the days still count towards the week
+      skipWeekdays: !!m.intercalary && !m.intercalaryInclude
+    };
+  });
+
+  // yearZero is the year Simple Calendar counts weekdays from; firstWeekday is the weekday it starts on
+  const startingYear = Number(year.yearZero) || 0;
+  const yearConfig = {
+    startingYear,
+    yearZeroExists: true,
+    yearPrefix: year.prefix || '',
+    yearSuffix: year.postfix || '',
+    eras: convertYearNames(year, skip),
+    reckonings: []
+  };
+
+  const rule = sc.leapYear?.rule ?? 'none';
+  const leapYear = {
+    ...DEFAULT_LEAP_YEAR_CONFIG,
+    enabled: rule === 'gregorian' || rule === 'custom',
+    // Simple Calendar's 'custom' rule is a leap year every customMod years
+    rule: rule === 'gregorian' ? 'gregorian' : 'simple',
+    interval: sc.leapYear?.customMod || 4,
+    months: leapMonths
+  };
+
+  const seasons = (sc.seasons || []).map((s, i) => {
+    if (s.description) skip(`seasons[${i}].description`, `The description of ${s.name} is not kept.`);
+    const icon = SEASON_ICONS.includes(s.icon) ? s.icon : 'spring';
+    if (s.icon && s.icon !== icon) skip(`seasons[${i}].icon`, `${s.name} has the icon "${s.icon}", which is not available; it shows ${icon}.`);
+    return {
+      id: s.id || randomID(8),
+      name: s.name,
+      startingMonth: s.startingMonth ?? 0,
+      startingDay: (s.startingDay ?? 0) + 1,
+      color: s.color || '#46b946',
+      icon,
+      sunriseTime: s.sunriseTime ?? 21600,
+      sunsetTime: s.sunsetTime ?? 64800
+    };
+  });
+
+  const moons = (sc.moons || []).map((m, i) => {
+    const reset = m.firstNewMoon?.yearReset;
+    if (reset && reset !== 'none') {
+      skip(`moons[${i}].firstNewMoon.yearReset`, `${m.name}'s cycle restarts ${reset === 'leap-year' ? 'every leap year' : `every ${m.firstNewMoon.yearX} years`} in Simple Calendar; here it runs on without restarting.`);
+    }
+    return {
+      id: m.id || randomID(8),
+      name: m.name,
+      cycleLength: m.cycleLength || 29.53059,
+      cycleOffset: m.cycleDayAdjust || 0,
+      color: m.color || '#ffffff',
+      phases: (m.phases || []).map(p => ({
+        name: p.name,
+        length: p.length,
+        icon: p.icon in MOON_PHASE_ICONS ? p.icon : 'new',
+        singleDay: p.singleDay || false
+      })),
+      referenceNewMoon: {
+        year: m.firstNewMoon?.year ?? 2000,
+        month: m.firstNewMoon?.month ?? 0,
+        day: (m.firstNewMoon?.day ?? 5) + 1
+      }
+    };
+  });
+
+  const config = {
+    id: sc.id || randomID(),
+    name: sc.name || 'Imported Calendar',
+    namePrefix: '',
+    nameSuffix: '',
+    weekdays,
+    firstWeekday: 0,
+    epochWeekday: Number(year.firstWeekday) || 0,
+    months,
+    yearConfig,
+    time,
+    leapYear,
+    seasons,
+    moons,
+    formats: convertFormats(sc.general?.dateFormat, skip)
+  };
+
+  if (sc.time?.gameTimeRatio && sc.time.gameTimeRatio !== 1) {
+    skip('time.gameTimeRatio', 'The clock speed is a module setting here (Clock Speed), not part of the calendar.');
+  }
+
+  // Saved date
+  let state = null;
+  if (sc.currentDate) {
+    state = {
+      year: sc.currentDate.year,
+      month: sc.currentDate.month ?? 0,
+      day: (sc.currentDate.day ?? 0) + 1,
+      ...fromSeconds(sc.currentDate.seconds || 0, time),
+      syncEnabled: false,
+      lastSyncedWorldTime: 0
+    };
+  }
+
+  // Notes
+  const categories = sc.noteCategories || [];
+  const unmatchedCategories = new Set();
+  const notes = getNotes(data, sc, index).map((note, i) => {
+    const converted = convertNote(note, config, categories, (path, message) => skip(`notes[${i}].${path}`, message));
+    if (converted.unmatchedCategory) unmatchedCategories.add(converted.unmatchedCategory);
+    delete converted.unmatchedCategory;
+    return converted;
+  });
+  for (const name of unmatchedCategories) {
+    skip('noteCategories', `Notes in the category "${name}" are filed under General; the categories here are fixed.`);
+  }
+
+  return { config, state, notes, unmapped };
+}
+
+/**
+ * Write a calendar, its date and its notes as a Simple Calendar export
+ * @param {Object} config - Calendar configuration
+ * @param {Object} [state] - Calendar state to write as the current date
+ * @param {Object[]} [notes=[]] - Notes (see DEFAULT_NOTE)
+ * @returns {{ data: Object, unmapped: UnmappedField[] }} The export data and what Simple Calendar cannot hold
+ */
+export function toSimpleCalendar(config, state = null, notes = []) {
+  const unmapped = [];
+  const skip = (path, message) => unmapped.push({ path, message });
+
+  const { yearConfig = {}, leapYear = {}, time } = config;
+  const extraDays = (month) => leapYear.months?.find(m => m.monthId === month.id)?.extraDays ?? 0;
+
+  let scLeapYear = { rule: 'none', customMod: 0 };
+  if (leapYear.enabled) {
+    if (leapYear.rule === 'gregorian') {
+      scLeapYear = { rule: 'gregorian', customMod: 0 };
+    } else if (leapYear.rule === 'simple' && !leapYear.offset) {
+      scLeapYear = { rule: 'custom', customMod: leapYear.interval || 4 };
+    } else {
+      skip('leapYear', 'Simple Calendar only has the Gregorian rule and a leap year every N years from year 0; leap years are left out.');
+    }
+  }
+
+  if (!yearConfig.yearZeroExists) {
+    skip('yearConfig.yearZeroExists', 'Simple Calendar counts a year 0, so years before 1 are one higher there.');
+  }
+  if (yearConfig.eras?.length) {
+    skip('yearConfig.eras', 'Eras are not exported; Simple Calendar shows every year by its number.');
+  }
+  if (yearConfig.reckonings?.length) {
+    skip('yearConfig.reckonings', 'Other reckonings are not exported.');
+  }
+
+  let monthNumber = 0;
+  let intercalaryNumber = 0;
+  const calendar = {
+    id: config.id,
+    name: config.name,
+    currentDate: state ? {
+      year: state.year,
+      month: state.month,
+      day: state.day - 1,
+      seconds: toSeconds(state.hour, state.minute, state.second, time)
+    } : undefined,
+    general: {
+      dateFormat: toSimpleCalendarFormats(config.formats, skip)
+    },
+    leapYear: scLeapYear,
+    months: config.months.map(month => ({
+      id: month.id,
+      name: month.name,
+      abbreviation: month.abbreviation || '',
+      description: '',
+      numericRepresentation: month.intercalary ? -(++intercalaryNumber) : ++monthNumber,
+      numericRepresentationOffset: 0,
+      numberOfDays: month.days,
+      numberOfLeapYearDays: month.days + extraDays(month),
+      intercalary: !!month.intercalary,
+      intercalaryInclude: !!month.intercalary && !month.skipWeekdays,
+      startingWeekday: null
+    })),
+    weekdays: config.weekdays.map((weekday, i) => ({
+      id: weekday.id,
+      name: weekday.name,
+      abbreviation: weekday.abbreviation || '',
+      description: '',
+      numericRepresentation: i + 1
+    })),
+    year: {
+      numericRepresentation: state?.year ?? yearConfig.startingYear,
+      prefix: yearConfig.yearPrefix || '',
+      postfix: yearConfig.yearSuffix || '',
+      showWeekdayHeadings: true,
+      firstWeekday: config.epochWeekday || 0,
+      yearZero: yearConfig.startingYear,
+      yearNames: [],
+      yearNamingRule: 'default',
+      yearNamesStart: 0
+    },
+    time: {
+      hoursInDay: time.hoursPerDay,
+      minutesInHour: time.minutesPerHour,
+      secondsInMinute: time.secondsPerMinute,
+      gameTimeRatio: 1,
+      unifyGameAndClockPause: false,
+      updateFrequency: 1
+    },
+    seasons: (config.seasons || []).map(season => ({
+      id: season.id,
+      name: season.name,
+      description: '',
+      startingMonth: season.startingMonth,
+      startingDay: season.startingDay - 1,
+      color: season.color,
+      icon: season.icon,
+      sunriseTime: season.sunriseTime,
+      sunsetTime: season.sunsetTime
+    })),
+    moons: (config.moons || []).map(moon => ({
+      id: moon.id,
+      name: moon.name,
+      description: '',
+      cycleLength: moon.cycleLength,
+      cycleDayAdjust: moon.cycleOffset || 0,
+      color: moon.color,
+      phases: moon.phases.map(phase => ({
+        name: phase.name,
+        length: phase.length,
+        icon: phase.icon,
+        singleDay: !!phase.singleDay
+      })),
+      firstNewMoon: {
+        yearReset: 'none',
+        yearX: 0,
+        year: moon.referenceNewMoon.year,
+        month: moon.referenceNewMoon.month,
+        day: moon.referenceNewMoon.day - 1
+      }
+    })),
+    noteCategories: NOTE_CATEGORIES.map(category => ({
+      id: category.id,
+      name: category.name,
+      color: category.color,
+      textColor: '#FFFFFF'
+    }))
+  };
+
+  const data = {
+    exportVersion: 2,
+    calendars: [calendar],
+    notes: {
+      [config.id]: notes.map((note, i) => toSimpleCalendarNote(note, config, (path, message) => skip(`notes[${i}].${path}`, message)))
+    }
+  };
+
+  return { data, unmapped };
+}
+
+/* -------------------------------------------- */
+/*  Helpers                                     */
+/* -------------------------------------------- */
+
+/**
+ * The notes of one calendar; exports keep them per calendar ID, older ones as a list
+ */
+function getNotes(data, sc, index) {
+  const notes = data.notes;
+  if (Array.isArray(notes)) {
+    return notes.filter(note => {
+      const calendarId = getNoteData(note).calendarId;
+      return calendarId ? calendarId === sc.id : index === 0;
+    });
+  }
+  return (sc.id && notes?.[sc.id]) || [];
+}
+
+function getNoteData(note) {
+  return note.flags?.[SC_MODULE_ID]?.noteData ?? note.noteData ?? {};
+}
+
+/**
+ * Year names named the years from yearNamesStart on, one after another, keeping the last for later years.
+ * Each becomes an era that keeps the year numbers.
+ */
+function convertYearNames(year, skip) {
+  const names = (year.yearNames || []).filter(Boolean);
+  if (names.length === 0) return [];
+
+  const rule = year.yearNamingRule || 'default';
+  if (rule !== 'default') {
+    skip('year.yearNames', `Year names that ${rule === 'repeat' ? 'repeat' : 'are picked at random'} are not supported; add eras by hand.`);
+    return [];
+  }
+
+  const start = Number(year.yearNamesStart) || 0;
+  return names.map((name, i) => ({
+    ...DEFAULT_ERA,
+    id: randomID(8),
+    name,
+    startYear: start + i,
+    startNumber: start + i,
+    prefix: year.prefix || '',
+    suffix: year.postfix || ''
+  }));
+}
+
+function convertNote(note, config, categories, skip) {
+  const noteData = getNoteData(note);
+  const title = note.name || noteData.title || 'Imported Note';
+  const start = noteData.startDate ?? {};
+  const end = noteData.endDate ?? start;
+  const content = Array.isArray(note.pages)
+    ? note.pages.map(page => page.text?.content).filter(Boolean).join('')
+    : note.content || '';
+
+  const date = { year: start.year ?? 0, month: start.month ?? 0, day: (start.day ?? 0) + 1 };
+  const sameDay = end.year === start.year && end.month === start.month && end.day === start.day;
+  if (!sameDay) skip('endDate', `"${title}" lasts several days; it is kept on its first day.`);
+
+  const allDay = noteData.allDay !== false;
+  const startTime = allDay ? 0 : toSeconds(start.hour, start.minute, start.seconds, config.time);
+  const endTime = allDay || !sameDay ? startTime : toSeconds(end.hour, end.minute, end.seconds, config.time);
+
+  let recurrence = { type: RECURRENCE_TYPES.NONE };
+  switch (Number(noteData.repeats) || SC_REPEATS.NEVER) {
+    case SC_REPEATS.WEEKLY:
+      recurrence = { type: RECURRENCE_TYPES.INTERVAL, interval: config.weekdays.length || 7 };
+      break;
+    case SC_REPEATS.MONTHLY:
+      recurrence = { type: RECURRENCE_TYPES.MONTHLY, interval: 1 };
+      break;
+    case SC_REPEATS.YEARLY:
+      recurrence = { type: RECURRENCE_TYPES.YEARLY, interval: 1 };
+      break;
+  }
+
+  if (noteData.remindUsers?.length) skip('remindUsers', `"${title}" reminded its players; set a reminder here instead.`);
+  if (noteData.macro && noteData.macro !== 'none') skip('macro', `"${title}" ran a macro; use a macro trigger here instead.`);
+
+  // Categories are stored by ID, by older versions by name; a note has one category here
+  let category = 'general';
+  let unmatchedCategory = null;
+  const [first] = noteData.categories || [];
+  if (first) {
+    const name = categories.find(c => c.id === first)?.name ?? first;
+    const match = NOTE_CATEGORIES.find(c => c.id === name.toLowerCase() || c.name.toLowerCase() === name.toLowerCase());
+    if (match) category = match.id;
+    else unmatchedCategory = name;
+  }
+
+  // Players see notes they are at least observers of
+  const ownership = note.ownership ?? note.permission ?? {};
+  const visibility = (ownership.default ?? 0) >= SC_OBSERVER ? NOTE_VISIBILITY.PUBLIC : NOTE_VISIBILITY.GM;
+
+  return { title, content, date, allDay, startTime, endTime, category, visibility, recurrence, unmatchedCategory };
+}
+
+function toSimpleCalendarNote(note, config, skip) {
+  let repeats = SC_REPEATS.NEVER;
+  const { type, interval } = note.recurrence ?? {};
+  if (type === RECURRENCE_TYPES.INTERVAL && interval === config.weekdays.length) repeats = SC_REPEATS.WEEKLY;
+  else if (type === RECURRENCE_TYPES.MONTHLY && interval === 1) repeats = SC_REPEATS.MONTHLY;
+  else if (type === RECURRENCE_TYPES.YEARLY && interval === 1) repeats = SC_REPEATS.YEARLY;
+  else if (type && type !== RECURRENCE_TYPES.NONE) skip('recurrence', `"${note.title}" repeats in a way Simple Calendar cannot; it is exported once.`);
+  if (note.recurrence?.until && repeats !== SC_REPEATS.NEVER) skip('recurrence.until', `"${note.title}" repeats without an end date in Simple Calendar.`);
+
+  const date = (seconds) => ({
+    year: note.date.year,
+    month: note.date.month,
+    day: note.date.day - 1,
+    ...fromSeconds(seconds, config.time, 'seconds')
+  });
+
+  const ownership = { default: note.visibility === NOTE_VISIBILITY.PUBLIC ? SC_OBSERVER : 0 };
+  if (note.author) ownership[note.author] = 3;
+
+  return {
+    name: note.title,
+    pages: [{ name: note.title, type: 'text', text: { content: note.content || '' } }],
+    ownership,
+    flags: {
+      [SC_MODULE_ID]: {
+        noteData: {
+          calendarId: config.id,
+          startDate: date(note.allDay ? 0 : note.startTime),
+          endDate: date(note.allDay ? 0 : note.endTime),
+          allDay: note.allDay !== false,
+          repeats,
+          order: 0,
+          categories: [note.category || 'general'],
+          remindUsers: [],
+          macro: 'none'
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Turn Simple Calendar's date and time formats into format strings; formats with tokens that have
+ * no equivalent keep the default
+ */
+function convertFormats(dateFormat, skip) {
+  const formats = {};
+  for (const [key, scKey] of [['date', 'date'], ['time', 'time']]) {
+    const format = dateFormat?.[scKey];
+    if (!format) continue;
+
+    const tokens = format.match(SC_TOKEN_PATTERN) ?? [];
+    if (tokens.some(token => SC_UNSUPPORTED_TOKENS.includes(token)) || /[[\]{}]/.test(format)) {
+      skip(`general.dateFormat.${scKey}`, `The format "${format}" cannot be converted; the default ${key} format is used.`);
+      continue;
+    }
+    formats[key] = format.replace(SC_TOKEN_PATTERN, (token) => SC_TOKENS[token]);
+  }
+  return formats;
+}
+
+function toSimpleCalendarFormats(formats = {}, skip) {
+  const dateFormat = {};
+  for (const key of ['date', 'time']) {
+    const format = formats[key];
+    if (!format) continue;
+
+    // Optional sections are always shown in Simple Calendar, and any letters outside tokens are read as tokens
+    const text = format.replace(/[[\]]/g, '');
+    const literal = text.replace(/\{\w+(?::\w+)?\}/g, '');
+    const tokens = text.match(/\{\w+(?::\w+)?\}/g) ?? [];
+    if (/[A-Za-z]/.test(literal) || tokens.some(token => !(token in EC_TOKENS))) {
+      skip(`formats.${key}`, `The format "${format}" cannot be written for Simple Calendar; its default is used.`);
+      continue;
+    }
+    dateFormat[key] = text.replace(/\{\w+(?::\w+)?\}/g, (token) => EC_TOKENS[token]);
+  }
+  if (formats.long) {
+    skip('formats.long', 'Simple Calendar has no long date format.');
+  }
+  return dateFormat;
+}
+
+function toSeconds(hour = 0, minute = 0, second = 0, time) {
+  return ((Number(hour) || 0) * time.minutesPerHour + (Number(minute) || 0)) * time.secondsPerMinute + (Number(second) || 0);
+}
+
+function fromSeconds(total, time, secondKey = 'second') {
+  const secondsPerHour = time.minutesPerHour * time.secondsPerMinute;
+  return {
+    hour: Math.floor(total / secondsPerHour),
+    minute: Math.floor((total % secondsPerHour) / time.secondsPerMinute),
+    [secondKey]: total % time.secondsPerMinute
+  };
+}
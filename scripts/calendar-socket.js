@@ -0,0 +1,247 @@
+// Easy Calendar - Socket Relay
+
+import { MODULE_ID, PERMISSIONS } from './constants.js';
+import { CalendarData } from './calendar-data.js';
+import { CalendarNotes } from './calendar-notes.js';
+import { CalendarPermissions } from './calendar-permissions.js';
+import { CalendarClock } from './calendar-clock.js';
+import { CalendarWeather } from './calendar-weather.js';
+import { CalendarReminders } from './calendar-reminders.js';
+import { CalendarLibrary } from './calendar-library.js';
+
+const CHANNEL = `module.${MODULE_ID}`;
+
+// How long to wait for the GM to answer before giving up
+const REQUEST_TIMEOUT = 10000;
+
+// Actions that write world data, the permission each needs, and how to apply them for a user
+const ACTIONS = {
+  advance: {
+    permission: PERMISSIONS.ADVANCE_TIME,
+    run: ({ amount, unit }) => CalendarData.advance(amount, unit)
+  },
+  setDate: {
+    permission: PERMISSIONS.SET_DATE,
+    run: ({ date }) => CalendarData.setDate(date)
+  },
+  setTime: {
+    permission: PERMISSIONS.SET_DATE,
+    run: ({ time }) => CalendarData.setTime(time)
+  },
+  setSync: {
+    permission: PERMISSIONS.TOGGLE_SYNC,
+    run: ({ enabled }) => CalendarData.setSyncEnabled(enabled)
+  },
+  setConfig: {
+    permission: PERMISSIONS.EDIT_CONFIG,
+    run: async ({ config, state }) => {
+      await CalendarData.setConfig(config);
+      if (state) {
+        await CalendarData.setState({ ...CalendarData.getState(), ...state }, { updateWorldTime: false });
+      }
+      return config;
+    }
+  },
+  loadPreset: {
+    permission: PERMISSIONS.EDIT_CONFIG,
+    run: ({ presetId }) => CalendarData.loadPreset(presetId)
+  },
+  importConfig: {
+    permission: PERMISSIONS.EDIT_CONFIG,
+    run: ({ data, importState, calendar }) => CalendarData.autoImport(data, importState, calendar)
+  },
+  createNote: {
+    permission: PERMISSIONS.CREATE_NOTES,
+    run: ({ data }, user) => CalendarNotes.createNote(data, user)
+  },
+  importNotes: {
+    permission: PERMISSIONS.CREATE_NOTES,
+    run: ({ notes }, user) => CalendarNotes.importNotes(notes, user)
+  },
+  // Editing and deleting is checked per note by CalendarNotes
+  updateNote: {
+    permission: null,
+    run: ({ noteId, changes }, user) => CalendarNotes.updateNote(noteId, changes, user)
+  },
+  deleteNote: {
+    permission: null,
+    run: ({ noteId }, user) => CalendarNotes.deleteNote(noteId, user)
+  },
+  startClock: {
+    permission: PERMISSIONS.CONTROL_CLOCK,
+    run: (data, user) => CalendarClock.start(user)
+  },
+  stopClock: {
+    permission: PERMISSIONS.CONTROL_CLOCK,
+    run: (data, user) => CalendarClock.stop(user)
+  },
+  generateWeather: {
+    permission: PERMISSIONS.EDIT_WEATHER,
+    run: ({ date }, user) => CalendarWeather.generate(date ?? CalendarData.getState(), user)
+  },
+  setWeather: {
+    permission: PERMISSIONS.EDIT_WEATHER,
+    run: ({ date, changes }, user) => CalendarWeather.setWeather(date, changes, user)
+  },
+  // Macro reminders are also checked by CalendarReminders
+  addReminder: {
+    permission: PERMISSIONS.MANAGE_REMINDERS,
+    run: ({ data }, user) => CalendarReminders.addReminder(data, user)
+  },
+  updateReminder: {
+    permission: PERMISSIONS.MANAGE_REMINDERS,
+    run: ({ reminderId, changes }, user) => CalendarReminders.updateReminder(reminderId, changes, user)
+  },
+  removeReminder: {
+    permission: PERMISSIONS.MANAGE_REMINDERS,
+    run: ({ reminderId }, user) => CalendarReminders.removeReminder(reminderId, user)
+  },
+  addCalendar: {
+    permission: PERMISSIONS.MANAGE_LIBRARY,
+    run: ({ calendar }, user) => CalendarLibrary.addCalendar(calendar, user)
+  },
+  removeCalendar: {
+    permission: PERMISSIONS.MANAGE_LIBRARY,
+    run: ({ calendarId }, user) => CalendarLibrary.removeCalendar(calendarId, user)
+  },
+  activateCalendar: {
+    permission: PERMISSIONS.MANAGE_LIBRARY,
+    run: ({ calendarId }, user) => CalendarLibrary.activateCalendar(calendarId, user)
+  },
+  alignCalendar: {
+    permission: PERMISSIONS.MANAGE_LIBRARY,
+    run: ({ calendarId, date, otherId, otherDate }, user) => CalendarLibrary.alignCalendar(calendarId, date, otherId, otherDate, user)
+  },
+  setSceneCalendar: {
+    permission: PERMISSIONS.MANAGE_LIBRARY,
+    run: async ({ sceneId, calendarId }, user) => {
+      const scene = game.scenes.get(sceneId);
+      if (!scene) {
+        throw new Error(`Unknown scene: ${sceneId}`);
+      }
+      await CalendarLibrary.setSceneCalendar(scene, calendarId, user);
+    }
+  }
+};
+
+/**
+ * CalendarSocket relays calendar changes from players to the active GM
+ * The calendar state, configuration, notes, library, reminders and weather are world settings and world time
+ * can only be changed by a GM, so player changes are sent to the active GM, checked, applied there and answered.
+ */
+export class CalendarSocket {
+
+  /** @type {Map<string, { resolve: Function, reject: Function, timeout: number }>} */
+  static _pending = new Map();
+
+  /**
+   * Start listening on the module's socket channel
+   */
+  static initialize() {
+    game.socket.on(CHANNEL, (message, senderId) => {
+      if (message.type === 'request') this._onRequest(message, senderId);
+      else if (message.type === 'response') this._onResponse(message);
+    });
+  }
+
+  /**
+   * Perform a calendar action, relaying it to the active GM if the current user cannot write world data
+   * @param {string} action - One of the keys of ACTIONS (e.g. 'advance', 'setDate', 'createNote')
+   * @param {Object} data - Action arguments
+   * @returns {Promise<*>} The action's result (the new state, config or note)
+   */
+  static async execute(action, data) {
+    this._checkPermission(action, game.user);
+
+    if (game.user.isGM) {
+      return ACTIONS[action].run(data, game.user);
+    }
+    return this._request(action, data);
+  }
+
+  /**
+   * Check whether a user may perform a calendar action
+   * @param {string} action - The action
+   * @param {User} [user] - The user (defaults to the current user)
+   * @returns {boolean}
+   */
+  static canPerform(action, user = game.user) {
+    const permission = ACTIONS[action]?.permission;
+    if (permission === undefined) return false;
+    return permission === null || CalendarPermissions.can(permission, user);
+  }
+
+  /**
+   * Throw if a user may not perform an action
+   * @private
+   */
+  static _checkPermission(action, user) {
+    if (!ACTIONS[action]) {
+      throw new Error(`Unknown calendar action: ${action}`);
+    }
+    if (!this.canPerform(action, user)) {
+      throw new Error('You do not have permission to do that.');
+    }
+  }
+
+  /**
+   * Send a request to the active GM and wait for the answer
+   * @private
+   */
+  static _request(action, data) {
+    if (!game.users.activeGM) {
+      return Promise.reject(new Error('No GM is connected to apply the calendar change.'));
+    }
+
+    const requestId = foundry.utils.randomID();
+    return new Promise((resolve, reject) => {
+      const timeout = setTimeout(() => {
+        this._pending.delete(requestId);
+        reject(new Error('The GM did not respond to the calendar change.'));
+      }, REQUEST_TIMEOUT);
+
+      this._pending.set(requestId, { resolve, reject, timeout });
+      game.socket.emit(CHANNEL, { type: 'request', requestId, action, data });
+    });
+  }
+
+  /**
+   * Apply a player's request (active GM only) and send back the result
+   * @private
+   */
+  static async _onRequest({ requestId, action, data }, senderId) {
+    if (game.user !== game.users.activeGM) return;
+
+    const user = game.users.get(senderId);
+    const response = { type: 'response', requestId, userId: senderId };
+
+    try {
+      if (!user) {
+        throw new Error(`Unknown user: ${senderId}`);
+      }
+      this._checkPermission(action, user);
+      response.result = await ACTIONS[action].run(data ?? {}, user);
+    } catch (err) {
+      response.error = err.message;
+    }
+
+    game.socket.emit(CHANNEL, response);
+  }
+
+  /**
+   * Resolve a pending request with the GM's answer
+   * @private
+   */
+  static _onResponse({ requestId, userId, result, error }) {
+    if (userId !== game.user.id) return;
+
+    const pending = this._pending.get(requestId);
+    if (!pending) return;
+
+    clearTimeout(pending.timeout);
+    this._pending.delete(requestId);
+
+    if (error) pending.reject(new Error(error));
+    else pending.resolve(result);
+  }
+}
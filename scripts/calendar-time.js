@@ -1,5 +1,7 @@
 // Easy Calendar - Time Conversion Utilities
 
+import { DEFAULT_FORMATS, DEFAULT_TIME_CONFIG } from './constants.js';
+
 /**
  * Check if a year is a leap year based on the calendar configuration
  * @param {number} year - The year to check
@@ -7,6 +9,16 @@
  * @returns {boolean} True if it's a leap year
  */
 export function isLeapYear(year, config) {
+  return isLeapAstronomicalYear(toAstronomicalYear(year, config), config);
+}
+
+/**
+ * Check if an astronomical year (see toAstronomicalYear) is a leap year
+ * Leap cycles count from astronomical year 0, so on a calendar without a year zero
+ * the Gregorian rule makes 1 BC (-1) a leap year, like the proleptic Gregorian calendar.
+ * @private
+ */
+function isLeapAstronomicalYear(year, config) {
   if (!config.leapYear?.enabled) return false;
 
   if (config.leapYear.rule === 'gregorian') {
@@ -17,10 +29,30 @@ export function isLeapYear(year, config) {
     return false;
   }
 
+  // The cycle of the remaining rules can be shifted so it doesn't start at year 0
+  const cycleYear = year - (config.leapYear.offset || 0);
+
   if (config.leapYear.rule === 'simple') {
     // Simple interval-based leap year
     const interval = config.leapYear.interval || 4;
-    return year % interval === 0;
+    return cycleYear % interval === 0;
+  }
+
+  if (config.leapYear.rule === 'custom') {
+    // Ordered clauses; the last clause whose divisor matches decides
+    let leap = false;
+    for (const clause of config.leapYear.clauses || []) {
+      const divisor = parseInt(clause.divisor);
+      if (divisor > 0 && cycleYear % divisor === 0) {
+        leap = clause.type !== 'exclude';
+      }
+    }
+    return leap;
+  }
+
+  if (config.leapYear.rule === 'list') {
+    // Explicit list of leap years, as written on the calendar
+    return (config.leapYear.years || []).includes(fromAstronomicalYear(year, config));
   }
 
   return false;
@@ -64,6 +96,342 @@ export function getDaysInYear(year, config) {
   return total;
 }
 
+/* -------------------------------------------- */
+/*  Year Numbering                              */
+/* -------------------------------------------- */
+
+/**
+ * Convert a calendar year to an astronomical year, which always has a year zero
+ * On calendars without a year zero (yearConfig.yearZeroExists false) the year before 1 is -1,
+ * which is astronomical year 0. All day counting is done with astronomical years.
+ * @param {number} year - The year as written on the calendar
+ * @param {Object} config - The calendar configuration
+ * @returns {number} Astronomical year
+ */
+export function toAstronomicalYear(year, config) {
+  return !config.yearConfig?.yearZeroExists && year < 0 ? year + 1 : year;
+}
+
+/**
+ * Convert an astronomical year back to a calendar year (see toAstronomicalYear)
+ * @param {number} year - Astronomical year
+ * @param {Object} config - The calendar configuration
+ * @returns {number} The year as written on the calendar
+ */
+export function fromAstronomicalYear(year, config) {
+  return !config.yearConfig?.yearZeroExists && year <= 0 ? year - 1 : year;
+}
+
+/**
+ * Add years to a year, skipping year zero if the calendar has none
+ * @param {number} year - The year
+ * @param {number} amount - Years to add (may be negative)
+ * @param {Object} config - The calendar configuration
+ * @returns {number} The resulting year
+ */
+export function addYears(year, amount, config) {
+  return fromAstronomicalYear(toAstronomicalYear(year, config) + amount, config);
+}
+
+/**
+ * Count the years from one year to another, not counting year zero if the calendar has none
+ * @param {number} from - Start year
+ * @param {number} to - End year
+ * @param {Object} config - The calendar configuration
+ * @returns {number} Years (negative if to is before from)
+ */
+export function yearsBetween(from, to, config) {
+  return toAstronomicalYear(to, config) - toAstronomicalYear(from, config);
+}
+
+/**
+ * Get a calendar's eras, earliest first (see DEFAULT_ERA)
+ * @param {Object} config - The calendar configuration
+ * @returns {Object[]} Eras
+ */
+export function getEras(config) {
+  const start = (era) => era.startYear ?? -Infinity;
+  return [...(config?.yearConfig?.eras || [])].sort((a, b) => start(a) - start(b));
+}
+
+/**
+ * Get the era a year falls in
+ * @param {number} year - The year
+ * @param {Object} config - The calendar configuration
+ * @returns {Object|null} The era, or null if the calendar has none or the year is before all of them
+ */
+export function getEra(year, config) {
+  return getEras(config).findLast(era => era.startYear === null || era.startYear === undefined || era.startYear <= year) ?? null;
+}
+
+/**
+ * Get how a year is written on the calendar
+ * In an era the year is numbered from the era's start (or counted down to its end) and takes the era's
+ * prefix and suffix; otherwise it is the calendar year with the calendar's prefix and suffix.
+ * @param {number} year - The year
+ * @param {Object} config - The calendar configuration
+ * @returns {Object} { era, number, text }
+ */
+export function getYearDisplay(year, config) {
+  const eras = getEras(config);
+  const era = getEra(year, config);
+  if (!era) {
+    const { yearPrefix = '', yearSuffix = '' } = config?.yearConfig ?? {};
+    return { era: null, number: year, text: `${yearPrefix}${year}${yearSuffix}` };
+  }
+
+  const startNumber = Number(era.startNumber ?? 1);
+  const hasStart = era.startYear !== null && era.startYear !== undefined;
+  const next = eras[eras.indexOf(era) + 1];
+  let number = year;
+  if (era.countDown && next) {
+    number = startNumber + yearsBetween(year, addYears(next.startYear, -1, config), config);
+  } else if (era.countDown && hasStart) {
+    number = startNumber - yearsBetween(era.startYear, year, config);
+  } else if (hasStart) {
+    number = startNumber + yearsBetween(era.startYear, year, config);
+  }
+
+  return { era, number, text: `${era.prefix ?? ''}${number}${era.suffix ?? ''}` };
+}
+
+/**
+ * Get a year in each of the calendar's other reckonings (see DEFAULT_RECKONING)
+ * @param {number} year - The year
+ * @param {Object} config - The calendar configuration
+ * @returns {Object[]} { id, name, abbreviation, year, text } for each reckoning
+ */
+export function getReckonings(year, config) {
+  return (config?.yearConfig?.reckonings || []).map(reckoning => {
+    const reckoningYear = addYears(year, Number(reckoning.offset) || 0, config);
+    return {
+      id: reckoning.id,
+      name: reckoning.name,
+      abbreviation: reckoning.abbreviation || '',
+      year: reckoningYear,
+      text: `${reckoning.prefix ?? ''}${reckoningYear}${reckoning.suffix ?? ''}`
+    };
+  });
+}
+
+/* -------------------------------------------- */
+/*  Year Structure Cache                        */
+/* -------------------------------------------- */
+
+// Custom leap rules longer than this are counted year by year instead of by cycle
+const MAX_CACHED_CYCLE = 100000;
+
+// Year structures by config object, with a fallback by content for fresh copies of the same config
+let structureByConfig = new WeakMap();
+const structureBySignature = new Map();
+
+/**
+ * Clear cached year structures
+ * Called when the calendar configuration changes; only needed if a config object is mutated in place.
+ */
+export function invalidateCache() {
+  structureByConfig = new WeakMap();
+  structureBySignature.clear();
+}
+
+/**
+ * Get the cached year structure for a configuration
+ * Every year is a common year plus, in leap years, a fixed number of extra days, so the number
+ * of days before any year only depends on how many leap years came before it.
+ * Years here are astronomical years (see toAstronomicalYear).
+ * @param {Object} config - The calendar configuration
+ * @returns {Object} Year structure
+ * @private
+ */
+function getYearStructure(config) {
+  let structure = structureByConfig.get(config);
+  if (structure) return structure;
+
+  const signature = JSON.stringify([
+    config.months.map(m => [m.id, m.days, monthSkipsWeekdays(m)]),
+    config.leapYear ?? null,
+    !!config.yearConfig?.yearZeroExists
+  ]);
+  structure = structureBySignature.get(signature);
+  if (!structure) {
+    structure = buildYearStructure(config);
+    structureBySignature.set(signature, structure);
+  }
+
+  structureByConfig.set(config, structure);
+  return structure;
+}
+
+function buildYearStructure(config) {
+  const leapYear = config.leapYear?.enabled ? config.leapYear : null;
+  const structure = {
+    commonDays: 0,
+    leapDays: 0,
+    commonWeekdayDays: 0,
+    leapWeekdayDays: 0,
+    leapsBefore: () => 0
+  };
+
+  for (const month of config.months) {
+    const extra = leapYear?.months?.find(m => m.monthId === month.id)?.extraDays || 0;
+    structure.commonDays += month.days;
+    structure.leapDays += extra;
+    if (!monthSkipsWeekdays(month)) {
+      structure.commonWeekdayDays += month.days;
+      structure.leapWeekdayDays += extra;
+    }
+  }
+
+  if (!leapYear || structure.leapDays === 0) return structure;
+
+  // Number of multiples of n in [0, k); negative for k < 0
+  const multiples = (k, n) => Math.ceil(k / n);
+  const offset = leapYear.offset || 0;
+
+  switch (leapYear.rule) {
+    case 'gregorian':
+      structure.leapsBefore = (year) => multiples(year, 4) - multiples(year, 100) + multiples(year, 400);
+      break;
+
+    case 'simple': {
+      const interval = leapYear.interval || 4;
+      structure.leapsBefore = (year) => multiples(year - offset, interval) - multiples(-offset, interval);
+      break;
+    }
+
+    case 'custom': {
+      const divisors = (leapYear.clauses || []).map(c => parseInt(c.divisor)).filter(d => d > 0);
+      const cycle = divisors.reduce((a, b) => lcm(a, b), 1);
+      if (cycle > MAX_CACHED_CYCLE) {
+        structure.leapsBefore = (year) => countLeapYears(0, year, config);
+        break;
+      }
+
+      // prefix[r] = leap years among the first r years of the cycle
+      const prefix = [0];
+      for (let r = 0; r < cycle; r++) {
+        prefix.push(prefix[r] + (isLeapAstronomicalYear(r + offset, config) ? 1 : 0));
+      }
+      const countFromCycleStart = (k) => {
+        const cycles = Math.floor(k / cycle);
+        return cycles * prefix[cycle] + prefix[k - cycles * cycle];
+      };
+      structure.leapsBefore = (year) => countFromCycleStart(year - offset) - countFromCycleStart(-offset);
+      break;
+    }
+
+    case 'list': {
+      const years = [...new Set(leapYear.years || [])].map(y => toAstronomicalYear(y, config));
+      const below = (year) => years.filter(y => y < year).length;
+      structure.leapsBefore = (year) => below(year) - below(0);
+      break;
+    }
+  }
+
+  return structure;
+}
+
+function gcd(a, b) {
+  while (b) [a, b] = [b, a % b];
+  return a;
+}
+
+function lcm(a, b) {
+  return (a / gcd(a, b)) * b;
+}
+
+/**
+ * Count leap years in [from, to) one year at a time (or the negative count if to < from)
+ * Years are astronomical years.
+ * @private
+ */
+function countLeapYears(from, to, config) {
+  const sign = to < from ? -1 : 1;
+  const [lo, hi] = to < from ? [to, from] : [from, to];
+  let count = 0;
+  for (let y = lo; y < hi; y++) {
+    if (isLeapAstronomicalYear(y, config)) count++;
+  }
+  return sign * count;
+}
+
+/**
+ * Get the number of days from the start of the starting year to the start of a year
+ * @param {number} year - The year
+ * @param {Object} config - The calendar configuration
+ * @returns {number} Days (negative for years before the starting year)
+ */
+export function getDaysBeforeYear(year, config) {
+  return daysBeforeAstronomicalYear(toAstronomicalYear(year, config), config);
+}
+
+/**
+ * Get the number of weekday-advancing days from the start of the starting year to the start of a year
+ * @param {number} year - The year
+ * @param {Object} config - The calendar configuration
+ * @returns {number} Days (negative for years before the starting year)
+ */
+export function getWeekdayDaysBeforeYear(year, config) {
+  const structure = getYearStructure(config);
+  const astronomicalYear = toAstronomicalYear(year, config);
+  const startingYear = toAstronomicalYear(config.yearConfig.startingYear, config);
+  return (astronomicalYear - startingYear) * structure.commonWeekdayDays
+    + (structure.leapsBefore(astronomicalYear) - structure.leapsBefore(startingYear)) * structure.leapWeekdayDays;
+}
+
+function daysBeforeAstronomicalYear(year, config) {
+  const structure = getYearStructure(config);
+  const startingYear = toAstronomicalYear(config.yearConfig.startingYear, config);
+  return (year - startingYear) * structure.commonDays
+    + (structure.leapsBefore(year) - structure.leapsBefore(startingYear)) * structure.leapDays;
+}
+
+/**
+ * Convert a date to a day number counted from the first day of the starting year
+ * @param {Object} date - Date { year, month, day }
+ * @param {Object} config - The calendar configuration
+ * @returns {number} Day index (0 for the first day of the starting year, negative before it)
+ */
+export function toDayIndex(date, config) {
+  let index = getDaysBeforeYear(date.year, config);
+  for (let m = 0; m < date.month; m++) {
+    index += getDaysInMonth(date.year, m, config);
+  }
+  return index + (date.day - 1);
+}
+
+/**
+ * Convert a day number counted from the first day of the starting year to a date
+ * Months without days in that year are skipped.
+ * @param {number} dayIndex - Day index (see toDayIndex)
+ * @param {Object} config - The calendar configuration
+ * @returns {Object} Date { year, month, day }
+ */
+export function fromDayIndex(dayIndex, config) {
+  const structure = getYearStructure(config);
+  const startingYear = toAstronomicalYear(config.yearConfig.startingYear, config);
+
+  // Estimate the (astronomical) year from the average year length over a long span, then correct it
+  const span = 10000;
+  const averageYear = structure.commonDays
+    + structure.leapDays * (structure.leapsBefore(startingYear + span) - structure.leapsBefore(startingYear)) / span;
+  if (averageYear <= 0) return { year: config.yearConfig.startingYear, month: 0, day: 1 };
+
+  let astronomicalYear = startingYear + Math.floor(dayIndex / averageYear);
+  while (daysBeforeAstronomicalYear(astronomicalYear, config) > dayIndex) astronomicalYear--;
+  while (daysBeforeAstronomicalYear(astronomicalYear + 1, config) <= dayIndex) astronomicalYear++;
+
+  const year = fromAstronomicalYear(astronomicalYear, config);
+  let remaining = dayIndex - daysBeforeAstronomicalYear(astronomicalYear, config);
+  let month = 0;
+  while (month < config.months.length - 1 && remaining >= getDaysInMonth(year, month, config)) {
+    remaining -= getDaysInMonth(year, month, config);
+    month++;
+  }
+
+  return { year, month, day: remaining + 1 };
+}
+
 /**
  * Get total seconds in a day based on time configuration
  * @param {Object} config - The calendar configuration
@@ -81,31 +449,11 @@ export function getSecondsPerDay(config) {
  * @returns {number} World time in seconds
  */
 export function toWorldTime(state, config) {
-  const { year, month, day, hour, minute, second } = state;
-  const startingYear = config.yearConfig.startingYear;
+  const { hour, minute, second } = state;
   const secondsPerDay = getSecondsPerDay(config);
   const { minutesPerHour, secondsPerMinute } = config.time;
 
-  let totalDays = 0;
-
-  // Count days for complete years
-  if (year >= startingYear) {
-    for (let y = startingYear; y < year; y++) {
-      totalDays += getDaysInYear(y, config);
-    }
-  } else {
-    for (let y = year; y < startingYear; y++) {
-      totalDays -= getDaysInYear(y, config);
-    }
-  }
-
-  // Count days for complete months in current year
-  for (let m = 0; m < month; m++) {
-    totalDays += getDaysInMonth(year, m, config);
-  }
-
-  // Add days (day is 1-indexed, so subtract 1)
-  totalDays += (day - 1);
+  const totalDays = toDayIndex(state, config);
 
   // Convert to seconds and add time
   let totalSeconds = totalDays * secondsPerDay;
@@ -123,23 +471,12 @@ export function toWorldTime(state, config) {
  * @returns {Object} Calendar state { year, month, day, hour, minute, second }
  */
 export function fromWorldTime(worldTime, config) {
-  const startingYear = config.yearConfig.startingYear;
   const secondsPerDay = getSecondsPerDay(config);
-  const { hoursPerDay, minutesPerHour, secondsPerMinute } = config.time;
-
-  // Handle negative world time (before epoch)
-  const isNegative = worldTime < 0;
-  let remainingSeconds = Math.abs(worldTime);
+  const { minutesPerHour, secondsPerMinute } = config.time;
 
-  // Extract time of day
-  let daySeconds = remainingSeconds % secondsPerDay;
-  let totalDays = Math.floor(remainingSeconds / secondsPerDay);
-
-  if (isNegative && daySeconds > 0) {
-    // Adjust for negative time
-    totalDays += 1;
-    daySeconds = secondsPerDay - daySeconds;
-  }
+  // Split into whole days relative to the epoch (negative before it) and time of day
+  const totalDays = Math.floor(worldTime / secondsPerDay);
+  let daySeconds = worldTime - totalDays * secondsPerDay;
 
   // Convert day seconds to hours, minutes, seconds
   const hour = Math.floor(daySeconds / (minutesPerHour * secondsPerMinute));
@@ -147,61 +484,42 @@ export function fromWorldTime(worldTime, config) {
   const minute = Math.floor(daySeconds / secondsPerMinute);
   const second = daySeconds % secondsPerMinute;
 
-  let year = startingYear;
-  let month = 0;
-  let day = 1;
-
-  if (isNegative) {
-    // Go backwards from starting year
-    while (totalDays > 0) {
-      year--;
-      const daysInYear = getDaysInYear(year, config);
-      if (totalDays >= daysInYear) {
-        totalDays -= daysInYear;
-      } else {
-        break;
-      }
-    }
+  const { year, month, day } = fromDayIndex(totalDays, config);
 
-    // Find month and day going backwards
-    month = config.months.length - 1;
-    while (totalDays > 0 && month >= 0) {
-      const daysInMonth = getDaysInMonth(year, month, config);
-      if (totalDays >= daysInMonth) {
-        totalDays -= daysInMonth;
-        month--;
-      } else {
-        break;
-      }
-    }
-
-    if (month < 0) month = 0;
-    day = getDaysInMonth(year, month, config) - totalDays;
-  } else {
-    // Go forward from starting year
-    while (totalDays >= getDaysInYear(year, config)) {
-      totalDays -= getDaysInYear(year, config);
-      year++;
-    }
+  return { year, month, day, hour, minute, second };
+}
 
-    // Find month
-    while (month < config.months.length && totalDays >= getDaysInMonth(year, month, config)) {
-      totalDays -= getDaysInMonth(year, month, config);
-      month++;
-    }
+/**
+ * Check whether the days of a month are left out of the weekday cycle
+ * Intercalary months (festivals, leap days outside the week) can opt out of weekday counting.
+ * @param {Object} month - Month configuration
+ * @returns {boolean} True if the month's days have no weekday
+ */
+export function monthSkipsWeekdays(month) {
+  return !!(month?.intercalary && month.skipWeekdays);
+}
 
-    if (month >= config.months.length) {
-      month = config.months.length - 1;
+/**
+ * Get the number of days in a year that advance the weekday
+ * @param {number} year - The year
+ * @param {Object} config - The calendar configuration
+ * @returns {number} Days that count towards the weekday cycle
+ */
+export function getWeekdayDaysInYear(year, config) {
+  let total = 0;
+  for (let i = 0; i < config.months.length; i++) {
+    if (!monthSkipsWeekdays(config.months[i])) {
+      total += getDaysInMonth(year, i, config);
     }
-
-    day = totalDays + 1; // Day is 1-indexed
   }
-
-  return { year, month, day, hour, minute, second };
+  return total;
 }
 
 /**
  * Calculate the weekday for a given date
+ * The first day of the starting year falls on config.epochWeekday (default 0).
+ * Days in intercalary months that skip weekdays do not advance the cycle; for those days
+ * the weekday of the next regular day is returned.
  * @param {number} year - The year
  * @param {number} month - The month (0-indexed)
  * @param {number} day - The day (1-indexed)
@@ -210,35 +528,24 @@ export function fromWorldTime(worldTime, config) {
  * @returns {number} Weekday index (0-based, relative to firstWeekday)
  */
 export function calculateWeekday(year, month, day, config, offset = 0) {
-  // Calculate total days from a known reference point
-  // We'll use the starting year, month 0, day 1 as weekday 0
-  const startingYear = config.yearConfig.startingYear;
-
-  let totalDays = 0;
+  // Count weekday-advancing days from the starting year, month 0, day 1 (it falls on epochWeekday)
+  let totalDays = getWeekdayDaysBeforeYear(year, config);
 
-  // Count days from starting year
-  if (year >= startingYear) {
-    for (let y = startingYear; y < year; y++) {
-      totalDays += getDaysInYear(y, config);
-    }
-    for (let m = 0; m < month; m++) {
+  // Add the position within the year
+  for (let m = 0; m < month; m++) {
+    if (!monthSkipsWeekdays(config.months[m])) {
       totalDays += getDaysInMonth(year, m, config);
     }
+  }
+  if (!monthSkipsWeekdays(config.months[month])) {
     totalDays += (day - 1);
-  } else {
-    for (let y = year; y < startingYear; y++) {
-      totalDays -= getDaysInYear(y, config);
-    }
-    for (let m = 0; m < month; m++) {
-      totalDays -= getDaysInMonth(year, m, config);
-    }
-    totalDays -= (day - 1);
   }
 
-  // Apply display offset and wrap to absolute weekday index
+  // Apply the epoch's weekday and display offset, then wrap to absolute weekday index
   // firstWeekday is NOT applied here — it only affects visual grid layout
   const weekdayCount = config.weekdays.length;
-  let weekday = (((totalDays + offset) % weekdayCount) + weekdayCount) % weekdayCount;
+  const epochWeekday = config.epochWeekday || 0;
+  let weekday = (((totalDays + epochWeekday + offset) % weekdayCount) + weekdayCount) % weekdayCount;
 
   return weekday;
 }
@@ -250,73 +557,41 @@ export function calculateWeekday(year, month, day, config, offset = 0) {
  * @returns {Object} Normalized calendar state
  */
 export function normalizeDate(state, config) {
-  let { year, month, day, hour, minute, second } = state;
   const { hoursPerDay, minutesPerHour, secondsPerMinute } = config.time;
 
-  // Normalize seconds
-  while (second >= secondsPerMinute) {
-    second -= secondsPerMinute;
-    minute++;
-  }
-  while (second < 0) {
-    second += secondsPerMinute;
-    minute--;
-  }
+  // Carry seconds into minutes, minutes into hours and hours into days
+  let carry;
+  let second = state.second || 0;
+  carry = Math.floor(second / secondsPerMinute);
+  second -= carry * secondsPerMinute;
 
-  // Normalize minutes
-  while (minute >= minutesPerHour) {
-    minute -= minutesPerHour;
-    hour++;
-  }
-  while (minute < 0) {
-    minute += minutesPerHour;
-    hour--;
-  }
+  let minute = (state.minute || 0) + carry;
+  carry = Math.floor(minute / minutesPerHour);
+  minute -= carry * minutesPerHour;
 
-  // Normalize hours
-  while (hour >= hoursPerDay) {
-    hour -= hoursPerDay;
-    day++;
-  }
-  while (hour < 0) {
-    hour += hoursPerDay;
-    day--;
-  }
+  let hour = (state.hour || 0) + carry;
+  carry = Math.floor(hour / hoursPerDay);
+  hour -= carry * hoursPerDay;
 
-  // Normalize days/months/years
-  while (month >= config.months.length) {
-    month -= config.months.length;
-    year++;
-  }
-  while (month < 0) {
-    month += config.months.length;
-    year--;
-  }
+  // Wrap months into years
+  const monthCount = config.months.length;
+  const yearCarry = Math.floor(state.month / monthCount);
+  const year = addYears(state.year, yearCarry, config);
+  const month = state.month - yearCarry * monthCount;
 
-  // Handle day overflow
-  let daysInMonth = getDaysInMonth(year, month, config);
-  while (day > daysInMonth) {
-    day -= daysInMonth;
-    month++;
-    if (month >= config.months.length) {
-      month = 0;
-      year++;
-    }
-    daysInMonth = getDaysInMonth(year, month, config);
-  }
+  // Let the day overflow or underflow into other months and years
+  const dayIndex = toDayIndex({ year, month, day: 1 }, config) + (state.day - 1) + carry;
 
-  // Handle day underflow
-  while (day < 1) {
-    month--;
-    if (month < 0) {
-      month = config.months.length - 1;
-      year--;
-    }
-    daysInMonth = getDaysInMonth(year, month, config);
-    day += daysInMonth;
-  }
+  return { ...fromDayIndex(dayIndex, config), hour, minute, second };
+}
 
-  return { year, month, day, hour, minute, second };
+/**
+ * Get a calendar's format strings, filling in the defaults
+ * @param {Object} config - The calendar configuration
+ * @returns {Object} Formats { date, long, time }
+ */
+export function getFormats(config) {
+  return { ...DEFAULT_FORMATS, ...config?.formats };
 }
 
 /**
@@ -324,25 +599,141 @@ export function normalizeDate(state, config) {
  * @param {number} hour - Hour
  * @param {number} minute - Minute
  * @param {number} second - Second
- * @returns {string} Formatted time string (HH:MM:SS)
+ * @param {Object} [config] - Calendar configuration, for its time format and day length
+ * @param {string} [format] - A format name ('time') or format string (defaults to the calendar's time format)
+ * @returns {string} Formatted time string (HH:MM:SS by default)
  */
-export function formatTime(hour, minute, second) {
-  const h = String(hour).padStart(2, '0');
-  const m = String(minute).padStart(2, '0');
-  const s = String(second).padStart(2, '0');
-  return `${h}:${m}:${s}`;
+export function formatTime(hour, minute, second, config, format) {
+  return formatDate({ year: 0, month: 0, day: 1, hour, minute, second }, config, format ?? 'time');
 }
 
 /**
- * Format a full date string
- * @param {Object} state - Calendar state
+ * Format a date with a format string
+ * Tokens are written in braces, optionally with a modifier: {day}, {day:pad}, {day:ordinal},
+ * {weekday}, {weekday:short}, {weekday:number}, {month}, {month:short}, {month:number}, {month:pad},
+ * {year} (numbered by era, with the era's or calendar's prefix and suffix), {year:number} (without them),
+ * {year:absolute} (the calendar year, ignoring eras), {era} (abbreviation), {era:long}, {season},
+ * {reckoning:<id or abbreviation>} (the year in another reckoning),
+ * {hour}, {hour:pad}, {hour12}, {hour12:pad}, {minute}, {minute:pad}, {second}, {second:pad},
+ * {ampm} and {ampm:lower}. Text in square brackets is left out when a token inside it is empty,
+ * e.g. "[{weekday}, ]" on a day outside the week. Unknown tokens are left as they are.
+ * @param {Object} state - Calendar state { year, month, day, hour?, minute?, second? }
  * @param {Object} config - Calendar configuration
+ * @param {string} [format] - A format name ('date', 'long', 'time') or format string (defaults to 'date')
+ * @param {Object} [options]
+ * @param {number} [options.weekdayOffset=0] - Display weekday offset
  * @returns {string} Formatted date string
  */
-export function formatDate(state, config) {
-  const month = config.months[state.month];
-  const { yearPrefix, yearSuffix } = config.yearConfig;
-  return `${month?.name || 'Unknown'} ${state.day}, ${yearPrefix}${state.year}${yearSuffix}`;
+export function formatDate(state, config, format = 'date', { weekdayOffset = 0 } = {}) {
+  const formats = getFormats(config);
+  const pattern = formats[format] ?? format;
+
+  const render = (text) => {
+    let empty = false;
+    const result = text.replace(/\{(\w+)(?::(\w+))?\}/g, (match, token, modifier) => {
+      const value = getFormatToken(token, modifier, state, config, weekdayOffset);
+      if (value === null) return match;
+      if (value === '') empty = true;
+      return value;
+    });
+    return { result, empty };
+  };
+
+  // Optional sections first, dropped if any of their tokens is empty
+  const withSections = String(pattern).replace(/\[([^\]]*)\]/g, (match, inner) => {
+    const { result, empty } = render(inner);
+    return empty ? '' : result;
+  });
+  return render(withSections).result;
+}
+
+/**
+ * Resolve one format token
+ * @returns {string|null} The value, or null for an unknown token
+ */
+function getFormatToken(token, modifier, state, config, weekdayOffset) {
+  const pad = (value) => String(value).padStart(2, '0');
+  const time = config?.time ?? DEFAULT_TIME_CONFIG;
+  const halfDay = Math.max(1, Math.floor(time.hoursPerDay / 2));
+  const hour = state.hour ?? 0;
+
+  switch (token) {
+    case 'day':
+      if (modifier === 'pad') return pad(state.day);
+      if (modifier === 'ordinal') return ordinal(state.day);
+      return String(state.day);
+
+    case 'weekday': {
+      const month = config?.months?.[state.month];
+      if (!config?.weekdays?.length || monthSkipsWeekdays(month)) return '';
+      const index = calculateWeekday(state.year, state.month, state.day, config, weekdayOffset);
+      const weekday = config.weekdays[index];
+      if (modifier === 'number') return String(index + 1);
+      if (modifier === 'short') return weekday?.abbreviation || weekday?.name || '';
+      return weekday?.name || '';
+    }
+
+    case 'month': {
+      const month = config?.months?.[state.month];
+      if (modifier === 'number') return String(state.month + 1);
+      if (modifier === 'pad') return pad(state.month + 1);
+      if (modifier === 'short') return month?.abbreviation || month?.name || '';
+      return month?.name || 'Unknown';
+    }
+
+    case 'year': {
+      if (modifier === 'absolute') return String(state.year);
+      const display = getYearDisplay(state.year, config);
+      return modifier === 'number' ? String(display.number) : display.text;
+    }
+
+    case 'era': {
+      const era = getEra(state.year, config);
+      if (era) return modifier === 'long' ? era.name || '' : era.abbreviation || era.name || '';
+      const { yearPrefix = '', yearSuffix = '' } = config?.yearConfig ?? {};
+      return (yearSuffix.trim() || yearPrefix.trim());
+    }
+
+    case 'reckoning': {
+      const reckoning = getReckonings(state.year, config)
+        .find(r => r.id === modifier || r.abbreviation.toLowerCase() === modifier?.toLowerCase());
+      return reckoning ? reckoning.text : null;
+    }
+
+    case 'season':
+      return config ? getCurrentSeason(state, config)?.name ?? '' : '';
+
+    case 'hour':
+      return modifier === 'pad' ? pad(hour) : String(hour);
+
+    case 'hour12': {
+      const hour12 = hour % halfDay || halfDay;
+      return modifier === 'pad' ? pad(hour12) : String(hour12);
+    }
+
+    case 'minute':
+      return modifier === 'pad' ? pad(state.minute ?? 0) : String(state.minute ?? 0);
+
+    case 'second':
+      return modifier === 'pad' ? pad(state.second ?? 0) : String(state.second ?? 0);
+
+    case 'ampm': {
+      const ampm = hour < halfDay ? 'AM' : 'PM';
+      return modifier === 'lower' ? ampm.toLowerCase() : ampm;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * English ordinal of a number (1st, 2nd, 3rd, 4th, 11th, 21st...)
+ */
+function ordinal(number) {
+  const tens = Math.abs(number) % 100;
+  if (tens >= 11 && tens <= 13) return `${number}th`;
+  const suffix = { 1: 'st', 2: 'nd', 3: 'rd' }[Math.abs(number) % 10] ?? 'th';
+  return `${number}${suffix}`;
 }
 
 /**
@@ -379,39 +770,99 @@ export function getCurrentSeason(state, config) {
 }
 
 /**
- * Calculate the total days from a reference point to a given date
- * @param {Object} state - Calendar state { year, month, day }
- * @param {Object} refDate - Reference date { year, month, day }
+ * Get sunrise and sunset for a date
+ * Each season's times apply on its first day; the days in between move gradually towards the
+ * next season's times. Without seasons the sun rises a quarter and sets three quarters into the day.
+ * @param {Object} date - Date { year, month, day }
  * @param {Object} config - Calendar configuration
- * @returns {number} Total days (can be negative)
+ * @returns {Object} { sunrise, sunset } in seconds since midnight
  */
-export function daysBetween(state, refDate, config) {
-  let totalDays = 0;
+export function getSunTimes(date, config) {
+  const secondsPerDay = getSecondsPerDay(config);
+  const seasons = config.seasons || [];
+  if (seasons.length === 0) {
+    return { sunrise: Math.round(secondsPerDay / 4), sunset: Math.round(secondsPerDay * 3 / 4) };
+  }
 
-  // Count years
-  if (state.year >= refDate.year) {
-    for (let y = refDate.year; y < state.year; y++) {
-      totalDays += getDaysInYear(y, config);
-    }
-  } else {
-    for (let y = state.year; y < refDate.year; y++) {
-      totalDays -= getDaysInYear(y, config);
+  // The latest season start on or before the date and the earliest one after it
+  const dayIndex = toDayIndex(date, config);
+  let previous = null;
+  let next = null;
+  for (const year of [addYears(date.year, -1, config), date.year, addYears(date.year, 1, config)]) {
+    for (const season of seasons) {
+      const index = getSeasonStartIndex(season, year, config);
+      if (index <= dayIndex && (!previous || index > previous.index)) previous = { season, index };
+      if (index > dayIndex && (!next || index < next.index)) next = { season, index };
     }
   }
 
-  // Add months and days for state
-  for (let m = 0; m < state.month; m++) {
-    totalDays += getDaysInMonth(state.year, m, config);
-  }
-  totalDays += state.day;
+  const progress = (dayIndex - previous.index) / (next.index - previous.index);
+  const interpolate = (from, to) => Math.round(from + (to - from) * progress);
+  const clamp = (seconds) => Math.min(Math.max(seconds, 0), secondsPerDay);
+
+  const sunrise = clamp(interpolate(previous.season.sunriseTime ?? 21600, next.season.sunriseTime ?? 21600));
+  const sunset = clamp(interpolate(previous.season.sunsetTime ?? 64800, next.season.sunsetTime ?? 64800));
+  return { sunrise, sunset: Math.max(sunset, sunrise) };
+}
+
+function getSeasonStartIndex(season, year, config) {
+  const month = Math.min(Math.max(season.startingMonth || 0, 0), config.months.length - 1);
+  const day = Math.min(Math.max(season.startingDay || 1, 1), Math.max(getDaysInMonth(year, month, config), 1));
+  return toDayIndex({ year, month, day }, config);
+}
+
+/**
+ * Get the part of the day for a date and time
+ * Dawn is the hour before sunrise and dusk the hour after sunset.
+ * @param {Object} state - Calendar state { year, month, day, hour, minute, second }
+ * @param {Object} config - Calendar configuration
+ * @returns {string} 'dawn', 'day', 'dusk' or 'night'
+ */
+export function getDayPeriod(state, config) {
+  const { sunrise, sunset } = getSunTimes(state, config);
+  const twilight = config.time.minutesPerHour * config.time.secondsPerMinute;
+  const seconds = getSecondsOfDay(state, config);
+
+  if (seconds >= sunrise && seconds < sunset) return 'day';
+  if (seconds >= sunrise - twilight && seconds < sunrise) return 'dawn';
+  if (seconds >= sunset && seconds < sunset + twilight) return 'dusk';
+  return 'night';
+}
 
-  // Subtract months and days for reference
-  for (let m = 0; m < refDate.month; m++) {
-    totalDays -= getDaysInMonth(refDate.year, m, config);
+/**
+ * Get how dark it is outside at a date and time
+ * Darkness fades out during dawn and back in during dusk.
+ * @param {Object} state - Calendar state { year, month, day, hour, minute, second }
+ * @param {Object} config - Calendar configuration
+ * @returns {number} Darkness from 0 (full daylight) to 1 (night)
+ */
+export function getDarkness(state, config) {
+  const { sunrise, sunset } = getSunTimes(state, config);
+  const twilight = config.time.minutesPerHour * config.time.secondsPerMinute;
+  const seconds = getSecondsOfDay(state, config);
+
+  switch (getDayPeriod(state, config)) {
+    case 'day': return 0;
+    case 'dawn': return (sunrise - seconds) / twilight;
+    case 'dusk': return (seconds - sunset) / twilight;
+    default: return 1;
   }
-  totalDays -= refDate.day;
+}
 
-  return totalDays;
+function getSecondsOfDay(state, config) {
+  const { minutesPerHour, secondsPerMinute } = config.time;
+  return ((state.hour || 0) * minutesPerHour + (state.minute || 0)) * secondsPerMinute + (state.second || 0);
+}
+
+/**
+ * Calculate the total days from a reference point to a given date
+ * @param {Object} state - Calendar state { year, month, day }
+ * @param {Object} refDate - Reference date { year, month, day }
+ * @param {Object} config - Calendar configuration
+ * @returns {number} Total days (can be negative)
+ */
+export function daysBetween(state, refDate, config) {
+  return toDayIndex(state, config) - toDayIndex(refDate, config);
 }
 
 /**
@@ -426,38 +877,48 @@ export function getMoonPhase(state, moon, config) {
     return null;
   }
 
-  // Calculate days since reference new moon
+  // Calculate days since reference new moon, shifted by the moon's cycle offset
   const refDate = moon.referenceNewMoon || { year: 2000, month: 0, day: 6 };
-  const daysSinceRef = daysBetween(state, refDate, config);
+  const daysSinceRef = daysBetween(state, refDate, config) + (Number(moon.cycleOffset) || 0);
 
   // Get position in cycle (0 to cycleLength)
   const cycleLength = moon.cycleLength || 29.53059;
   let dayInCycle = daysSinceRef % cycleLength;
   if (dayInCycle < 0) dayInCycle += cycleLength;
 
-  // Find current phase
+  // Stretch the configured phases to fill the cycle if their lengths do not add up to it
+  const totalLength = moon.phases.reduce((sum, phase) => sum + (Number(phase.length) || 0), 0);
+  const scale = totalLength > 0 ? cycleLength / totalLength : 0;
+
+  // Find current phase, and where the full moon falls
   let accumulatedDays = 0;
   let currentPhase = moon.phases[0];
   let phaseIndex = 0;
+  let fullMoonDay = null;
+  let found = false;
 
   for (let i = 0; i < moon.phases.length; i++) {
     const phase = moon.phases[i];
-    if (dayInCycle >= accumulatedDays && dayInCycle < accumulatedDays + phase.length) {
+    const length = (Number(phase.length) || 0) * scale;
+    if (!found && dayInCycle >= accumulatedDays && dayInCycle < accumulatedDays + length) {
       currentPhase = phase;
       phaseIndex = i;
-      break;
+      found = true;
     }
-    accumulatedDays += phase.length;
+    if (phase.icon === 'full' && fullMoonDay === null) {
+      fullMoonDay = accumulatedDays + length / 2;
+    }
+    accumulatedDays += length;
   }
 
   // Calculate percent illuminated (0 at new moon, 100 at full moon)
-  // Full moon is typically at half the cycle
-  const halfCycle = cycleLength / 2;
+  // Without a full moon phase, the full moon is at half the cycle
+  fullMoonDay ??= cycleLength / 2;
   let percentIlluminated;
-  if (dayInCycle <= halfCycle) {
-    percentIlluminated = (dayInCycle / halfCycle) * 100;
+  if (dayInCycle <= fullMoonDay) {
+    percentIlluminated = fullMoonDay > 0 ? (dayInCycle / fullMoonDay) * 100 : 100;
   } else {
-    percentIlluminated = ((cycleLength - dayInCycle) / halfCycle) * 100;
+    percentIlluminated = ((cycleLength - dayInCycle) / (cycleLength - fullMoonDay)) * 100;
   }
 
   return {
@@ -498,6 +959,55 @@ export function getAllMoonPhases(state, config) {
   });
 }
 
+/**
+ * Forecast the moons over a range of dates
+ * A phase change is the first day of a phase; full and new moons are the first days of phases with
+ * the 'full' and 'new' icons. A conjunction is a day on which two or more moons show the same phase icon.
+ * @param {Object} start - Range start { year, month, day } (inclusive)
+ * @param {Object} end - Range end { year, month, day } (inclusive)
+ * @param {Object} config - Calendar configuration
+ * @returns {Object} { phaseChanges, fullMoons, newMoons, conjunctions }, each in chronological order.
+ *   Phase changes, full and new moons are { date, moonId, moonName, moonColor, phaseIndex, phaseName, icon };
+ *   conjunctions are { date, icon, moons: [{ moonId, moonName, moonColor, phaseName }] }
+ */
+export function getMoonForecast(start, end, config) {
+  const forecast = { phaseChanges: [], fullMoons: [], newMoons: [], conjunctions: [] };
+  const moons = (config.moons || []).filter(moon => moon.phases?.length);
+  if (moons.length === 0) return forecast;
+
+  const dayCount = daysBetween(end, start, config);
+  let previous = moons.map(moon => getMoonPhase(addDays(start, -1, config), moon, config));
+
+  for (let offset = 0; offset <= dayCount; offset++) {
+    const date = addDays(start, offset, config);
+    const current = moons.map(moon => getMoonPhase(date, moon, config));
+    const byIcon = new Map();
+
+    moons.forEach((moon, index) => {
+      const phase = current[index];
+      const moonInfo = { moonId: moon.id, moonName: moon.name, moonColor: moon.color };
+
+      if (phase.phaseIndex !== previous[index].phaseIndex) {
+        const change = { date, ...moonInfo, phaseIndex: phase.phaseIndex, phaseName: phase.phaseName, icon: phase.icon };
+        forecast.phaseChanges.push(change);
+        if (phase.icon === 'full') forecast.fullMoons.push(change);
+        if (phase.icon === 'new') forecast.newMoons.push(change);
+      }
+
+      if (!byIcon.has(phase.icon)) byIcon.set(phase.icon, []);
+      byIcon.get(phase.icon).push({ ...moonInfo, phaseName: phase.phaseName });
+    });
+
+    for (const [icon, sharing] of byIcon) {
+      if (sharing.length > 1) forecast.conjunctions.push({ date, icon, moons: sharing });
+    }
+
+    previous = current;
+  }
+
+  return forecast;
+}
+
 /**
  * Format seconds since midnight to time string
  * @param {number} seconds - Seconds since midnight
@@ -513,3 +1023,50 @@ export function formatSecondsToTime(seconds, config) {
 
   return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
 }
+
+/**
+ * Parse a time string (HH:MM or HH:MM:SS) to seconds since midnight
+ * @param {string} value - Time string
+ * @param {Object} config - Calendar configuration
+ * @returns {number} Seconds since midnight, clamped to the length of a day
+ */
+export function parseTimeString(value, config) {
+  const { minutesPerHour, secondsPerMinute } = config.time;
+  const [hours = 0, minutes = 0, seconds = 0] = String(value ?? '')
+    .split(':')
+    .map(part => parseInt(part) || 0);
+
+  const total = (hours * minutesPerHour + minutes) * secondsPerMinute + seconds;
+  return Math.min(Math.max(total, 0), getSecondsPerDay(config) - 1);
+}
+
+/**
+ * Compare two dates chronologically
+ * @param {Object} a - Date { year, month, day }
+ * @param {Object} b - Date { year, month, day }
+ * @returns {number} Negative if a is before b, positive if after, 0 if the same day
+ */
+export function compareDates(a, b) {
+  if (a.year !== b.year) return a.year - b.year;
+  if (a.month !== b.month) return a.month - b.month;
+  return a.day - b.day;
+}
+
+/**
+ * Add a number of days to a date
+ * @param {Object} date - Date { year, month, day }
+ * @param {number} days - Days to add (can be negative)
+ * @param {Object} config - Calendar configuration
+ * @returns {Object} The resulting date { year, month, day }
+ */
+export function addDays(date, days, config) {
+  const { year, month, day } = normalizeDate({
+    year: date.year,
+    month: date.month,
+    day: date.day + days,
+    hour: 0,
+    minute: 0,
+    second: 0
+  }, config);
+  return { year, month, day };
+}
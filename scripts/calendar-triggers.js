@@ -0,0 +1,221 @@
+// Easy Calendar - Macro Triggers
+
+import { MODULE_ID, SETTINGS, TRIGGER_EVENTS, DEFAULT_TRIGGER } from './constants.js';
+import { CalendarData } from './calendar-data.js';
+import * as CalendarTime from './calendar-time.js';
+
+// How far back a jump is searched for full moons
+const MAX_MOON_SCAN_DAYS = 366;
+
+/**
+ * CalendarTriggers runs macros on calendar events
+ * After every change of the calendar state the active GM compares the old and new dates and runs the macro
+ * of each enabled trigger whose event happened in between. Triggers only fire when the date moves forward;
+ * a jump fires each matching trigger once.
+ */
+export class CalendarTriggers {
+
+  /** @type {Object|null} The last state seen, passed to macros as the old state */
+  static _lastState = null;
+
+  /** @type {string|null} The calendar of the last state; nothing fires when the active calendar changes */
+  static _lastCalendarId = null;
+
+  /**
+   * Remember the current state
+   */
+  static initialize() {
+    this._lastState = { ...CalendarData.getState() };
+    this._lastCalendarId = CalendarData.getConfig().id;
+  }
+
+  /**
+   * Get all triggers
+   * @returns {Object[]} Triggers
+   */
+  static getTriggers() {
+    return game.settings.get(MODULE_ID, SETTINGS.TRIGGERS) || [];
+  }
+
+  /**
+   * Replace all triggers (GM only)
+   * @param {Object[]} triggers - Triggers (see DEFAULT_TRIGGER)
+   * @returns {Promise<Object[]>} The saved triggers
+   */
+  static async setTriggers(triggers) {
+    if (!game.user.isGM) {
+      throw new Error('Only the GM can change macro triggers.');
+    }
+
+    const cleaned = triggers.map(trigger => this._cleanTrigger({
+      ...trigger,
+      id: trigger.id || foundry.utils.randomID()
+    }));
+    await game.settings.set(MODULE_ID, SETTINGS.TRIGGERS, cleaned);
+    return cleaned;
+  }
+
+  /**
+   * Add a trigger (GM only)
+   * @param {Object} data - Trigger data (see DEFAULT_TRIGGER)
+   * @returns {Promise<Object>} The created trigger
+   */
+  static async addTrigger(data) {
+    const trigger = this._cleanTrigger({
+      ...foundry.utils.deepClone(DEFAULT_TRIGGER),
+      ...data,
+      id: foundry.utils.randomID()
+    });
+    await this.setTriggers([...this.getTriggers(), trigger]);
+    return trigger;
+  }
+
+  /**
+   * Update a trigger (GM only)
+   * @param {string} triggerId - The trigger identifier
+   * @param {Object} changes - Fields to update
+   * @returns {Promise<Object>} The updated trigger
+   */
+  static async updateTrigger(triggerId, changes) {
+    const triggers = this.getTriggers();
+    const index = triggers.findIndex(t => t.id === triggerId);
+    if (index === -1) {
+      throw new Error(`Unknown trigger: ${triggerId}`);
+    }
+
+    triggers[index] = this._cleanTrigger({ ...triggers[index], ...changes, id: triggerId });
+    await this.setTriggers(triggers);
+    return triggers[index];
+  }
+
+  /**
+   * Remove a trigger (GM only)
+   * @param {string} triggerId - The trigger identifier
+   * @returns {Promise<boolean>} True if a trigger was removed
+   */
+  static async removeTrigger(triggerId) {
+    const triggers = this.getTriggers();
+    if (!triggers.some(t => t.id === triggerId)) return false;
+
+    await this.setTriggers(triggers.filter(t => t.id !== triggerId));
+    return true;
+  }
+
+  /**
+   * Run the triggers for a change of state (called on every client when the calendar state changes)
+   * @param {Object} state - The new calendar state
+   * @returns {Promise<Object[]>} The triggers that fired
+   */
+  static async onStateChanged(state) {
+    const oldState = this._lastState;
+    const newState = { ...state };
+    const calendarId = CalendarData.getConfig().id;
+    const sameCalendar = calendarId === this._lastCalendarId;
+    this._lastState = newState;
+    this._lastCalendarId = calendarId;
+
+    if (!oldState || !sameCalendar || game.user !== game.users.activeGM) return [];
+
+    const config = CalendarData.getConfig();
+    const fired = this.getFiredTriggers(oldState, newState, config);
+    for (const trigger of fired) {
+      try {
+        await this.run(trigger, { oldState, newState, config });
+      } catch (err) {
+        ui.notifications.error(`Macro trigger "${trigger.name}" failed: ${err.message}`);
+      }
+    }
+    return fired;
+  }
+
+  /**
+   * Get the enabled triggers whose event happened between two states
+   * @param {Object} oldState - Previous state
+   * @param {Object} newState - New state
+   * @param {Object} config - Calendar configuration
+   * @returns {Object[]} Matching triggers
+   */
+  static getFiredTriggers(oldState, newState, config) {
+    if (CalendarTime.compareDates(newState, oldState) <= 0) return [];
+
+    const triggers = this.getTriggers().filter(trigger => trigger.enabled && trigger.macro);
+    if (triggers.length === 0) return [];
+
+    // Only look for full moons if a trigger needs them
+    const fullMoons = triggers.some(trigger => trigger.event === TRIGGER_EVENTS.FULL_MOON)
+      ? this._getFullMoons(oldState, newState, config)
+      : [];
+
+    return triggers.filter(trigger => this._matches(trigger, oldState, newState, config, fullMoons));
+  }
+
+  /**
+   * Run a trigger's macro
+   * The macro's scope has `trigger`, `oldState`, `newState` and `config`.
+   * @param {Object} trigger - The trigger
+   * @param {Object} scope - { oldState, newState, config }
+   * @returns {Promise<*>} The macro's result
+   */
+  static async run(trigger, { oldState, newState, config }) {
+    const macro = await fromUuid(trigger.macro);
+    if (!macro) {
+      throw new Error(`Macro not found: ${trigger.macro}`);
+    }
+    return macro.execute({ trigger, oldState, newState, config });
+  }
+
+  /* -------------------------------------------- */
+  /*  Helpers                                     */
+  /* -------------------------------------------- */
+
+  static _matches(trigger, oldState, newState, config, fullMoons) {
+    switch (trigger.event) {
+      case TRIGGER_EVENTS.NEW_DAY:
+        return true;
+      case TRIGGER_EVENTS.NEW_MONTH:
+        return oldState.year !== newState.year || oldState.month !== newState.month;
+      case TRIGGER_EVENTS.NEW_YEAR:
+        return oldState.year !== newState.year;
+      case TRIGGER_EVENTS.DATE:
+        return !!trigger.date
+          && CalendarTime.compareDates(trigger.date, oldState) > 0
+          && CalendarTime.compareDates(trigger.date, newState) <= 0;
+      case TRIGGER_EVENTS.SEASON: {
+        const oldSeason = CalendarTime.getCurrentSeason(oldState, config);
+        const newSeason = CalendarTime.getCurrentSeason(newState, config);
+        if (!newSeason || newSeason.id === oldSeason?.id) return false;
+        return !trigger.seasonId || trigger.seasonId === newSeason.id;
+      }
+      case TRIGGER_EVENTS.FULL_MOON:
+        return fullMoons.some(fullMoon => !trigger.moonId || trigger.moonId === fullMoon.moonId);
+    }
+    return false;
+  }
+
+  static _getFullMoons(oldState, newState, config) {
+    const end = { year: newState.year, month: newState.month, day: newState.day };
+    const earliest = CalendarTime.addDays(end, -(MAX_MOON_SCAN_DAYS - 1), config);
+    const dayAfter = CalendarTime.addDays(oldState, 1, config);
+    const start = CalendarTime.compareDates(dayAfter, earliest) < 0 ? earliest : dayAfter;
+    return CalendarTime.getMoonForecast(start, end, config).fullMoons;
+  }
+
+  static _cleanTrigger(trigger) {
+    const event = Object.values(TRIGGER_EVENTS).includes(trigger.event) ? trigger.event : DEFAULT_TRIGGER.event;
+
+    return {
+      id: trigger.id,
+      name: String(trigger.name || DEFAULT_TRIGGER.name),
+      event,
+      macro: trigger.macro || null,
+      date: trigger.date ? {
+        year: Number(trigger.date.year) || 0,
+        month: Number(trigger.date.month) || 0,
+        day: Number(trigger.date.day) || 1
+      } : null,
+      seasonId: trigger.seasonId || null,
+      moonId: trigger.moonId || null,
+      enabled: trigger.enabled !== false
+    };
+  }
+}
@@ -0,0 +1,26 @@
+// Easy Calendar - Utilities
+// Plain JavaScript stand-ins for the foundry.utils helpers the calendar engine needs, so it runs without Foundry
+
+const ID_CHARACTERS = 'abcdefghijklmnopqrstuvwxyzABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789';
+
+/**
+ * Deep copy plain data (calendar configurations, states, notes)
+ * @param {*} data - JSON-like data
+ * @returns {*} A copy
+ */
+export function deepClone(data) {
+  return data === undefined ? undefined : structuredClone(data);
+}
+
+/**
+ * Generate a random alphanumeric identifier, like foundry.utils.randomID
+ * @param {number} [length=16] - Number of characters
+ * @returns {string} Identifier
+ */
+export function randomID(length = 16) {
+  let id = '';
+  for (let i = 0; i < length; i++) {
+    id += ID_CHARACTERS[Math.floor(Math.random() * ID_CHARACTERS.length)];
+  }
+  return id;
+}
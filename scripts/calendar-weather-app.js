@@ -0,0 +1,132 @@
+// Easy Calendar - Weather Configuration Application
+
+import { MODULE_ID, SEASON_ICONS, WEATHER_CLIMATES } from './constants.js';
+import { CalendarWeather } from './calendar-weather.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class CalendarWeatherApp extends HandlebarsApplicationMixin(ApplicationV2) {
+
+  /* -------------------------------------------- */
+  /*  Static Properties                           */
+  /* -------------------------------------------- */
+
+  static DEFAULT_OPTIONS = {
+    id: 'easy-calendar-weather',
+    classes: ['easy-calendar', 'easy-calendar-weather'],
+    position: {
+      width: 520,
+      height: 'auto'
+    },
+    window: {
+      frame: true,
+      positioned: true,
+      resizable: false,
+      minimizable: true
+    }
+  };
+
+  static PARTS = {
+    form: {
+      template: `modules/${MODULE_ID}/templates/calendar-weather.hbs`
+    }
+  };
+
+  static SEASON_LABELS = {
+    spring: 'Spring',
+    summer: 'Summer',
+    fall: 'Fall',
+    winter: 'Winter'
+  };
+
+  /* -------------------------------------------- */
+  /*  Getters                                     */
+  /* -------------------------------------------- */
+
+  get title() {
+    return 'Weather';
+  }
+
+  /* -------------------------------------------- */
+  /*  Context Preparation                         */
+  /* -------------------------------------------- */
+
+  async _prepareContext(options) {
+    const config = CalendarWeather.getConfig();
+
+    return {
+      config,
+      climates: {
+        ...Object.fromEntries(Object.entries(WEATHER_CLIMATES).map(([id, climate]) => [id, climate.name])),
+        custom: 'Custom'
+      },
+      units: {
+        metric: 'Metric (°C, km/h)',
+        imperial: 'Imperial (°F, mph)'
+      },
+      customSeasons: SEASON_ICONS.map(icon => ({
+        icon,
+        label: CalendarWeatherApp.SEASON_LABELS[icon],
+        ...config.custom[icon],
+        chance: Math.round((config.custom[icon]?.precipitation ?? 0) * 100)
+      }))
+    };
+  }
+
+  /* -------------------------------------------- */
+  /*  Rendering                                   */
+  /* -------------------------------------------- */
+
+  _onRender(context, options) {
+    this._activateListeners();
+  }
+
+  /* -------------------------------------------- */
+  /*  Event Listeners                             */
+  /* -------------------------------------------- */
+
+  _activateListeners() {
+    const el = this.element;
+
+    el.querySelector('[data-action="save"]')?.addEventListener('click', () => this._onSave());
+    el.querySelector('[data-action="cancel"]')?.addEventListener('click', () => this.close());
+
+    // The custom climate table only applies to the custom climate
+    el.querySelector('[name="climate"]')?.addEventListener('change', () => this._updateCustomFields());
+    this._updateCustomFields();
+  }
+
+  _updateCustomFields() {
+    const climate = this.element.querySelector('[name="climate"]')?.value;
+    this.element.querySelector('.weather-custom-climate')?.classList.toggle('hidden', climate !== 'custom');
+  }
+
+  async _onSave() {
+    const el = this.element;
+    const number = (row, name) => parseFloat(row.querySelector(`[name="${name}"]`)?.value) || 0;
+
+    const custom = {};
+    el.querySelectorAll('[data-season-icon]').forEach(row => {
+      const tempMin = number(row, 'temperature-min');
+      const windMin = Math.max(0, number(row, 'wind-min'));
+      custom[row.dataset.seasonIcon] = {
+        temperature: [tempMin, Math.max(tempMin, number(row, 'temperature-max'))],
+        precipitation: Math.min(Math.max(number(row, 'precipitation') / 100, 0), 1),
+        wind: [windMin, Math.max(windMin, number(row, 'wind-max'))]
+      };
+    });
+
+    const config = {
+      enabled: el.querySelector('[name="enabled"]')?.checked ?? false,
+      climate: el.querySelector('[name="climate"]')?.value || 'temperate',
+      units: el.querySelector('[name="units"]')?.value || 'metric',
+      visibleToPlayers: el.querySelector('[name="visibleToPlayers"]')?.checked ?? true,
+      postToChat: el.querySelector('[name="postToChat"]')?.checked ?? false,
+      custom
+    };
+
+    await CalendarWeather.setConfig(config);
+    ui.notifications.info('Weather settings saved.');
+    this.close();
+  }
+}
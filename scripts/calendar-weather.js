@@ -0,0 +1,326 @@
+// Easy Calendar - Weather
+
+import { MODULE_ID, SETTINGS, PERMISSIONS, WEATHER_CLIMATES, WEATHER_CONDITIONS, DEFAULT_WEATHER_CONFIG } from './constants.js';
+import { CalendarData } from './calendar-data.js';
+import { CalendarPermissions } from './calendar-permissions.js';
+import * as CalendarTime from './calendar-time.js';
+
+// Days of weather to fill in when time jumps ahead, so the weather keeps its continuity
+const MAX_FILL_DAYS = 31;
+
+// Days of past weather to keep
+const HISTORY_DAYS = 366;
+
+// Wind at or above this speed (km/h) turns heavy precipitation into a storm
+const STORM_WIND = 40;
+
+/**
+ * Roll a day's weather
+ * Temperature and wind move halfway from the previous day towards the day's roll, and
+ * precipitation is more likely to continue than to start.
+ * @param {Object} profile - Climate profile for the season { temperature: [min, max], precipitation, wind: [min, max] }
+ * @param {Object|null} [previous] - The previous day's weather
+ * @param {Function} [random] - Random number source returning [0, 1)
+ * @returns {Object} Weather { condition, temperature (°C), precipitation, wind (km/h) }
+ */
+export function generateWeather(profile, previous = null, random = Math.random) {
+  const roll = ([min, max]) => min + (max - min) * random();
+  const settle = (target, last) => Math.round(last === undefined ? target : last + (target - last) / 2);
+
+  const temperature = settle(roll(profile.temperature), previous?.temperature);
+  const wind = Math.max(0, settle(roll(profile.wind), previous?.wind));
+
+  const wasWet = !!previous && previous.precipitation !== 'none';
+  const chance = Math.min(1, profile.precipitation + (wasWet ? 0.2 : 0));
+
+  if (random() < chance) {
+    const intensity = random();
+    const precipitation = intensity < 0.5 ? 'light' : intensity < 0.85 ? 'moderate' : 'heavy';
+    const stormy = precipitation === 'heavy' && wind >= STORM_WIND;
+
+    let condition;
+    if (temperature <= 0) condition = stormy ? 'blizzard' : 'snow';
+    else if (stormy) condition = 'thunderstorm';
+    else condition = precipitation === 'heavy' ? 'heavy-rain' : 'rain';
+
+    return { condition, temperature, precipitation, wind };
+  }
+
+  const cover = random();
+  let condition = cover < 0.45 ? 'clear' : cover < 0.75 ? 'partly-cloudy' : 'cloudy';
+  if (wasWet && wind < 10 && cover >= 0.9) condition = 'fog';
+
+  return { condition, temperature, precipitation: 'none', wind };
+}
+
+/**
+ * CalendarWeather rolls, stores and reports the weather for each day
+ * Weather is stored per date in a world setting. The active GM rolls the weather for each new day
+ * as the calendar moves; the GM can reroll or override any day.
+ */
+export class CalendarWeather {
+
+  /**
+   * Get the weather configuration, with defaults for anything not saved yet
+   * @returns {Object} Weather configuration (see DEFAULT_WEATHER_CONFIG)
+   */
+  static getConfig() {
+    const stored = game.settings.get(MODULE_ID, SETTINGS.WEATHER_CONFIG) || {};
+    return foundry.utils.mergeObject(foundry.utils.deepClone(DEFAULT_WEATHER_CONFIG), stored, { inplace: false });
+  }
+
+  /**
+   * Save the weather configuration
+   * @param {Object} config - Weather configuration
+   * @returns {Promise<Object>} The saved configuration
+   */
+  static async setConfig(config) {
+    await game.settings.set(MODULE_ID, SETTINGS.WEATHER_CONFIG, config);
+    await this.update();
+    return config;
+  }
+
+  /**
+   * Whether weather is enabled
+   * @returns {boolean}
+   */
+  static isEnabled() {
+    return !!this.getConfig().enabled;
+  }
+
+  /**
+   * Whether the current user may see the weather
+   * @returns {boolean}
+   */
+  static canView() {
+    const config = this.getConfig();
+    return config.enabled && (config.visibleToPlayers || game.user.isGM || CalendarPermissions.can(PERMISSIONS.EDIT_WEATHER));
+  }
+
+  /**
+   * Get the climate profile for a date's season
+   * Seasons are matched by their icon (spring, summer, fall or winter).
+   * @param {Object} date - Date { year, month, day }
+   * @returns {Object} Profile { temperature, precipitation, wind }
+   */
+  static getProfile(date) {
+    const config = this.getConfig();
+    const seasons = config.climate === 'custom'
+      ? config.custom
+      : (WEATHER_CLIMATES[config.climate] ?? WEATHER_CLIMATES.temperate).seasons;
+
+    const season = CalendarTime.getCurrentSeason(date, CalendarData.getConfig());
+    return seasons[season?.icon] ?? seasons.spring;
+  }
+
+  /**
+   * Get the stored weather for a date
+   * @param {Object} [date] - Date { year, month, day } (defaults to the current date)
+   * @returns {Object|null} Weather, or null if none has been rolled
+   */
+  static getWeather(date = CalendarData.getState()) {
+    const weather = game.settings.get(MODULE_ID, SETTINGS.WEATHER) || {};
+    return weather[this._key(date)] ?? null;
+  }
+
+  /**
+   * Roll new weather for a date, following on from the previous day
+   * Writes the weather setting directly; other users go through CalendarSocket.execute('generateWeather').
+   * @param {Object} [date] - Date { year, month, day } (defaults to the current date)
+   * @param {User} [user] - The user rolling the weather (defaults to the current user)
+   * @returns {Promise<Object>} The new weather
+   */
+  static async generate(date = CalendarData.getState(), user = game.user) {
+    if (!CalendarPermissions.can(PERMISSIONS.EDIT_WEATHER, user)) {
+      throw new Error('You do not have permission to change the weather.');
+    }
+
+    const previous = this.getWeather(CalendarTime.addDays(date, -1, CalendarData.getConfig()));
+    const weather = { ...generateWeather(this.getProfile(date), previous), manual: false };
+
+    await this._save({ [this._key(date)]: weather });
+    Hooks.callAll('easyCalendarWeatherChanged', this._date(date), weather);
+    return weather;
+  }
+
+  /**
+   * Override the weather for a date
+   * @param {Object} date - Date { year, month, day }
+   * @param {Object} changes - Fields to set { condition, temperature (°C), precipitation, wind (km/h) }
+   * @param {User} [user] - The user setting the weather (defaults to the current user)
+   * @returns {Promise<Object>} The new weather
+   */
+  static async setWeather(date, changes, user = game.user) {
+    if (!CalendarPermissions.can(PERMISSIONS.EDIT_WEATHER, user)) {
+      throw new Error('You do not have permission to change the weather.');
+    }
+    if (changes.condition && !WEATHER_CONDITIONS[changes.condition]) {
+      throw new Error(`Unknown weather condition: ${changes.condition}`);
+    }
+
+    const weather = {
+      condition: 'clear',
+      temperature: 15,
+      precipitation: 'none',
+      wind: 0,
+      ...this.getWeather(date),
+      ...changes,
+      manual: true
+    };
+
+    await this._save({ [this._key(date)]: weather });
+    Hooks.callAll('easyCalendarWeatherChanged', this._date(date), weather);
+    return weather;
+  }
+
+  /**
+   * Roll weather for the current date if it has none (active GM only)
+   * Days skipped by a jump of up to a month are rolled too, so the weather changes gradually.
+   * @param {Object} [state] - Calendar state (defaults to the current state)
+   * @returns {Promise<Object|null>} The weather rolled for the current date, or null if none was needed
+   */
+  static async update(state = CalendarData.getState()) {
+    if (!this.isEnabled() || game.user !== game.users.activeGM) return null;
+    if (this.getWeather(state)) return null;
+
+    const calendarConfig = CalendarData.getConfig();
+
+    // Start from the most recent day that has weather, within reach
+    let previous = null;
+    let gap = 1;
+    for (; gap <= MAX_FILL_DAYS; gap++) {
+      previous = this.getWeather(CalendarTime.addDays(state, -gap, calendarConfig));
+      if (previous) break;
+    }
+
+    const changes = {};
+    const firstDay = previous ? 1 - gap : 0;
+    for (let offset = firstDay; offset <= 0; offset++) {
+      const date = CalendarTime.addDays(state, offset, calendarConfig);
+      previous = { ...generateWeather(this.getProfile(date), previous), manual: false };
+      changes[this._key(date)] = previous;
+    }
+
+    await this._save(changes);
+    Hooks.callAll('easyCalendarWeatherChanged', this._date(state), previous);
+
+    if (this.getConfig().postToChat) {
+      await this.postToChat(state);
+    }
+    return previous;
+  }
+
+  /**
+   * Post a date's weather to chat, whispered to GMs if players may not see it
+   * @param {Object} [date] - Date { year, month, day } (defaults to the current date)
+   * @returns {Promise<ChatMessage|null>}
+   */
+  static async postToChat(date = CalendarData.getState()) {
+    const weather = this.getWeather(date);
+    if (!weather) return null;
+
+    const calendarConfig = CalendarData.getConfig();
+    const condition = WEATHER_CONDITIONS[weather.condition] ?? WEATHER_CONDITIONS.clear;
+    const content = `<div class="easy-calendar-chat-weather">
+      <h3><i class="fas ${condition.icon}"></i> ${condition.label}</h3>
+      <p>${foundry.utils.escapeHTML(CalendarData.formatDate(date))}</p>
+      <p>${this.describe(weather)}</p>
+    </div>`;
+
+    return ChatMessage.create({
+      content,
+      speaker: { alias: calendarConfig.name || 'Easy Calendar' },
+      whisper: this.getConfig().visibleToPlayers ? [] : ChatMessage.getWhisperRecipients('GM')
+    });
+  }
+
+  /**
+   * Describe the temperature and wind in the configured units
+   * @param {Object} weather - Weather
+   * @returns {string} e.g. "12°C, wind 15 km/h"
+   */
+  static describe(weather) {
+    return `${this.formatTemperature(weather.temperature)}, wind ${this.formatWind(weather.wind)}`;
+  }
+
+  /**
+   * @param {number} celsius - Temperature in °C
+   * @returns {string} Temperature in the configured units
+   */
+  static formatTemperature(celsius) {
+    return `${this.toDisplayUnits({ temperature: celsius }).temperature}${this.getUnitLabels().temperature}`;
+  }
+
+  /**
+   * @param {number} kmh - Wind speed in km/h
+   * @returns {string} Wind speed in the configured units
+   */
+  static formatWind(kmh) {
+    return `${this.toDisplayUnits({ wind: kmh }).wind} ${this.getUnitLabels().wind}`;
+  }
+
+  /**
+   * Unit labels for the configured units
+   * @returns {Object} { temperature, wind }
+   */
+  static getUnitLabels() {
+    return this.getConfig().units === 'imperial'
+      ? { temperature: '°F', wind: 'mph' }
+      : { temperature: '°C', wind: 'km/h' };
+  }
+
+  /**
+   * Convert stored values (°C, km/h) to the configured units, rounded
+   * @param {Object} values - { temperature, wind }
+   * @returns {Object} { temperature, wind }
+   */
+  static toDisplayUnits({ temperature = 0, wind = 0 }) {
+    const imperial = this.getConfig().units === 'imperial';
+    return {
+      temperature: Math.round(imperial ? temperature * 9 / 5 + 32 : temperature),
+      wind: Math.round(imperial ? wind / 1.609 : wind)
+    };
+  }
+
+  /**
+   * Convert values in the configured units back to °C and km/h
+   * @param {Object} values - { temperature, wind }
+   * @returns {Object} { temperature, wind }
+   */
+  static fromDisplayUnits({ temperature = 0, wind = 0 }) {
+    const imperial = this.getConfig().units === 'imperial';
+    return {
+      temperature: imperial ? Math.round((temperature - 32) * 5 / 9) : temperature,
+      wind: imperial ? Math.round(wind * 1.609) : wind
+    };
+  }
+
+  /* -------------------------------------------- */
+  /*  Helpers                                     */
+  /* -------------------------------------------- */
+
+  static _key({ year, month, day }) {
+    return `${year}/${month}/${day}`;
+  }
+
+  static _date({ year, month, day }) {
+    return { year, month, day };
+  }
+
+  /**
+   * Store weather for some dates, dropping days that are long past
+   * @private
+   */
+  static async _save(changes) {
+    const calendarConfig = CalendarData.getConfig();
+    const oldest = CalendarTime.toDayIndex(CalendarData.getState(), calendarConfig) - HISTORY_DAYS;
+
+    const weather = { ...game.settings.get(MODULE_ID, SETTINGS.WEATHER), ...changes };
+    for (const key of Object.keys(weather)) {
+      const [year, month, day] = key.split('/').map(Number);
+      if (CalendarTime.toDayIndex({ year, month, day }, calendarConfig) < oldest) delete weather[key];
+    }
+
+    await game.settings.set(MODULE_ID, SETTINGS.WEATHER, weather);
+  }
+}
@@ -8,13 +8,56 @@ export const SETTINGS = {
   PANEL_MODE: 'panelMode',
   CALENDAR_CONFIG: 'calendarConfig',
   CALENDAR_STATE: 'calendarState',
+  CALENDAR_LIBRARY: 'calendarLibrary',
+  SCHEMA_VERSION: 'schemaVersion',
+  MIGRATION_BACKUPS: 'migrationBackups',
   WEEKDAY_OFFSET: 'weekdayOffset',
   SYNC_WORLD_TIME: 'syncWorldTime',
-  PLAYERS_CAN_ADVANCE: 'playersCanAdvance'
+  PLAYERS_CAN_ADVANCE: 'playersCanAdvance',
+  CALENDAR_NOTES: 'calendarNotes',
+  PLAYERS_CAN_CREATE_NOTES: 'playersCanCreateNotes',
+  PERMISSIONS: 'permissions',
+  CLOCK_RUNNING: 'clockRunning',
+  CLOCK_RATIO: 'clockRatio',
+  CLOCK_INTERVAL: 'clockInterval',
+  CLOCK_AUTO_RESUME: 'clockAutoResume',
+  COMBAT_ADVANCE: 'combatAdvance',
+  COMBAT_ROUND_TIME: 'combatRoundTime',
+  SCENE_DARKNESS: 'sceneDarkness',
+  WEATHER_CONFIG: 'weatherConfig',
+  WEATHER: 'weather',
+  CHAT_NEW_DAY: 'chatNewDay',
+  CHAT_NEW_MONTH: 'chatNewMonth',
+  CHAT_NEW_SEASON: 'chatNewSeason',
+  CHAT_MOON_PHASE: 'chatMoonPhase',
+  REMINDERS: 'reminders',
+  TRIGGERS: 'macroTriggers'
 };
 
+// Calendar actions that can be granted per user role
+export const PERMISSIONS = {
+  VIEW_PANEL: 'viewPanel',
+  VIEW_HIDDEN_NOTES: 'viewHiddenNotes',
+  VIEW_PRIVATE_NOTES: 'viewPrivateNotes',
+  CREATE_NOTES: 'createNotes',
+  EDIT_NOTES: 'editNotes',
+  ADVANCE_TIME: 'advanceTime',
+  SET_DATE: 'setDate',
+  TOGGLE_SYNC: 'toggleSync',
+  CONTROL_CLOCK: 'controlClock',
+  EDIT_WEATHER: 'editWeather',
+  MANAGE_REMINDERS: 'manageReminders',
+  MANAGE_LIBRARY: 'manageLibrary',
+  EDIT_CONFIG: 'editConfig'
+};
+
+// User roles (keys of CONST.USER_ROLES) configurable in the permission matrix; the GM always has every permission
+export const PERMISSION_ROLES = ['PLAYER', 'TRUSTED', 'ASSISTANT'];
+
 export const FLAGS = {
-  CALENDAR_STATE: 'calendarState'
+  CALENDAR_STATE: 'calendarState',
+  // Calendar shown in the panel, on users and scenes (see CalendarLibrary.getDisplayCalendar)
+  DISPLAY_CALENDAR: 'displayCalendar'
 };
 
 export const DEFAULT_TIME_CONFIG = {
@@ -27,13 +70,49 @@ export const DEFAULT_YEAR_CONFIG = {
   startingYear: 1,
   yearZeroExists: false,
   yearPrefix: '',
-  yearSuffix: ''
+  yearSuffix: '',
+  eras: [],
+  reckonings: []
+};
+
+// An era numbers the years from its start year until the next era starts.
+// Without a start year it covers every year before the next era. Eras that count down
+// reach startNumber in their last year (e.g. 1 BC), or count down from their start year if no era follows.
+export const DEFAULT_ERA = {
+  id: '',
+  name: 'New Era',
+  abbreviation: '',
+  startYear: null,
+  startNumber: 1,
+  countDown: false,
+  prefix: '',
+  suffix: ''
+};
+
+// Another year count shown alongside the calendar's own, offset from it by a fixed number of years
+export const DEFAULT_RECKONING = {
+  id: '',
+  name: 'New Reckoning',
+  abbreviation: '',
+  offset: 0,
+  prefix: '',
+  suffix: ''
+};
+
+// Format strings for each calendar; see CalendarTime.formatDate for the tokens
+export const DEFAULT_FORMATS = {
+  date: '{month} {day}, {year}',
+  long: '[{weekday}, ]{month} {day}, {year}',
+  time: '{hour:pad}:{minute:pad}:{second:pad}'
 };
 
 export const DEFAULT_LEAP_YEAR_CONFIG = {
   enabled: false,
-  rule: 'gregorian',
-  interval: 4,
+  rule: 'gregorian',      // 'gregorian', 'simple', 'custom' or 'list'
+  interval: 4,            // simple: leap year every N years
+  offset: 0,              // simple/custom: year the cycle starts counting from
+  clauses: [],            // custom: ordered [{ divisor, type: 'include' | 'exclude' }], last match wins
+  years: [],              // list: explicit leap years
   months: []
 };
 
@@ -54,6 +133,7 @@ export const DEFAULT_MOON = {
   id: '',
   name: 'Moon',
   cycleLength: 29.53059,
+  cycleOffset: 0,         // Days added to the position in the cycle
   color: '#ffffff',
   phases: [
     { name: 'New Moon', length: 1, icon: 'new', singleDay: true },
@@ -83,3 +163,142 @@ export const MOON_PHASE_ICONS = {
   'last-quarter': '🌗',
   'waning-crescent': '🌘'
 };
+
+export const NOTE_VISIBILITY = {
+  PUBLIC: 'public',   // Everyone can see the note
+  GM: 'gm',           // Only GMs can see the note
+  PRIVATE: 'private'  // Only the author (and GMs) can see the note
+};
+
+export const NOTE_CATEGORIES = [
+  { id: 'general', name: 'General', color: '#7a4fa1' },
+  { id: 'event', name: 'Event', color: '#46b946' },
+  { id: 'holiday', name: 'Holiday', color: '#e0c40b' },
+  { id: 'quest', name: 'Quest', color: '#ff8e47' },
+  { id: 'session', name: 'Session', color: '#479dff' },
+  { id: 'danger', name: 'Danger', color: '#a14f4f' }
+];
+
+export const RECURRENCE_TYPES = {
+  NONE: 'none',         // One-off note
+  INTERVAL: 'interval', // Every N days
+  MONTHLY: 'monthly',   // Same day every N months
+  YEARLY: 'yearly',     // Same month and day every N years
+  WEEKDAY: 'weekday',   // Nth (or last) weekday of a month
+  MOON: 'moon'          // First day of a moon phase
+};
+
+export const DEFAULT_RECURRENCE = {
+  type: RECURRENCE_TYPES.NONE,
+  interval: 1,
+  nth: 1,               // 1-5, or -1 for the last occurrence in the month
+  weekday: 0,
+  month: null,          // Restrict weekday rules to one month (null = every month)
+  moonId: null,
+  phaseIndex: 0,
+  until: null           // Optional last date { year, month, day }
+};
+
+export const DEFAULT_NOTE = {
+  id: '',
+  title: 'New Note',
+  content: '',
+  date: { year: 0, month: 0, day: 1 },
+  allDay: true,
+  startTime: 0,       // Seconds since midnight
+  endTime: 0,         // Seconds since midnight
+  category: 'general',
+  visibility: NOTE_VISIBILITY.PUBLIC,
+  recurrence: { ...DEFAULT_RECURRENCE },
+  author: null
+};
+
+// What a reminder does when its time is reached; the easyCalendarReminder hook is always called
+export const REMINDER_ACTIONS = {
+  HOOK: 'hook',         // Only call the hook
+  CHAT: 'chat',         // Post a chat message for everyone
+  WHISPER: 'whisper',   // Whisper a chat message to GMs
+  MACRO: 'macro'        // Run a macro
+};
+
+export const DEFAULT_REMINDER = {
+  id: '',
+  title: 'Reminder',
+  message: '',
+  time: 0,              // Calendar world time in seconds (see CalendarTime.toWorldTime)
+  action: REMINDER_ACTIONS.WHISPER,
+  macro: null,          // Macro UUID, for REMINDER_ACTIONS.MACRO
+  calendarId: null      // The calendar the time belongs to (set when the reminder is added)
+};
+
+// Calendar events that can run a macro
+export const TRIGGER_EVENTS = {
+  DATE: 'date',           // A specific date arrives
+  NEW_DAY: 'newDay',
+  NEW_MONTH: 'newMonth',
+  NEW_YEAR: 'newYear',
+  SEASON: 'season',       // A season begins (any season, or the chosen one)
+  FULL_MOON: 'fullMoon'   // A moon becomes full (any moon, or the chosen one)
+};
+
+export const DEFAULT_TRIGGER = {
+  id: '',
+  name: 'New Trigger',
+  event: TRIGGER_EVENTS.NEW_DAY,
+  macro: null,            // Macro UUID
+  date: null,             // { year, month, day }, for TRIGGER_EVENTS.DATE
+  seasonId: null,         // For TRIGGER_EVENTS.SEASON; null matches any season
+  moonId: null,           // For TRIGGER_EVENTS.FULL_MOON; null matches any moon
+  enabled: true
+};
+
+// Weather conditions, from fair to foul
+export const WEATHER_CONDITIONS = {
+  'clear': { label: 'Clear', icon: 'fa-sun' },
+  'partly-cloudy': { label: 'Partly Cloudy', icon: 'fa-cloud-sun' },
+  'cloudy': { label: 'Cloudy', icon: 'fa-cloud' },
+  'fog': { label: 'Fog', icon: 'fa-smog' },
+  'rain': { label: 'Rain', icon: 'fa-cloud-rain' },
+  'heavy-rain': { label: 'Heavy Rain', icon: 'fa-cloud-showers-heavy' },
+  'thunderstorm': { label: 'Thunderstorm', icon: 'fa-cloud-bolt' },
+  'snow': { label: 'Snow', icon: 'fa-snowflake' },
+  'blizzard': { label: 'Blizzard', icon: 'fa-wind' }
+};
+
+export const PRECIPITATION_LEVELS = ['none', 'light', 'moderate', 'heavy'];
+
+// Climate profiles per season icon: temperature range in °C, daily chance of precipitation, wind range in km/h
+const climate = (name, spring, summer, fall, winter) => ({ name, seasons: { spring, summer, fall, winter } });
+const profile = (temperature, precipitation, wind) => ({ temperature, precipitation, wind });
+
+export const WEATHER_CLIMATES = {
+  arctic: climate('Arctic',
+    profile([-20, -5], 0.3, [10, 45]),
+    profile([-5, 8], 0.25, [5, 35]),
+    profile([-18, -2], 0.35, [10, 45]),
+    profile([-40, -20], 0.3, [15, 60])),
+  temperate: climate('Temperate',
+    profile([4, 17], 0.35, [5, 30]),
+    profile([15, 30], 0.25, [0, 25]),
+    profile([5, 18], 0.4, [5, 35]),
+    profile([-6, 6], 0.35, [10, 40])),
+  desert: climate('Desert',
+    profile([15, 32], 0.05, [5, 35]),
+    profile([28, 46], 0.02, [5, 30]),
+    profile([14, 32], 0.05, [5, 35]),
+    profile([4, 20], 0.08, [5, 30])),
+  tropical: climate('Tropical',
+    profile([24, 32], 0.5, [0, 25]),
+    profile([25, 34], 0.7, [5, 40]),
+    profile([24, 32], 0.6, [5, 35]),
+    profile([22, 30], 0.35, [0, 20]))
+};
+
+export const DEFAULT_WEATHER_CONFIG = {
+  enabled: false,
+  climate: 'temperate',       // A key of WEATHER_CLIMATES, or 'custom'
+  units: 'metric',            // 'metric' (°C, km/h) or 'imperial' (°F, mph)
+  visibleToPlayers: true,
+  postToChat: false,
+  custom: WEATHER_CLIMATES.temperate.seasons
+};
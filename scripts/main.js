@@ -1,9 +1,25 @@
 // Easy Calendar - Main Entry Point
 
-import { MODULE_ID, SETTINGS } from './constants.js';
+import { MODULE_ID, SETTINGS, FLAGS, PERMISSIONS } from './constants.js';
 import { CalendarApp } from './calendar-app.js';
 import { CalendarData } from './calendar-data.js';
+import { CalendarEngine, MemoryAdapter } from './calendar-engine.js';
+import { CalendarNotes } from './calendar-notes.js';
+import { CalendarSocket } from './calendar-socket.js';
+import { CalendarPermissions } from './calendar-permissions.js';
+import { CalendarClock } from './calendar-clock.js';
+import { CalendarCombat } from './calendar-combat.js';
+import { CalendarDaylight } from './calendar-daylight.js';
+import { CalendarWeather } from './calendar-weather.js';
+import { CalendarChat, CHAT_AUDIENCES } from './calendar-chat.js';
+import { CalendarReminders } from './calendar-reminders.js';
+import { CalendarTriggers } from './calendar-triggers.js';
+import { CalendarLibrary } from './calendar-library.js';
+import * as CalendarTime from './calendar-time.js';
 import { getPreset } from './calendar-presets.js';
+import { validateConfig, repairConfig } from './calendar-schema.js';
+import { getSimpleCalendars, convertSimpleCalendar } from './calendar-simple-calendar.js';
+import { convertFantasyCalendar } from './calendar-fantasy-calendar.js';
 
 // Global reference to the calendar application
 let calendarApp = null;
@@ -33,6 +49,66 @@ class CalendarConfigAppWrapper extends FormApplication {
   }
 }
 
+// Wrapper class for the permissions menu
+class CalendarPermissionsAppWrapper extends FormApplication {
+  constructor(...args) {
+    super(...args);
+    import('./calendar-permissions-app.js').then(({ CalendarPermissionsApp }) => {
+      new CalendarPermissionsApp().render({ force: true });
+    });
+  }
+
+  async _updateObject() {}
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'easy-calendar-permissions-wrapper',
+      template: '',
+      width: 0,
+      height: 0
+    });
+  }
+}
+
+// Wrapper class for the weather menu
+class CalendarWeatherAppWrapper extends FormApplication {
+  constructor(...args) {
+    super(...args);
+    import('./calendar-weather-app.js').then(({ CalendarWeatherApp }) => {
+      new CalendarWeatherApp().render({ force: true });
+    });
+  }
+
+  async _updateObject() {}
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'easy-calendar-weather-wrapper',
+      template: '',
+      width: 0,
+      height: 0
+    });
+  }
+}
+
+// Wrapper class for the calendar library menu
+class CalendarLibraryAppWrapper extends FormApplication {
+  constructor(...args) {
+    super(...args);
+    import('./calendar-library-app.js').then(({ CalendarLibraryApp }) => {
+      new CalendarLibraryApp().render({ force: true });
+    });
+  }
+
+  async _updateObject() {}
+  static get defaultOptions() {
+    return foundry.utils.mergeObject(super.defaultOptions, {
+      id: 'easy-calendar-library-wrapper',
+      template: '',
+      width: 0,
+      height: 0
+    });
+  }
+}
+
 /* -------------------------------------------- */
 /*  Module Settings                             */
 /* -------------------------------------------- */
@@ -48,6 +124,33 @@ function registerSettings() {
     restricted: true
   });
 
+  game.settings.registerMenu(MODULE_ID, 'permissionsMenu', {
+    name: 'Calendar Permissions',
+    label: 'Configure Permissions',
+    hint: 'Choose which user roles can view the calendar, see GM-only notes, create notes, change the time and date, toggle sync and edit the calendar.',
+    icon: 'fas fa-user-lock',
+    type: CalendarPermissionsAppWrapper,
+    restricted: true
+  });
+
+  game.settings.registerMenu(MODULE_ID, 'weatherMenu', {
+    name: 'Weather',
+    label: 'Configure Weather',
+    hint: 'Turn on daily weather and choose the climate it is rolled from.',
+    icon: 'fas fa-cloud-sun-rain',
+    type: CalendarWeatherAppWrapper,
+    restricted: true
+  });
+
+  game.settings.registerMenu(MODULE_ID, 'libraryMenu', {
+    name: 'Calendar Library',
+    label: 'Manage Calendars',
+    hint: 'Keep several calendars in the world, choose the active one and convert dates between them.',
+    icon: 'fas fa-book',
+    type: CalendarLibraryAppWrapper,
+    restricted: true
+  });
+
   // World settings (GM sets, all see)
   game.settings.register(MODULE_ID, SETTINGS.CALENDAR_CONFIG, {
     name: 'Calendar Configuration',
@@ -64,7 +167,18 @@ function registerSettings() {
     scope: 'world',
     config: false,
     type: Object,
-    default: CalendarData.getDefaultState()
+    default: CalendarData.getDefaultState(),
+    // Other clients only see state changes through the setting itself
+    onChange: (state) => {
+      if (calendarApp?.rendered) {
+        calendarApp.render();
+      }
+      CalendarDaylight.updateSceneDarkness(state);
+      CalendarWeather.update(state);
+      CalendarChat.onStateChanged(state);
+      CalendarReminders.check(state);
+      CalendarTriggers.onStateChanged(state);
+    }
   });
 
   game.settings.register(MODULE_ID, SETTINGS.WEEKDAY_OFFSET, {
@@ -95,11 +209,40 @@ function registerSettings() {
     }
   });
 
+  game.settings.register(MODULE_ID, SETTINGS.CALENDAR_NOTES, {
+    name: 'Calendar Notes',
+    hint: 'Notes and events attached to calendar dates.',
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: [],
+    onChange: () => {
+      if (calendarApp?.rendered) {
+        calendarApp.render();
+      }
+    }
+  });
+
+  // Superseded by the permission matrix; kept to seed its defaults in existing worlds
+  game.settings.register(MODULE_ID, SETTINGS.PLAYERS_CAN_CREATE_NOTES, {
+    name: 'Players Can Create Notes',
+    hint: 'Allow players to add notes to the calendar and edit their own notes.',
+    scope: 'world',
+    config: false,
+    type: Boolean,
+    default: false,
+    onChange: () => {
+      if (calendarApp?.rendered) {
+        calendarApp.render();
+      }
+    }
+  });
+
   game.settings.register(MODULE_ID, SETTINGS.PLAYERS_CAN_ADVANCE, {
     name: 'Players Can Advance Time',
     hint: 'Allow players to advance the calendar time.',
     scope: 'world',
-    config: true,
+    config: false,
     type: Boolean,
     default: false,
     onChange: () => {
@@ -108,6 +251,195 @@ function registerSettings() {
       }
     }
   });
+
+  game.settings.register(MODULE_ID, SETTINGS.PERMISSIONS, {
+    name: 'Calendar Permissions',
+    hint: 'Which user roles may perform each calendar action.',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {},
+    onChange: () => {
+      if (!calendarApp?.rendered) return;
+      if (CalendarPermissions.can(PERMISSIONS.VIEW_PANEL)) calendarApp.render();
+      else calendarApp.close();
+    }
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.CLOCK_RUNNING, {
+    name: 'Clock Running',
+    hint: 'Whether the calendar clock is advancing time.',
+    scope: 'world',
+    config: false,
+    type: Boolean,
+    default: false,
+    onChange: () => {
+      if (calendarApp?.rendered) {
+        calendarApp.render();
+      }
+    }
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.CLOCK_RATIO, {
+    name: 'Clock Speed',
+    hint: 'Game seconds that pass for every real second while the clock runs (60 = one game minute per second, 1 = real time).',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 60
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.CLOCK_INTERVAL, {
+    name: 'Clock Update Interval',
+    hint: 'How often, in real seconds, the running clock saves the new time. Shorter intervals update more smoothly but write to the world more often.',
+    scope: 'world',
+    config: true,
+    type: Number,
+    range: { min: 1, max: 60, step: 1 },
+    default: 5,
+    onChange: () => CalendarClock.restartTimer()
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.CLOCK_AUTO_RESUME, {
+    name: 'Resume Clock Automatically',
+    hint: 'The clock holds while the game is paused or a combat is running. When enabled it continues afterwards; otherwise it stops and must be started again.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.COMBAT_ADVANCE, {
+    name: 'Advance Time in Combat',
+    hint: 'Move the calendar forward (or back) as combat rounds change. When disabled, combat does not change the calendar; with sync on, it does not change world time either.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: true
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.COMBAT_ROUND_TIME, {
+    name: 'Seconds per Combat Round',
+    hint: 'Game seconds that pass for each combat round.',
+    scope: 'world',
+    config: true,
+    type: Number,
+    default: 6
+  });
+
+  // Chat cards when the date moves forward
+  const chatAnnouncements = [
+    [SETTINGS.CHAT_NEW_DAY, 'Announce New Days', 'Post a summary card to chat when a new day begins.'],
+    [SETTINGS.CHAT_NEW_MONTH, 'Announce New Months', 'Post a summary card to chat when a new month begins.'],
+    [SETTINGS.CHAT_NEW_SEASON, 'Announce New Seasons', 'Post a summary card to chat when a new season begins.'],
+    [SETTINGS.CHAT_MOON_PHASE, 'Announce Moon Phases', 'Post a summary card to chat when a moon changes phase.']
+  ];
+  for (const [key, name, hint] of chatAnnouncements) {
+    game.settings.register(MODULE_ID, key, {
+      name,
+      hint,
+      scope: 'world',
+      config: true,
+      type: String,
+      choices: CHAT_AUDIENCES,
+      default: 'off'
+    });
+  }
+
+  game.settings.register(MODULE_ID, SETTINGS.WEATHER_CONFIG, {
+    name: 'Weather Configuration',
+    hint: 'Climate and display options for daily weather.',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {},
+    onChange: () => {
+      if (calendarApp?.rendered) {
+        calendarApp.render();
+      }
+    }
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.CALENDAR_LIBRARY, {
+    name: 'Calendar Library',
+    hint: 'The calendars of the world other than the active one.',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {},
+    onChange: () => {
+      foundry.applications.instances.get('easy-calendar-library')?.render();
+      if (calendarApp?.rendered) {
+        calendarApp.render();
+      }
+    }
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.SCHEMA_VERSION, {
+    name: 'Data Version',
+    hint: 'Version of the saved calendar data; older data is migrated when the GM loads the world.',
+    scope: 'world',
+    config: false,
+    type: Number,
+    // Worlds saved before versions were stored
+    default: 1
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.MIGRATION_BACKUPS, {
+    name: 'Migration Backups',
+    hint: 'The calendar data from before each migration.',
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: []
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.REMINDERS, {
+    name: 'Reminders',
+    hint: 'Alarms that fire when game time passes a point.',
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: [],
+    onChange: () => {
+      foundry.applications.instances.get('easy-calendar-reminders')?.render();
+      // A reminder may have been set in the past
+      CalendarReminders.check();
+    }
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.TRIGGERS, {
+    name: 'Macro Triggers',
+    hint: 'Macros run on calendar events.',
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: []
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.WEATHER, {
+    name: 'Weather',
+    hint: 'The weather for each date.',
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {},
+    onChange: () => {
+      if (calendarApp?.rendered) {
+        calendarApp.render();
+      }
+    }
+  });
+
+  game.settings.register(MODULE_ID, SETTINGS.SCENE_DARKNESS, {
+    name: 'Control Scene Darkness',
+    hint: 'Set the active scene\'s darkness level from the time of day: light between sunrise and sunset, dark at night, fading during dawn and dusk. Scenes with a locked darkness level are not changed.',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false,
+    onChange: () => CalendarDaylight.updateSceneDarkness()
+  });
 }
 
 /* -------------------------------------------- */
@@ -138,25 +470,131 @@ Hooks.once('init', () => {
   // Expose API for macros/other modules
   game.modules.get(MODULE_ID).api = {
     getApp: () => calendarApp,
+    engine: CalendarData.engine,
+    CalendarEngine,
+    MemoryAdapter,
     refresh: () => calendarApp?.render(),
     getConfig: () => CalendarData.getConfig(),
     getState: () => CalendarData.getState(),
-    setDate: (date) => CalendarData.setDate(date),
-    setTime: (time) => CalendarData.setTime(time),
-    advance: (amount, unit) => CalendarData.advance(amount, unit),
-    loadPreset: (presetId) => CalendarData.loadPreset(presetId),
+    formatDate: (state, format) => CalendarData.formatDate(state, format),
+    getYear: (year = CalendarData.getState().year) => {
+      const config = CalendarData.getConfig();
+      return { ...CalendarTime.getYearDisplay(year, config), reckonings: CalendarTime.getReckonings(year, config) };
+    },
+    addYears: (year, amount) => CalendarTime.addYears(year, amount, CalendarData.getConfig()),
+    getCalendars: () => CalendarLibrary.getCalendars(),
+    getCalendar: (calendarId) => CalendarLibrary.getCalendar(calendarId),
+    addCalendar: (calendar) => CalendarSocket.execute('addCalendar', { calendar }),
+    removeCalendar: (calendarId) => CalendarSocket.execute('removeCalendar', { calendarId }),
+    activateCalendar: (calendarId) => CalendarSocket.execute('activateCalendar', { calendarId }),
+    alignCalendar: (calendarId, date, otherId, otherDate) => CalendarSocket.execute('alignCalendar', { calendarId, date, otherId, otherDate }),
+    convertDate: (date, fromId, toId) => CalendarLibrary.convert(date, fromId, toId),
+    toTimeline: (date, calendarId) => CalendarLibrary.toTimeline(date, calendarId),
+    fromTimeline: (time, calendarId) => CalendarLibrary.fromTimeline(time, calendarId),
+    getDisplayCalendar: () => CalendarLibrary.getDisplayCalendar(),
+    setUserCalendar: (calendarId) => CalendarLibrary.setUserCalendar(calendarId),
+    setSceneCalendar: (scene, calendarId) => CalendarSocket.execute('setSceneCalendar', { sceneId: scene.id, calendarId }),
+    openLibrary: async () => {
+      if (!CalendarPermissions.can(PERMISSIONS.MANAGE_LIBRARY)) {
+        throw new Error('You do not have permission to manage calendars.');
+      }
+      const { CalendarLibraryApp } = await import('./calendar-library-app.js');
+      new CalendarLibraryApp().render({ force: true });
+    },
+    getMoonForecast: (start, end) => CalendarTime.getMoonForecast(start, end, CalendarData.getConfig()),
+    setDate: (date) => CalendarSocket.execute('setDate', { date }),
+    setTime: (time) => CalendarSocket.execute('setTime', { time }),
+    advance: (amount, unit) => CalendarSocket.execute('advance', { amount, unit }),
+    loadPreset: (presetId) => CalendarSocket.execute('loadPreset', { presetId }),
     exportConfig: (includeState) => CalendarData.exportConfig(includeState),
-    importConfig: (data, importState) => CalendarData.importConfig(data, importState),
+    importConfig: (data, importState, calendar) => CalendarSocket.execute('importConfig', { data, importState, calendar }),
+    getSimpleCalendars: (data) => getSimpleCalendars(data),
+    importSimpleCalendar: async (data, { calendar = 0, importState = true, importNotes = true } = {}) => {
+      const { notes, unmapped } = convertSimpleCalendar(data, calendar);
+      const config = await CalendarSocket.execute('importConfig', { data, importState, calendar });
+      const imported = importNotes && notes.length ? await CalendarSocket.execute('importNotes', { notes }) : [];
+      return { config, notes: imported, unmapped };
+    },
+    importFantasyCalendar: async (data, { importState = true, importNotes = true } = {}) => {
+      const { notes, unmapped } = convertFantasyCalendar(data);
+      const config = await CalendarSocket.execute('importConfig', { data, importState });
+      const imported = importNotes && notes.length ? await CalendarSocket.execute('importNotes', { notes }) : [];
+      return { config, notes: imported, unmapped };
+    },
+    exportSimpleCalendar: (includeNotes = true) => CalendarData.exportToSimpleCalendar(includeNotes ? CalendarNotes.getNotes() : []),
+    getMigrationBackups: () => CalendarData.getMigrationBackups(),
+    validateConfig: (config = CalendarData.getConfig()) => validateConfig(config),
+    repairConfig: (config = CalendarData.getConfig()) => repairConfig(config),
+    getNotes: (date) => date ? CalendarNotes.getNotesForDate(date) : CalendarNotes.getNotes(),
+    getNote: (noteId) => CalendarNotes.getNote(noteId),
+    getNotesInRange: (start, end) => CalendarNotes.getNotesInRange(start, end),
+    createNote: (data) => CalendarSocket.execute('createNote', { data }),
+    updateNote: (noteId, changes) => CalendarSocket.execute('updateNote', { noteId, changes }),
+    deleteNote: (noteId) => CalendarSocket.execute('deleteNote', { noteId }),
+    getWeather: (date) => CalendarWeather.getWeather(date),
+    generateWeather: (date = CalendarData.getState()) => CalendarSocket.execute('generateWeather', { date }),
+    setWeather: (date, changes) => CalendarSocket.execute('setWeather', { date, changes }),
+    postWeather: (date) => CalendarWeather.postToChat(date),
+    postSummary: (date) => CalendarChat.postSummary(date),
+    getReminders: () => CalendarReminders.getReminders(),
+    addReminder: (data) => CalendarSocket.execute('addReminder', { data }),
+    updateReminder: (reminderId, changes) => CalendarSocket.execute('updateReminder', { reminderId, changes }),
+    removeReminder: (reminderId) => CalendarSocket.execute('removeReminder', { reminderId }),
+    getTriggers: () => CalendarTriggers.getTriggers(),
+    addTrigger: (data) => CalendarTriggers.addTrigger(data),
+    updateTrigger: (triggerId, changes) => CalendarTriggers.updateTrigger(triggerId, changes),
+    removeTrigger: (triggerId) => CalendarTriggers.removeTrigger(triggerId),
+    openReminders: async () => {
+      if (!CalendarPermissions.can(PERMISSIONS.MANAGE_REMINDERS)) {
+        throw new Error('You do not have permission to manage reminders.');
+      }
+      const { CalendarReminderApp } = await import('./calendar-reminder-app.js');
+      new CalendarReminderApp().render({ force: true });
+    },
+    can: (permission, user) => CalendarPermissions.can(permission, user),
+    startClock: () => CalendarSocket.execute('startClock', {}),
+    stopClock: () => CalendarSocket.execute('stopClock', {}),
+    isClockRunning: () => CalendarClock.isRunning(),
     openConfig: async () => {
+      if (!CalendarPermissions.can(PERMISSIONS.EDIT_CONFIG)) {
+        throw new Error('You do not have permission to edit the calendar configuration.');
+      }
       const { CalendarConfigApp } = await import('./calendar-config-app.js');
       new CalendarConfigApp().render({ force: true });
     }
   };
 });
 
-Hooks.once('ready', () => {
+Hooks.once('ready', async () => {
   console.log(`${MODULE_ID} | Easy Calendar ready`);
 
+  // Bring calendar data saved by older versions up to date before anything reads it (active GM only)
+  await CalendarData.migrate();
+
+  // Relay player time changes to the GM
+  CalendarSocket.initialize();
+
+  // Advance time on its own while the clock runs (GM clients only)
+  CalendarClock.initialize();
+
+  // Pass time as combat rounds change
+  CalendarCombat.initialize();
+
+  // Follow the time of day with the active scene's darkness
+  CalendarDaylight.initialize();
+
+  // Roll today's weather if it has not been rolled yet
+  CalendarWeather.update();
+
+  // Remember today, to announce what changes when the date moves
+  CalendarChat.initialize();
+
+  // Fire reminders that came due while no GM was connected
+  CalendarReminders.check();
+
+  // Remember the current state, to compare against when it changes
+  CalendarTriggers.initialize();
+
   // Set up world time sync hook
   Hooks.on('updateWorldTime', (worldTime, delta) => {
     CalendarData.syncFromWorldTime(worldTime);
@@ -172,17 +610,52 @@ Hooks.once('ready', () => {
     if (calendarApp?.rendered) {
       calendarApp.render();
     }
+    foundry.applications.instances.get('easy-calendar-library')?.render();
+  });
+
+  // The panel shows the calendar chosen by the user or the viewed scene
+  const refreshDisplayCalendar = () => {
+    if (calendarApp?.rendered) {
+      calendarApp.render();
+    }
+    foundry.applications.instances.get('easy-calendar-library')?.render();
+  };
+  const changesDisplayCalendar = (changed) => {
+    const flags = changed.flags?.[MODULE_ID] ?? {};
+    return FLAGS.DISPLAY_CALENDAR in flags || `-=${FLAGS.DISPLAY_CALENDAR}` in flags;
+  };
+  Hooks.on('updateUser', (user, changed) => {
+    if (user.isSelf && changesDisplayCalendar(changed)) refreshDisplayCalendar();
+  });
+  Hooks.on('updateScene', (scene, changed) => {
+    if (scene.isView && changesDisplayCalendar(changed)) refreshDisplayCalendar();
+  });
+  Hooks.on('canvasReady', refreshDisplayCalendar);
+
+  // The clock holds while paused or in combat; show that on the panel
+  const refreshClock = () => {
+    if (calendarApp?.rendered && CalendarClock.isRunning()) {
+      calendarApp.render();
+    }
+  };
+  Hooks.on('pauseGame', refreshClock);
+  Hooks.on('updateCombat', (combat, changed) => {
+    if ('round' in changed) refreshClock();
   });
+  Hooks.on('deleteCombat', refreshClock);
 
   // Listen for config changes to refresh UI
   Hooks.on('easyCalendarConfigChanged', (config) => {
+    CalendarTime.invalidateCache();
+    CalendarDaylight.updateSceneDarkness();
     if (calendarApp?.rendered) {
       calendarApp.render();
     }
   });
 
   // Show calendar if it should be visible (default: true for new users)
-  if (game.user.getFlag(MODULE_ID, SETTINGS.PANEL_VISIBLE) ?? true) {
+  const panelVisible = game.user.getFlag(MODULE_ID, SETTINGS.PANEL_VISIBLE) ?? true;
+  if (panelVisible && CalendarPermissions.can(PERMISSIONS.VIEW_PANEL)) {
     calendarApp = new CalendarApp();
     calendarApp.render({ force: true });
   }
@@ -204,7 +677,7 @@ Hooks.on('getSceneControlButtons', (controls) => {
     icon: 'fa-solid fa-calendar-days',
     order: toolCount,
     button: true,
-    visible: true,
+    visible: CalendarPermissions.can(PERMISSIONS.VIEW_PANEL),
     onChange: () => {
       if (calendarApp?.rendered) {
         game.user.setFlag(MODULE_ID, SETTINGS.PANEL_VISIBLE, false);